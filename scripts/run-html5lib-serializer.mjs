@@ -0,0 +1,141 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { serializeTokens } from "../src/index.js";
+
+const testsRoot = process.env.HTML5LIB_TESTS || path.resolve("../html5lib-tests/serializer");
+const fileFilter = (process.env.FILE_FILTER || "").trim().toLowerCase();
+const verbose = process.env.VERBOSE === "1";
+
+const NAMESPACE_NAMES = new Map([
+  ["http://www.w3.org/1999/xhtml", "html"],
+  ["http://www.w3.org/2000/svg", "svg"],
+  ["http://www.w3.org/1998/Math/MathML", "math"]
+]);
+const ATTRIBUTE_PREFIXES = new Map([
+  ["http://www.w3.org/1999/xlink", "xlink"],
+  ["http://www.w3.org/XML/1998/namespace", "xml"],
+  ["http://www.w3.org/2000/xmlns/", "xmlns"]
+]);
+const OPTION_NAMES = {
+  quote_attr_values: "quoteAttrValues",
+  quote_char: "quoteChar",
+  use_best_quote_char: "useBestQuoteChar",
+  minimize_boolean_attributes: "minimizeBooleanAttributes",
+  use_trailing_solidus: "useTrailingSolidus",
+  escape_lt_in_attrs: "escapeLtInAttrs",
+  escape_rcdata: "escapeRcdata",
+  omit_optional_tags: "omitOptionalTags",
+  strip_whitespace: "stripWhitespace",
+  inject_meta_charset: "injectMetaCharset",
+  resolve_entities: "resolveEntities",
+  encoding: "encoding"
+};
+
+if (!fs.existsSync(testsRoot)) {
+  console.error(`html5lib serializer fixtures not found: ${testsRoot}`);
+  console.error("Set HTML5LIB_TESTS=/path/to/html5lib-tests/serializer");
+  process.exit(1);
+}
+
+const files = fs
+  .readdirSync(testsRoot)
+  .filter((name) => name.endsWith(".test"))
+  .filter((name) => !fileFilter || name.toLowerCase().includes(fileFilter))
+  .sort()
+  .map((name) => path.join(testsRoot, name));
+
+let passed = 0;
+let failed = 0;
+
+for (const filePath of files) {
+  const fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  let filePassed = 0;
+  let fileFailed = 0;
+
+  for (const [index, tc] of (fixture.tests || []).entries()) {
+    const options = html5libOptions(tc.options || {});
+    let actual;
+    try {
+      actual = serializeTokens(tc.input.map(convertToken), options);
+    } catch (error) {
+      actual = `${error.name}: ${error.message}`;
+    }
+
+    if (tc.expected.includes(actual)) {
+      filePassed += 1;
+      continue;
+    }
+    fileFailed += 1;
+    if (verbose) {
+      console.log(`FAIL ${path.basename(filePath)}#${index + 1}: ${tc.description}`);
+      console.log(`Input:    ${JSON.stringify(tc.input)}`);
+      console.log(`Options:  ${JSON.stringify(tc.options || {})}`);
+      console.log(`Expected: ${JSON.stringify(tc.expected)}`);
+      console.log(`Actual:   ${JSON.stringify(actual)}`);
+      console.log("---");
+    }
+  }
+
+  passed += filePassed;
+  failed += fileFailed;
+  console.log(`${fileFailed ? "FAIL" : "PASS"} ${path.basename(filePath)} passed=${filePassed} failed=${fileFailed}`);
+}
+
+console.log(`serializer: passed=${passed} failed=${failed}`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
+
+function html5libOptions(fixtureOptions) {
+  const options = {
+    quoteAttrValues: "spec",
+    useBestQuoteChar: !Object.prototype.hasOwnProperty.call(fixtureOptions, "quote_char"),
+    minimizeBooleanAttributes: true,
+    omitOptionalTags: true
+  };
+  for (const [key, value] of Object.entries(fixtureOptions)) {
+    if (!OPTION_NAMES[key]) {
+      throw new Error(`Unknown serializer fixture option: ${key}`);
+    }
+    options[OPTION_NAMES[key]] = value;
+  }
+  if (options.quoteAttrValues === true) {
+    options.quoteAttrValues = "always";
+  } else if (options.quoteAttrValues === false) {
+    options.quoteAttrValues = "legacy";
+  }
+  return options;
+}
+
+function convertToken(token) {
+  switch (token[0]) {
+    case "StartTag":
+      return { type: "StartTag", namespace: namespaceName(token[1]), name: token[2], attrs: convertAttrs(token[3]) };
+    case "EmptyTag":
+      return { type: "EmptyTag", namespace: "html", name: token[1], attrs: convertAttrs(token[2]) };
+    case "EndTag":
+      return { type: "EndTag", namespace: namespaceName(token[1]), name: token[2] };
+    case "Characters":
+      return { type: "Characters", data: token[1] };
+    case "Comment":
+      return { type: "Comment", data: token[1] };
+    case "Doctype":
+      return { type: "Doctype", name: token[1], publicId: token[2] ?? null, systemId: token[3] ?? null };
+    default:
+      throw new Error(`Unknown serializer fixture token: ${token[0]}`);
+  }
+}
+
+function namespaceName(uri) {
+  return NAMESPACE_NAMES.get(uri) ?? "html";
+}
+
+function convertAttrs(attrs) {
+  const list = Array.isArray(attrs) ? attrs : [];
+  const entries = list.map(({ namespace, name, value }) => {
+    const prefix = namespace ? ATTRIBUTE_PREFIXES.get(namespace) : null;
+    return [prefix ? `${prefix}:${name}` : name, value];
+  });
+  return Object.fromEntries(entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
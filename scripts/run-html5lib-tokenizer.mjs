@@ -0,0 +1,139 @@
+import fs from "node:fs";
+import path from "node:path";
+
+import { tokenize, TokenKind, TokenizerState } from "../src/index.js";
+
+const testsRoot = process.env.HTML5LIB_TESTS || path.resolve("../html5lib-tests/tokenizer");
+const fileFilter = (process.env.FILE_FILTER || "").trim().toLowerCase();
+const verbose = process.env.VERBOSE === "1";
+
+const INITIAL_STATES = {
+  "Data state": TokenizerState.DATA,
+  "PLAINTEXT state": TokenizerState.PLAINTEXT,
+  "RCDATA state": TokenizerState.RCDATA,
+  "RAWTEXT state": TokenizerState.RAWTEXT,
+  "Script data state": TokenizerState.SCRIPT_DATA,
+  "CDATA section state": TokenizerState.CDATA_SECTION,
+  PCDATA: TokenizerState.DATA,
+  RCDATA: TokenizerState.RCDATA,
+  CDATA: TokenizerState.RAWTEXT,
+  PLAINTEXT: TokenizerState.PLAINTEXT
+};
+
+if (!fs.existsSync(testsRoot)) {
+  console.error(`html5lib tokenizer fixtures not found: ${testsRoot}`);
+  console.error("Set HTML5LIB_TESTS=/path/to/html5lib-tests/tokenizer");
+  process.exit(1);
+}
+
+const files = fs
+  .readdirSync(testsRoot)
+  .filter((name) => name.endsWith(".test"))
+  .filter((name) => !fileFilter || name.toLowerCase().includes(fileFilter))
+  .sort()
+  .map((name) => path.join(testsRoot, name));
+
+let passed = 0;
+let failed = 0;
+
+for (const filePath of files) {
+  const fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  let filePassed = 0;
+  let fileFailed = 0;
+
+  for (const [index, tc] of (fixture.tests || []).entries()) {
+    const input = tc.doubleEscaped ? unescapeDouble(tc.input) : tc.input;
+    const output = tc.doubleEscaped ? unescapeDouble(tc.output) : tc.output;
+    const expectedErrors = tc.errors ? tc.errors.map((error) => error.code) : null;
+    const expectedTokens = coalesceCharacters(output.filter((item) => item !== "ParseError"));
+
+    for (const stateName of tc.initialStates || tc.contentModelFlags || ["Data state"]) {
+      const initialState = INITIAL_STATES[stateName];
+      const actual = runTokenizer(input, initialState, tc.lastStartTag ?? null);
+      const tokensMatch = JSON.stringify(actual.tokens) === JSON.stringify(expectedTokens);
+      const errorsMatch = !expectedErrors || JSON.stringify(actual.errors) === JSON.stringify(expectedErrors);
+
+      if (tokensMatch && errorsMatch) {
+        filePassed += 1;
+        continue;
+      }
+      fileFailed += 1;
+      if (verbose) {
+        console.log(`FAIL ${path.basename(filePath)}#${index + 1} (${stateName}): ${tc.description}`);
+        console.log(`Input: ${JSON.stringify(input)}`);
+        console.log(`Expected tokens: ${JSON.stringify(expectedTokens)}`);
+        console.log(`Actual tokens:   ${JSON.stringify(actual.tokens)}`);
+        if (expectedErrors) {
+          console.log(`Expected errors: ${JSON.stringify(expectedErrors)}`);
+          console.log(`Actual errors:   ${JSON.stringify(actual.errors)}`);
+        }
+        console.log("---");
+      }
+    }
+  }
+
+  passed += filePassed;
+  failed += fileFailed;
+  console.log(`${fileFailed ? "FAIL" : "PASS"} ${path.basename(filePath)} passed=${filePassed} failed=${fileFailed}`);
+}
+
+console.log(`tokenizer: passed=${passed} failed=${failed}`);
+if (failed > 0) {
+  process.exitCode = 1;
+}
+
+function runTokenizer(input, initialState, lastStartTag) {
+  const tokens = [];
+  const errors = [];
+  for (const token of tokenize(input, { initialState, lastStartTag, collectErrors: true })) {
+    switch (token.kind) {
+      case TokenKind.ERROR:
+        errors.push(token.error.code);
+        break;
+      case TokenKind.TEXT:
+        tokens.push(["Character", token.data]);
+        break;
+      case TokenKind.START_TAG:
+        tokens.push(token.selfClosing ? ["StartTag", token.name, token.attrs, true] : ["StartTag", token.name, token.attrs]);
+        break;
+      case TokenKind.END_TAG:
+        tokens.push(["EndTag", token.name]);
+        break;
+      case TokenKind.COMMENT:
+        tokens.push(["Comment", token.data]);
+        break;
+      case TokenKind.DOCTYPE:
+        tokens.push(["DOCTYPE", token.name, token.publicId, token.systemId, !token.forceQuirks]);
+        break;
+      default:
+        break;
+    }
+  }
+  return { tokens: coalesceCharacters(tokens), errors };
+}
+
+function coalesceCharacters(tokens) {
+  const out = [];
+  for (const token of tokens) {
+    const prev = out[out.length - 1];
+    if (token[0] === "Character" && prev && prev[0] === "Character") {
+      out[out.length - 1] = ["Character", prev[1] + token[1]];
+      continue;
+    }
+    out.push(token);
+  }
+  return out;
+}
+
+function unescapeDouble(value) {
+  if (typeof value === "string") {
+    return value.replace(/\\u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(Number.parseInt(hex, 16)));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => unescapeDouble(item));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [unescapeDouble(key), unescapeDouble(item)]));
+  }
+  return value;
+}
@@ -36,9 +36,10 @@ let failed = 0;
         continue;
       }
 
+      const scriptingEnabled = tc.scripting ?? true;
       const doc = tc.fragmentContext
-      ? parseFragment(tc.data, tc.fragmentContext)
-      : new JustHTML(tc.data, { collectErrors: true });
+      ? parseFragment(tc.data, { fragmentContext: tc.fragmentContext, scriptingEnabled })
+      : new JustHTML(tc.data, { collectErrors: true, scriptingEnabled });
 
       const actual = normalizeLines(toTestFormat(doc.root));
       const expected = expectedCandidates.map((value) => normalizeLines(value));
@@ -72,7 +73,6 @@ function parseDat(content) {
   const lines = content.split("\n");
   let current = null;
   let mode = null;
-  let scriptMode = "default";
 
   for (const line of lines) {
     if (line.startsWith("#")) {
@@ -81,16 +81,15 @@ function parseDat(content) {
         if (current && (current.data || Object.keys(current.documents).length > 0)) {
           out.push(current);
         }
-        current = { data: "", documents: {}, fragmentContext: null };
+        current = { data: "", documents: {}, fragmentContext: null, scripting: null };
         mode = "data";
-        scriptMode = "default";
         continue;
       }
       if (!current) {
         continue;
       }
       if (directive === "script-on" || directive === "script-off") {
-        scriptMode = directive;
+        current.scripting = directive === "script-on";
         continue;
       }
       mode = directive;
@@ -106,7 +105,7 @@ function parseDat(content) {
       continue;
     }
     if (mode === "document") {
-      current.documents[scriptMode] = `${current.documents[scriptMode] || ""}${line}\n`;
+      current.documents.default = `${current.documents.default || ""}${line}\n`;
       continue;
     }
     if (mode === "document-fragment") {
@@ -1,24 +1,75 @@
 const UTF8_BOM = [0xef, 0xbb, 0xbf];
+const PRESCAN_LENGTH = 1024;
 
 export function decodeHTML(input, transportEncoding = null) {
-  if (typeof input === "string") {
-    return { text: input, encoding: null };
+  const decoder = new StreamDecoder(transportEncoding);
+  const text = decoder.decode(input) + decoder.end();
+  return { text, encoding: decoder.encoding };
+}
+
+export class StreamDecoder {
+  constructor(transportEncoding = null) {
+    this.transportEncoding = normalizeEncoding(transportEncoding);
+    this.encoding = null;
+    this.decoder = null;
+    this.pending = [];
+    this.pendingLength = 0;
+  }
+
+  decode(chunk) {
+    const bytes = toBytes(chunk);
+    if (!bytes) {
+      return this.flushPending() + String(chunk ?? "");
+    }
+    if (this.decoder) {
+      return this.decoder.decode(bytes, { stream: true });
+    }
+    this.pending.push(bytes.slice());
+    this.pendingLength += bytes.length;
+    if (!this.transportEncoding && this.pendingLength < PRESCAN_LENGTH) {
+      return "";
+    }
+    return this.flushPending();
+  }
+
+  end() {
+    const text = this.flushPending();
+    return this.decoder ? text + this.decoder.decode() : text;
   }
 
-  let bytes;
-  if (input instanceof ArrayBuffer) {
-    bytes = new Uint8Array(input);
-  } else if (ArrayBuffer.isView(input)) {
-    bytes = new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
-  } else {
-    return { text: String(input ?? ""), encoding: null };
+  flushPending() {
+    if (!this.pending.length) {
+      return "";
+    }
+    const bytes = new Uint8Array(this.pendingLength);
+    let offset = 0;
+    for (const part of this.pending) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    this.pending = [];
+    this.pendingLength = 0;
+    if (!this.decoder) {
+      this.encoding = chooseEncoding(bytes, this.transportEncoding);
+      this.decoder = new TextDecoder(this.encoding, { fatal: false });
+    }
+    return this.decoder.decode(bytes, { stream: true });
   }
+}
+
+function toBytes(chunk) {
+  if (chunk instanceof ArrayBuffer) {
+    return new Uint8Array(chunk);
+  }
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  return null;
+}
 
+function chooseEncoding(bytes, transportEncoding) {
   const sniffed = normalizeEncoding(transportEncoding) || sniffEncoding(bytes) || "windows-1252";
-  const chosen = sniffed === "utf-7" ? "windows-1252" : sniffed;
-  const decoderLabel = chosen === "windows-1252" ? "windows-1252" : chosen;
-  const decoder = new TextDecoder(decoderLabel, { fatal: false });
-  return { text: decoder.decode(bytes), encoding: chosen };
+  return sniffed === "utf-7" ? "windows-1252" : sniffed;
 }
 
 function sniffEncoding(bytes) {
@@ -26,7 +77,7 @@ function sniffEncoding(bytes) {
     return "utf-8";
   }
 
-  const head = new TextDecoder("latin1", { fatal: false }).decode(bytes.subarray(0, Math.min(bytes.length, 1024)));
+  const head = new TextDecoder("latin1", { fatal: false }).decode(bytes.subarray(0, Math.min(bytes.length, PRESCAN_LENGTH)));
 
   const charsetMatch = /<meta[^>]+charset\s*=\s*["']?\s*([^\s"'>/]+)/i.exec(head);
   if (charsetMatch) {
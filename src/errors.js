@@ -17,6 +17,33 @@ export class StrictModeError extends SyntaxError {
   }
 }
 
+export class SelectorError extends SyntaxError {
+  constructor(reason, { selector = "", offset = 0, token = "", kind = "invalid" } = {}) {
+    super(`${kind === "unsupported" ? "Unsupported" : "Invalid"} selector: ${selector} (${reason} at position ${offset})`);
+    this.name = "SelectorError";
+    this.reason = reason;
+    this.selector = selector;
+    this.offset = offset;
+    this.token = token;
+    this.kind = kind;
+  }
+
+  get unsupported() {
+    return this.kind === "unsupported";
+  }
+}
+
+export class XPathError extends SyntaxError {
+  constructor(reason, { expression = "", offset = 0, token = "" } = {}) {
+    super(`Invalid XPath: ${expression} (${reason} at position ${offset})`);
+    this.name = "XPathError";
+    this.reason = reason;
+    this.expression = expression;
+    this.offset = offset;
+    this.token = token;
+  }
+}
+
 export function sortErrors(errors) {
   return errors
     .map((error, idx) => ({ error, idx }))
@@ -1,6 +1,26 @@
-export { ParseError, StrictModeError } from "./errors.js";
-export { FragmentContext, HTMLContext, JustHTML, matches, parse, parseFragment, query } from "./parser.js";
-export { stream } from "./stream.js";
+export { ParseError, SelectorError, StrictModeError, XPathError } from "./errors.js";
+export {
+  AttributeNode,
+  clearSelectorCache,
+  compileSelector,
+  CompiledSelector,
+  createParser,
+  evaluateXPath,
+  FragmentContext,
+  HTMLContext,
+  IncrementalParser,
+  JustHTML,
+  matches,
+  minify,
+  NamespaceNode,
+  parse,
+  parseFragment,
+  query,
+  registerPseudo
+} from "./parser.js";
+export { rewrite, rewriteAsync, Rewriter, RewriterElement } from "./rewriter.js";
+export { saxStream, saxStreamAsync, stream, streamAsync } from "./stream.js";
+export { tokenize, TokenKind, TokenizerState } from "./tokenizer.js";
 export {
   Node,
   Document,
@@ -11,4 +31,4 @@ export {
   Comment,
   Doctype
 } from "./node.js";
-export { toHTML, toTestFormat } from "./serialize.js";
+export { serializeTokens, toHTML, toTestFormat } from "./serialize.js";
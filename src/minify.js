@@ -0,0 +1,142 @@
+import {
+  ATOMIC_INLINE_ELEMENTS,
+  PRESERVE_WHITESPACE_ELEMENTS,
+  VOID_ELEMENTS,
+  WHITESPACE_BOUNDARY_ELEMENTS
+} from "./constants.js";
+
+const MINIFY_DEFAULTS = Object.freeze({
+  collapseWhitespace: true,
+  removeComments: true,
+  removeOptionalTags: true,
+  unquoteAttributes: true,
+  collapseBooleanAttributes: true,
+  removeDefaultTypes: true,
+  sortAttributes: true
+});
+
+const WHITESPACE_ONLY_PARENTS = new Set(["colgroup", "head", "html", "table", "tbody", "tfoot", "thead", "tr"]);
+const DEFAULT_TYPES = new Map([
+  ["script", new Set(["", "text/javascript", "application/javascript", "text/ecmascript", "application/ecmascript"])],
+  ["style", new Set(["", "text/css"])]
+]);
+const CONDITIONAL_COMMENT = /^(\[if\b|<!\[endif\])/;
+
+export function resolveMinifyOptions(options) {
+  const settings = { ...MINIFY_DEFAULTS };
+  if (options && typeof options === "object") {
+    for (const key of Object.keys(MINIFY_DEFAULTS)) {
+      if (options[key] !== undefined) {
+        settings[key] = Boolean(options[key]);
+      }
+    }
+  }
+  return settings;
+}
+
+export function minifyTokens(tokens, settings) {
+  const out = [];
+  for (const token of tokens) {
+    if (token.type === "Comment" && settings.removeComments && !CONDITIONAL_COMMENT.test(token.data || "")) {
+      continue;
+    }
+    if (token.type === "StartTag" || token.type === "EmptyTag") {
+      out.push({ ...token, attrs: minifyAttributes(token, settings) });
+      continue;
+    }
+    out.push(token);
+  }
+  return settings.collapseWhitespace ? collapseWhitespace(out) : out;
+}
+
+function minifyAttributes(token, settings) {
+  let entries = Object.entries(token.attrs || {});
+  const defaults = token.namespace === "html" ? DEFAULT_TYPES.get(token.name) : null;
+  if (settings.removeDefaultTypes && defaults) {
+    entries = entries.filter(([key, value]) => key !== "type" || !defaults.has(String(value).trim().toLowerCase()));
+  }
+  if (settings.sortAttributes) {
+    entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+  return Object.fromEntries(entries);
+}
+
+function collapseWhitespace(tokens) {
+  const out = [];
+  const open = [];
+  let spaceBefore = true;
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token.type === "Characters") {
+      if (open.some(preservesWhitespace)) {
+        out.push(token);
+        continue;
+      }
+      const parent = open[open.length - 1];
+      let text = (token.data || "").replace(/[\t\n\f\r ]+/g, " ");
+      if (text === " " && parent?.namespace === "html" && WHITESPACE_ONLY_PARENTS.has(parent.name)) {
+        continue;
+      }
+      if (spaceBefore && text.startsWith(" ")) {
+        text = text.slice(1);
+      }
+      if (text.endsWith(" ") && endsLine(tokens, i + 1)) {
+        text = text.slice(0, -1);
+      }
+      if (text) {
+        out.push({ ...token, data: text });
+        spaceBefore = text.endsWith(" ");
+      }
+      continue;
+    }
+
+    if (token.type === "StartTag") {
+      open.push(token);
+    } else if (token.type === "EndTag") {
+      const index = open.findLastIndex((entry) => entry.name === token.name && entry.namespace === token.namespace);
+      if (index >= 0) {
+        open.length = index;
+      }
+    }
+    if (isBoundary(token)) {
+      spaceBefore = true;
+    } else if (!isTransparent(token)) {
+      spaceBefore = false;
+    }
+    out.push(token);
+  }
+  return out;
+}
+
+function endsLine(tokens, start) {
+  for (let i = start; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (isBoundary(token)) {
+      return true;
+    }
+    if (token.type === "Characters" ? /[^\t\n\f\r ]/.test(token.data || "") : !isTransparent(token)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function isBoundary(token) {
+  return isTag(token) && token.namespace === "html" && WHITESPACE_BOUNDARY_ELEMENTS.has(token.name);
+}
+
+function isTransparent(token) {
+  if (!isTag(token) || token.type === "EmptyTag" || token.namespace !== "html") {
+    return false;
+  }
+  return !VOID_ELEMENTS.has(token.name) && !ATOMIC_INLINE_ELEMENTS.has(token.name);
+}
+
+function isTag(token) {
+  return token.type === "StartTag" || token.type === "EndTag" || token.type === "EmptyTag";
+}
+
+function preservesWhitespace(token) {
+  return token.namespace !== "html" || PRESERVE_WHITESPACE_ELEMENTS.has(token.name);
+}
@@ -1,5 +1,7 @@
 import { BLOCK_ELEMENTS } from "./constants.js";
+import { compileSelector } from "./selector.js";
 import { toHTML } from "./serialize.js";
+import { evaluateXPath } from "./xpath.js";
 
 export class Node {
   constructor(name, { attrs = null, data = null, namespace = null } = {}) {
@@ -108,56 +110,33 @@ export class Node {
     return clone;
   }
 
-  query(selector) {
-    const matcher = buildSelectorMatcher(selector);
-    const out = [];
-    const stack = [...this.children].reverse();
+  query(selector, options = {}) {
+    return compileSelector(selector, options).queryAll(this);
+  }
 
-    while (stack.length) {
-      const node = stack.pop();
-      if (!node) {
-        continue;
-      }
-      if (matcher(node)) {
-        out.push(node);
-      }
-      if (node.templateContent) {
-        for (let i = node.templateContent.children.length - 1; i >= 0; i -= 1) {
-          stack.push(node.templateContent.children[i]);
-        }
-      }
-      for (let i = node.children.length - 1; i >= 0; i -= 1) {
-        stack.push(node.children[i]);
-      }
-    }
-    return out;
+  queryOne(selector, options = {}) {
+    return compileSelector(selector, options).queryFirst(this);
   }
 
-  queryOne(selector) {
-    const matcher = buildSelectorMatcher(selector);
-    const stack = [...this.children].reverse();
+  matches(selector, options = {}) {
+    return compileSelector(selector, options).match(this, { hasCache: new Map(), siblingCache: new Map(), scope: this });
+  }
 
-    while (stack.length) {
-      const node = stack.pop();
-      if (!node) {
-        continue;
-      }
-      if (matcher(node)) {
+  closest(selector, options = {}) {
+    const compiled = compileSelector(selector, options);
+    const context = { hasCache: new Map(), siblingCache: new Map(), scope: this };
+    for (let node = this; node; node = node.parent) {
+      if (compiled.match(node, context)) {
         return node;
       }
-      if (node.templateContent) {
-        for (let i = node.templateContent.children.length - 1; i >= 0; i -= 1) {
-          stack.push(node.templateContent.children[i]);
-        }
-      }
-      for (let i = node.children.length - 1; i >= 0; i -= 1) {
-        stack.push(node.children[i]);
-      }
     }
-
     return null;
   }
 
+  xpath(expression, options = {}) {
+    return evaluateXPath(expression, this, options);
+  }
+
   toHTML(options = {}) {
     return toHTML(this, options);
   }
@@ -166,6 +145,10 @@ export class Node {
     return this.toHTML(options);
   }
 
+  toXHTML(options = {}) {
+    return this.toHTML({ ...options, syntax: "xml" });
+  }
+
   toText({ separator = " ", strip = true, separatorBlocksOnly = false } = {}) {
     const parts = [];
     const stack = [this];
@@ -212,14 +195,15 @@ export class Node {
     return this.toText(options);
   }
 
-  query_one(selector) {
-    return this.queryOne(selector);
+  query_one(selector, options = {}) {
+    return this.queryOne(selector, options);
   }
 }
 
 export class Document extends Node {
   constructor() {
     super("#document");
+    this.mode = "no-quirks";
   }
 }
 
@@ -262,7 +246,9 @@ export class Doctype extends Node {
 
 function createNodeLike(node) {
   if (node instanceof Document) {
-    return new Document();
+    const document = new Document();
+    document.mode = node.mode;
+    return document;
   }
   if (node instanceof DocumentFragment) {
     return new DocumentFragment();
@@ -295,42 +281,3 @@ function getChildContainer(node) {
   }
   return node;
 }
-
-function buildSelectorMatcher(selector) {
-  const raw = String(selector || "").trim();
-  if (!raw) {
-    throw new Error("Empty selector");
-  }
-
-  if (raw === "*") {
-    return (node) => !node.name.startsWith("#") && node.name !== "!doctype";
-  }
-
-  const match = /^(?:([a-zA-Z][a-zA-Z0-9_-]*)|)(?:#([a-zA-Z][a-zA-Z0-9_-]*))?(?:\.([a-zA-Z][a-zA-Z0-9_-]*))?$/.exec(raw);
-  if (!match) {
-    throw new Error(`Unsupported selector: ${selector}`);
-  }
-
-  const tag = match[1] ? match[1].toLowerCase() : null;
-  const id = match[2] || null;
-  const className = match[3] || null;
-
-  return (node) => {
-    if (node.name.startsWith("#") || node.name === "!doctype") {
-      return false;
-    }
-    if (tag && node.name !== tag) {
-      return false;
-    }
-    if (id && node.attrs?.id !== id) {
-      return false;
-    }
-    if (className) {
-      const classes = (node.attrs?.class || "").split(/\s+/).filter(Boolean);
-      if (!classes.includes(className)) {
-        return false;
-      }
-    }
-    return true;
-  };
-}
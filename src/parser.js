@@ -1,9 +1,9 @@
 import { HTML_CONTEXT } from "./constants.js";
-import { decodeHTML } from "./encoding.js";
+import { decodeHTML, StreamDecoder } from "./encoding.js";
 import { StrictModeError, sortErrors } from "./errors.js";
 import { toHTML, escapeJSString, escapeURLValue } from "./serialize.js";
-import { tokenizeHTML } from "./tokenizer.js";
-import { buildTree } from "./treebuilder.js";
+import { buildTree, TreeBuilder } from "./treebuilder.js";
+import { evaluateXPath } from "./xpath.js";
 
 export class FragmentContext {
   constructor(tagName, namespace = null) {
@@ -15,39 +15,43 @@ export class FragmentContext {
 export class JustHTML {
   constructor(input, options = {}) {
     const normalized = normalizeOptions(options);
-    this.options = normalized;
-    this.fragmentContext = normalizeFragmentContext(options.fragmentContext);
-
+    const fragmentContext = normalizeFragmentContext(options.fragmentContext);
     const { text, encoding } = decodeHTML(input, normalized.encoding ?? null);
-    this.encoding = encoding;
-
-    const collectErrors = Boolean(normalized.collectErrors || normalized.strict);
-    const tokenized = tokenizeHTML(text, { collectErrors });
-    const built = buildTree(tokenized.tokens, text, {
-      fragment: Boolean(normalized.fragment || this.fragmentContext),
-      fragmentContext: this.fragmentContext,
-      collectErrors,
-      trackNodeLocations: Boolean(normalized.trackNodeLocations)
-    });
-
-    this.root = built.root;
-    this.errors = sortErrors([...(tokenized.errors || []), ...(built.errors || [])]);
-
-    if (normalized.strict && this.errors.length) {
-      throw new StrictModeError(this.errors[0]);
-    }
+    const builder = new TreeBuilder(treeBuilderOptions(normalized, fragmentContext));
+    builder.write(text);
+    initDocument(this, builder.end(), normalized, fragmentContext, encoding);
+  }
+
+  get compatMode() {
+    return this.root.mode === "quirks" ? "BackCompat" : "CSS1Compat";
   }
 
-  query(selector) {
-    return this.root.query(selector);
+  positionAt(offset) {
+    return this.lineIndex.positionAt(offset);
   }
 
-  queryOne(selector) {
-    return this.root.queryOne(selector);
+  offsetAt(line, column = 1) {
+    return this.lineIndex.offsetAt(line, column);
+  }
+
+  query(selector, options = {}) {
+    return this.root.query(selector, options);
+  }
+
+  queryOne(selector, options = {}) {
+    return this.root.queryOne(selector, options);
+  }
+
+  xpath(expression, contextNode = null, options = {}) {
+    return evaluateXPath(expression, contextNode ?? this.root, options);
   }
 
   toHTML(options = {}) {
-    return toHTML(this.root, options);
+    return toHTML(this.root, { scripting: this.options.scriptingEnabled !== false, ...options });
+  }
+
+  toXHTML(options = {}) {
+    return this.toHTML({ ...options, syntax: "xml" });
   }
 
   toText(options = {}) {
@@ -62,8 +66,8 @@ export class JustHTML {
     return this.toText(options);
   }
 
-  query_one(selector) {
-    return this.queryOne(selector);
+  query_one(selector, options = {}) {
+    return this.queryOne(selector, options);
   }
 
   static escapeJSString(value, { quote = '"' } = {}) {
@@ -95,6 +99,49 @@ export class JustHTML {
   }
 }
 
+export class IncrementalParser {
+  constructor(options = {}) {
+    this.options = normalizeOptions(options);
+    this.fragmentContext = normalizeFragmentContext(options.fragmentContext);
+    this.decoder = new StreamDecoder(this.options.encoding ?? null);
+    this.builder = new TreeBuilder(treeBuilderOptions(this.options, this.fragmentContext));
+    this.ended = false;
+    this.result = null;
+    this.error = null;
+  }
+
+  write(chunk) {
+    if (this.ended) {
+      throw new Error("Cannot write after end()");
+    }
+    this.builder.write(this.decoder.decode(chunk));
+    return this;
+  }
+
+  end(chunk = null) {
+    if (chunk !== null && chunk !== undefined) {
+      this.write(chunk);
+    }
+    if (!this.ended) {
+      this.ended = true;
+      try {
+        this.builder.write(this.decoder.end());
+        this.result = finishSession(this);
+      } catch (error) {
+        this.error = error;
+      }
+    }
+    if (this.error) {
+      throw this.error;
+    }
+    return this.result;
+  }
+}
+
+export function createParser(options = {}) {
+  return new IncrementalParser(options);
+}
+
 export function parse(input, options = {}) {
   return new JustHTML(input, options);
 }
@@ -109,8 +156,34 @@ export function parseFragment(input, contextOrOptions = {}) {
   return new JustHTML(input, { ...contextOrOptions, fragment: true });
 }
 
+export function minify(input, options = {}) {
+  const { encoding = null, fragment = false, scriptingEnabled = true, ...minifyOptions } = options;
+  const { root } = buildTree(decodeHTML(input, encoding).text, { fragment, scripting: scriptingEnabled !== false });
+  return toHTML(root, { scripting: scriptingEnabled !== false, minify: minifyOptions });
+}
+
 export { HTML_CONTEXT as HTMLContext };
-export { matches, query } from "./selector.js";
+export { AttributeNode, evaluateXPath, NamespaceNode } from "./xpath.js";
+export { clearSelectorCache, compileSelector, CompiledSelector, matches, query, registerPseudo } from "./selector.js";
+
+function finishSession(session) {
+  const doc = Object.create(JustHTML.prototype);
+  initDocument(doc, session.builder.end(), session.options, session.fragmentContext, session.decoder.encoding);
+  return doc;
+}
+
+function initDocument(doc, built, options, fragmentContext, encoding) {
+  doc.options = options;
+  doc.fragmentContext = fragmentContext;
+  doc.encoding = encoding;
+  doc.root = built.root;
+  doc.lineIndex = built.lineIndex;
+  doc.errors = sortErrors(built.errors || []);
+
+  if (options.strict && doc.errors.length) {
+    throw new StrictModeError(doc.errors[0]);
+  }
+}
 
 function normalizeFragmentContext(fragmentContext) {
   if (!fragmentContext) {
@@ -122,6 +195,17 @@ function normalizeFragmentContext(fragmentContext) {
   return new FragmentContext(fragmentContext.tagName, fragmentContext.namespace ?? null);
 }
 
+function treeBuilderOptions(normalized, fragmentContext) {
+  return {
+    fragment: Boolean(normalized.fragment || fragmentContext),
+    fragmentContext,
+    collectErrors: Boolean(normalized.collectErrors || normalized.strict),
+    trackNodeLocations: Boolean(normalized.trackNodeLocations),
+    scripting: normalized.scriptingEnabled !== false,
+    iframeSrcdoc: Boolean(normalized.iframeSrcdoc)
+  };
+}
+
 function normalizeOptions(options) {
   const normalized = { ...options };
 
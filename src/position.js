@@ -0,0 +1,60 @@
+export class LineIndex {
+  constructor(text = "") {
+    this.lineStarts = [0];
+    this.length = 0;
+    this.pendingCR = false;
+    this.append(text);
+  }
+
+  append(text) {
+    const base = this.length;
+    let i = 0;
+    if (this.pendingCR) {
+      this.pendingCR = false;
+      if (text.length && text[0] === "\n") {
+        i = 1;
+      }
+      this.lineStarts.push(base + i);
+    }
+    for (; i < text.length; i += 1) {
+      const ch = text.charCodeAt(i);
+      if (ch === 10) {
+        this.lineStarts.push(base + i + 1);
+      } else if (ch === 13) {
+        if (i + 1 === text.length) {
+          this.pendingCR = true;
+        } else {
+          if (text.charCodeAt(i + 1) === 10) {
+            i += 1;
+          }
+          this.lineStarts.push(base + i + 1);
+        }
+      }
+    }
+    this.length += text.length;
+  }
+
+  positionAt(offset) {
+    const target = Math.max(0, Math.min(Number(offset) || 0, this.length));
+    const starts = this.lineStarts;
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= target) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: target - starts[low] + 1 };
+  }
+
+  offsetAt(line, column = 1) {
+    const starts = this.lineStarts;
+    const index = Math.max(0, Math.min(Math.trunc(Number(line) || 1) - 1, starts.length - 1));
+    const start = starts[index];
+    const end = index + 1 < starts.length ? starts[index + 1] : this.length;
+    return Math.max(start, Math.min(start + Math.trunc(Number(column) || 1) - 1, end));
+  }
+}
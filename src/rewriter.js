@@ -0,0 +1,462 @@
+import { VOID_ELEMENTS } from "./constants.js";
+import { StreamDecoder } from "./encoding.js";
+import { SelectorError } from "./errors.js";
+import { Document, Element } from "./node.js";
+import { compileSelector, matchesSelectorList } from "./selector.js";
+import { escapeText, serializeAttrs } from "./serialize.js";
+import { contentNamespace, createHTMLTokenizer, inferTokenizerNamespace, TokenKind } from "./tokenizer.js";
+import { CLOSE_P_START_TAGS } from "./treebuilder.js";
+import { readChunks } from "./stream.js";
+
+const LOOKAHEAD_PSEUDO_CLASSES = new Set([
+  "empty", "has", "last-child", "last-of-type", "nth-last-child", "nth-last-of-type", "only-child", "only-of-type"
+]);
+const SELECTOR_LIST_PSEUDO_CLASSES = new Set(["is", "not", "where"]);
+const TABLE_CELL_CLOSERS = new Set(["td", "th", "tr", "tbody", "thead", "tfoot"]);
+const TABLE_SECTION_CLOSERS = new Set(["tbody", "thead", "tfoot"]);
+const IMPLIED_CLOSERS = new Map([
+  ["p", new Set([
+    ...CLOSE_P_START_TAGS, "h1", "h2", "h3", "h4", "h5", "h6", "pre", "listing", "form", "li", "dd", "dt",
+    "plaintext", "table", "hr", "xmp"
+  ])],
+  ["li", new Set(["li"])],
+  ["dt", new Set(["dt", "dd"])],
+  ["dd", new Set(["dt", "dd"])],
+  ["option", new Set(["option", "optgroup"])],
+  ["optgroup", new Set(["optgroup"])],
+  ["td", TABLE_CELL_CLOSERS],
+  ["th", TABLE_CELL_CLOSERS],
+  ["tr", new Set(["tr", ...TABLE_SECTION_CLOSERS])],
+  ["thead", TABLE_SECTION_CLOSERS],
+  ["tbody", TABLE_SECTION_CLOSERS],
+  ["tfoot", TABLE_SECTION_CLOSERS]
+]);
+
+export class RewriterElement {
+  constructor(node, selfClosing) {
+    this.node = node;
+    this.selfClosing = selfClosing;
+    this.attrs = { ...node.attrs };
+    this.attrsChanged = false;
+    this.beforeContent = "";
+    this.prependContent = "";
+    this.appendContent = "";
+    this.afterContent = "";
+    this.innerContent = null;
+    this.replacement = null;
+    this.removed = false;
+  }
+
+  get tagName() {
+    return this.node.name;
+  }
+
+  get namespace() {
+    return this.node.namespace;
+  }
+
+  get attributes() {
+    return { ...this.attrs };
+  }
+
+  get canHaveContent() {
+    return !this.selfClosing && !(this.namespace === "html" && VOID_ELEMENTS.has(this.tagName));
+  }
+
+  getAttribute(name) {
+    const key = String(name).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(this.attrs, key) ? this.attrs[key] : null;
+  }
+
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, String(name).toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    this.attrs[String(name).toLowerCase()] = String(value ?? "");
+    this.attrsChanged = true;
+    return this;
+  }
+
+  removeAttribute(name) {
+    const key = String(name).toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(this.attrs, key)) {
+      delete this.attrs[key];
+      this.attrsChanged = true;
+    }
+    return this;
+  }
+
+  before(content, options) {
+    this.beforeContent += toMarkup(content, options);
+    return this;
+  }
+
+  after(content, options) {
+    this.afterContent = toMarkup(content, options) + this.afterContent;
+    return this;
+  }
+
+  prepend(content, options) {
+    this.prependContent = toMarkup(content, options) + this.prependContent;
+    return this;
+  }
+
+  append(content, options) {
+    this.appendContent += toMarkup(content, options);
+    return this;
+  }
+
+  setInnerContent(content, options) {
+    this.innerContent = toMarkup(content, options);
+    this.prependContent = "";
+    this.appendContent = "";
+    return this;
+  }
+
+  replace(content, options) {
+    this.replacement = toMarkup(content, options);
+    this.removed = true;
+    return this;
+  }
+
+  remove() {
+    this.replacement = "";
+    this.removed = true;
+    return this;
+  }
+}
+
+export class Rewriter {
+  constructor(handlers, options = {}) {
+    this.handlers = normalizeHandlers(handlers);
+    this.siblings = new SiblingTracker(this.handlers.map(({ selector }) => selector.selectors));
+    this.matchContext = { siblings: this.siblings };
+    this.decoder = new StreamDecoder(options.encoding ?? null);
+    this.tokenizer = createHTMLTokenizer((token) => this.processToken(token));
+    this.document = new Document();
+    this.stack = [];
+    this.suppressed = 0;
+    this.source = "";
+    this.sourceOffset = 0;
+    this.output = "";
+    this.ended = false;
+  }
+
+  write(chunk) {
+    if (this.ended) {
+      throw new Error("Cannot write after end()");
+    }
+    this.feed(this.decoder.decode(chunk));
+    this.tokenizer.run();
+    return this.takeOutput();
+  }
+
+  end(chunk = null) {
+    let output = "";
+    if (chunk !== null && chunk !== undefined) {
+      output = this.write(chunk);
+    }
+    if (this.ended) {
+      return output;
+    }
+    this.ended = true;
+    this.feed(this.decoder.end());
+    this.tokenizer.end();
+    this.tokenizer.run();
+    this.copySource(this.sourceOffset + this.source.length);
+    while (this.stack.length) {
+      this.closeTop(null);
+    }
+    return output + this.takeOutput();
+  }
+
+  feed(text) {
+    this.source += text;
+    this.tokenizer.feed(text);
+  }
+
+  takeOutput() {
+    const output = this.output;
+    this.output = "";
+    return output;
+  }
+
+  emit(text) {
+    if (!this.suppressed) {
+      this.output += text;
+    }
+  }
+
+  copySource(end) {
+    if (end <= this.sourceOffset) {
+      return;
+    }
+    this.emit(this.source.slice(0, end - this.sourceOffset));
+    this.skipSource(end);
+  }
+
+  skipSource(end) {
+    if (end <= this.sourceOffset) {
+      return;
+    }
+    this.source = this.source.slice(end - this.sourceOffset);
+    this.sourceOffset = end;
+  }
+
+  processToken(token) {
+    switch (token.kind) {
+      case TokenKind.START_TAG:
+        this.copySource(token.pos);
+        this.startTag(token);
+        return;
+      case TokenKind.END_TAG:
+        this.copySource(token.pos);
+        this.endTag(token);
+        return;
+      case TokenKind.EOF:
+        return;
+      default:
+        this.copySource(token.end);
+    }
+  }
+
+  startTag(token) {
+    while (this.stack.length && impliedClose(this.stack[this.stack.length - 1].node, token.name)) {
+      this.closeTop(null);
+    }
+
+    const top = this.stack[this.stack.length - 1];
+    const parent = top ? top.node : this.document;
+    const namespace = inferTokenizerNamespace(token.name, top ? top.childNamespace : "html");
+    const node = new Element(token.name, { ...token.attrs }, namespace);
+    node.parent = parent;
+    parent.children.push(node);
+    this.siblings.enter(node, this.matchContext);
+
+    const element = new RewriterElement(node, Boolean(token.selfClosing));
+    if (!this.suppressed) {
+      for (const { selector, handler } of this.handlers) {
+        if (selector.match(node, this.matchContext)) {
+          handler(element);
+        }
+      }
+    }
+
+    this.emit(element.beforeContent);
+    if (element.removed) {
+      this.emit(element.replacement);
+      this.skipSource(token.end);
+    } else if (element.attrsChanged) {
+      this.emit(`<${token.name}${serializeAttrs(element.attrs)}${token.selfClosing ? " /" : ""}>`);
+      this.skipSource(token.end);
+    } else {
+      this.copySource(token.end);
+    }
+
+    const entry = { node, element, suppresses: element.removed, childNamespace: contentNamespace(token.name, namespace, token.attrs) };
+    if (!element.removed && element.canHaveContent) {
+      if (element.innerContent !== null) {
+        this.emit(element.innerContent);
+        entry.suppresses = true;
+      } else {
+        this.emit(element.prependContent);
+      }
+    }
+    if (entry.suppresses) {
+      this.suppressed += 1;
+    }
+    this.stack.push(entry);
+    if (!element.canHaveContent) {
+      this.closeTop(null);
+    }
+  }
+
+  endTag(token) {
+    let index = this.stack.length - 1;
+    while (index >= 0 && this.stack[index].node.name !== token.name) {
+      index -= 1;
+    }
+    if (index < 0) {
+      this.copySource(token.end);
+      return;
+    }
+    while (this.stack.length - 1 > index) {
+      this.closeTop(null);
+    }
+    this.closeTop(token);
+  }
+
+  closeTop(endToken) {
+    const { node, element, suppresses } = this.stack.pop();
+    node.parent.children.pop();
+    this.siblings.leave(node);
+    if (suppresses) {
+      this.suppressed -= 1;
+    }
+    if (!element.removed && element.canHaveContent) {
+      this.emit(element.appendContent);
+    }
+    if (endToken) {
+      if (element.removed) {
+        this.skipSource(endToken.end);
+      } else {
+        this.copySource(endToken.end);
+      }
+    }
+    this.emit(element.afterContent);
+  }
+}
+
+class SiblingTracker {
+  constructor(selectorLists) {
+    this.prefixes = new Map();
+    this.filters = new Set();
+    this.parents = new Map();
+    this.nodes = new Map();
+    for (const selectors of selectorLists) {
+      this.collect(selectors);
+    }
+  }
+
+  collect(selectors) {
+    for (const steps of selectors) {
+      steps.forEach(({ combinator, compound }, index) => {
+        if (index > 0 && (combinator === "+" || combinator === "~")) {
+          this.prefixes.set(steps[index - 1], [steps.slice(0, index)]);
+        }
+        for (const pseudo of compound.pseudos) {
+          const of = pseudo.argument?.of;
+          if (Array.isArray(of)) {
+            this.filters.add(of);
+          }
+          const nested = SELECTOR_LIST_PSEUDO_CLASSES.has(pseudo.name) ? pseudo.argument : of;
+          if (Array.isArray(nested)) {
+            this.collect(nested);
+          }
+        }
+      });
+    }
+  }
+
+  enter(node, context) {
+    let siblings = this.parents.get(node.parent);
+    if (!siblings) {
+      siblings = { counts: new Map(), previous: new Set(), preceding: new Set() };
+      this.parents.set(node.parent, siblings);
+    }
+    const state = { positions: new Map(), previous: siblings.previous, preceding: siblings.preceding };
+    this.nodes.set(node, state);
+    const keys = [null, `${node.namespace} ${node.name}`];
+    for (const of of this.filters) {
+      if (matchesSelectorList(node, of, context)) {
+        keys.push(of);
+      }
+    }
+    for (const key of keys) {
+      const position = (siblings.counts.get(key) ?? 0) + 1;
+      siblings.counts.set(key, position);
+      state.positions.set(key, position);
+    }
+    const matched = new Set();
+    for (const [step, prefix] of this.prefixes) {
+      if (matchesSelectorList(node, prefix, context)) {
+        matched.add(step);
+      }
+    }
+    siblings.previous = matched;
+    if ([...matched].some((step) => !siblings.preceding.has(step))) {
+      siblings.preceding = new Set([...siblings.preceding, ...matched]);
+    }
+  }
+
+  leave(node) {
+    this.nodes.delete(node);
+    this.parents.delete(node);
+  }
+
+  position(node, key) {
+    return this.nodes.get(node)?.positions.get(key) ?? 0;
+  }
+
+  previous(node) {
+    return this.nodes.get(node)?.previous ?? new Set();
+  }
+
+  preceding(node) {
+    return this.nodes.get(node)?.preceding ?? new Set();
+  }
+}
+
+export function rewrite(input, handlers, options = {}) {
+  return new Rewriter(handlers, options).end(input);
+}
+
+export async function* rewriteAsync(source, handlers, options = {}) {
+  const rewriter = new Rewriter(handlers, options);
+  for await (const chunk of readChunks(source)) {
+    const output = rewriter.write(chunk);
+    if (output) {
+      yield output;
+    }
+  }
+  const output = rewriter.end();
+  if (output) {
+    yield output;
+  }
+}
+
+function normalizeHandlers(handlers) {
+  const entries = Array.isArray(handlers) ? handlers : Object.entries(handlers || {});
+  return entries.map(([selector, handler]) => {
+    const callback = typeof handler === "function" ? handler : handler?.element?.bind(handler);
+    if (typeof callback !== "function") {
+      throw new TypeError(`Handler for selector "${selector}" must be a function or an object with an element() method`);
+    }
+    return { selector: compileStreamingSelector(selector), handler: callback };
+  });
+}
+
+function compileStreamingSelector(selector) {
+  const compiled = compileSelector(selector);
+  const name = findLookaheadPseudo(compiled.selectors);
+  if (name) {
+    const offset = Math.max(0, compiled.source.toLowerCase().indexOf(`:${name}`));
+    throw new SelectorError(`:${name} depends on later markup`, {
+      selector: compiled.source,
+      offset,
+      token: `:${name}`,
+      kind: "unsupported"
+    });
+  }
+  return compiled;
+}
+
+function findLookaheadPseudo(selectors) {
+  for (const steps of selectors) {
+    for (const { compound } of steps) {
+      for (const pseudo of compound.pseudos) {
+        if (LOOKAHEAD_PSEUDO_CLASSES.has(pseudo.name)) {
+          return pseudo.name;
+        }
+        const nested = SELECTOR_LIST_PSEUDO_CLASSES.has(pseudo.name) ? pseudo.argument : pseudo.argument?.of;
+        const found = Array.isArray(nested) ? findLookaheadPseudo(nested) : null;
+        if (found) {
+          return found;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function impliedClose(node, tagName) {
+  if (node.namespace !== "html") {
+    return false;
+  }
+  return IMPLIED_CLOSERS.get(node.name)?.has(tagName) || false;
+}
+
+function toMarkup(content, { html = false } = {}) {
+  return html ? String(content ?? "") : escapeText(content);
+}
@@ -1,14 +1,1120 @@
-export function query(root, selector) {
+import { NAMESPACES } from "./constants.js";
+import { SelectorError } from "./errors.js";
+
+const WHITESPACE = /[ \t\n\r\f]/;
+const NAME_CHAR = /[a-zA-Z0-9_\-\u0080-\uffff]/;
+const NAME_START = /[a-zA-Z_\u0080-\uffff]/;
+const HEX_DIGIT = /[0-9a-fA-F]/;
+const ATTRIBUTE_OPERATORS = ["~=", "|=", "^=", "$=", "*=", "="];
+
+const NTH_PATTERN = /^(?:(odd)|(even)|([+-]?\d*)n(?:[ \t\n\r\f]*([+-])[ \t\n\r\f]*(\d+))?|([+-]?\d+))$/i;
+const FORM_CONTROLS = new Set(["button", "input", "select", "textarea"]);
+const ENABLEABLE = new Set([...FORM_CONTROLS, "fieldset", "optgroup", "option"]);
+
+const CSS_PSEUDO_CLASSES = new Set([
+  "active", "any-link", "autofill", "blank", "buffering", "current", "default", "dir", "focus", "focus-visible",
+  "focus-within", "fullscreen", "future", "host", "host-context", "hover", "in-range", "indeterminate", "invalid",
+  "lang", "local-link", "modal", "muted", "nth-col", "nth-last-col", "open", "optional", "out-of-range", "past",
+  "paused", "picture-in-picture", "placeholder-shown", "playing", "popover-open", "read-only", "read-write",
+  "required", "seeking", "stalled", "state", "target", "target-within", "user-invalid", "user-valid", "valid",
+  "visited", "volume-locked"
+]);
+const LEGACY_PSEUDO_ELEMENTS = new Set(["after", "before", "first-letter", "first-line"]);
+const CSS_PSEUDO_ELEMENTS = new Set([
+  "after", "backdrop", "before", "cue", "cue-region", "file-selector-button", "first-letter", "first-line",
+  "grammar-error", "highlight", "marker", "part", "placeholder", "selection", "slotted", "spelling-error",
+  "target-text", "view-transition", "view-transition-group", "view-transition-image-pair", "view-transition-new",
+  "view-transition-old"
+]);
+
+const NAMESPACE_URIS = new Map(Object.entries(NAMESPACES).map(([name, uri]) => [uri, name]));
+const DEFAULT_NAMESPACES = new Map(Object.keys(NAMESPACES).map((name) => [name, name]));
+
+const SCOPE_COMPOUND = Object.freeze({ scope: true, namespace: "*", tag: null, ids: [], classes: [], attributes: [], pseudos: [] });
+const ZERO_SPECIFICITY = Object.freeze([0, 0, 0]);
+const SELECTOR_CACHE_LIMIT = 512;
+const selectorCache = new Map();
+
+const PSEUDO_CLASSES = new Map([
+  ["root", { match: (node) => node.parent?.name === "#document" }],
+  ["empty", { match: (node) => node.children.every((child) => child.name === "#comment" || (child.name === "#text" && !child.data)) }],
+  ["first-child", { match: (node, argument, context) => nthIndex(node, null, false, context) === 1 }],
+  ["last-child", { match: (node, argument, context) => nthIndex(node, null, true, context) === 1 }],
+  [
+    "only-child",
+    { match: (node, argument, context) => nthIndex(node, null, false, context) === 1 && nthIndex(node, null, true, context) === 1 }
+  ],
+  ["first-of-type", { match: (node, argument, context) => nthIndex(node, sameType(node), false, context) === 1 }],
+  ["last-of-type", { match: (node, argument, context) => nthIndex(node, sameType(node), true, context) === 1 }],
+  [
+    "only-of-type",
+    {
+      match: (node, argument, context) => nthIndex(node, sameType(node), false, context) === 1 && nthIndex(node, sameType(node), true, context) === 1
+    }
+  ],
+  ["nth-child", nthPseudo(false, false)],
+  ["nth-last-child", nthPseudo(true, false)],
+  ["nth-of-type", nthPseudo(false, true)],
+  ["nth-last-of-type", nthPseudo(true, true)],
+  ["checked", { match: isChecked }],
+  ["disabled", { match: (node) => isHTMLElement(node) && ENABLEABLE.has(node.name) && isDisabled(node) }],
+  ["enabled", { match: (node) => isHTMLElement(node) && ENABLEABLE.has(node.name) && !isDisabled(node) }],
+  ["link", { match: (node) => isHTMLElement(node) && (node.name === "a" || node.name === "area") && hasAttr(node, "href") }],
+  ["defined", { match: (node) => !isHTMLElement(node) || !node.name.includes("-") }],
+  ["scope", { match: (node, argument, context) => (context.scope ? node === context.scope : node.parent?.name === "#document") }],
+  ["is", { takesArgument: true, parse: parseForgivingList, match: matchesSelectorList, specificity: selectorListSpecificity }],
+  ["where", { takesArgument: true, parse: parseForgivingList, match: matchesSelectorList, specificity: () => ZERO_SPECIFICITY }],
+  [
+    "not",
+    {
+      takesArgument: true,
+      parse: parseSelector,
+      match: (node, selectors, context) => !matchesSelectorList(node, selectors, context),
+      specificity: selectorListSpecificity
+    }
+  ],
+  [
+    "has",
+    {
+      takesArgument: true,
+      parse: parseRelativeList,
+      match: matchesRelativeList,
+      specificity: (relatives) => selectorListSpecificity(relatives.map((relative) => relative.steps))
+    }
+  ]
+]);
+const BUILTIN_PSEUDO_CLASSES = new Set(PSEUDO_CLASSES.keys());
+
+export class CompiledSelector {
+  constructor(source, selectors) {
+    this.source = source;
+    this.selectors = selectors;
+    this.specificity = selectorListSpecificity(selectors);
+    Object.freeze(this);
+  }
+
+  match(node, context = { hasCache: new Map(), siblingCache: new Map() }) {
+    return matchesSelectorList(node, this.selectors, context);
+  }
+
+  queryAll(root) {
+    const context = { hasCache: new Map(), siblingCache: new Map(), scope: root };
+    const out = [];
+    walkDescendants(root, (node) => {
+      if (this.match(node, context)) {
+        out.push(node);
+      }
+      return false;
+    });
+    return out;
+  }
+
+  queryFirst(root) {
+    const context = { hasCache: new Map(), siblingCache: new Map(), scope: root };
+    let found = null;
+    walkDescendants(root, (node) => {
+      if (this.match(node, context)) {
+        found = node;
+        return true;
+      }
+      return false;
+    });
+    return found;
+  }
+
+  toString() {
+    return this.source;
+  }
+}
+
+export function compileSelector(selector, { namespaces = null } = {}) {
+  if (selector instanceof CompiledSelector) {
+    return selector;
+  }
+  const source = String(selector ?? "");
+  const key = namespaces ? `${namespaceCacheKey(namespaces)}\n${source}` : source;
+  let compiled = selectorCache.get(key);
+  if (compiled) {
+    selectorCache.delete(key);
+  } else {
+    compiled = new CompiledSelector(source, parseSelector(source, { namespaces }));
+    if (selectorCache.size >= SELECTOR_CACHE_LIMIT) {
+      selectorCache.delete(selectorCache.keys().next().value);
+    }
+  }
+  selectorCache.set(key, compiled);
+  return compiled;
+}
+
+export function clearSelectorCache() {
+  selectorCache.clear();
+}
+
+export function registerPseudo(name, match, { parse = parsePseudoArgument } = {}) {
+  const key = String(name ?? "").toLowerCase();
+  if (!/^-?[a-z_][a-z0-9_-]*$/.test(key)) {
+    throw new TypeError(`Invalid pseudo-class name: ${name}`);
+  }
+  if (BUILTIN_PSEUDO_CLASSES.has(key)) {
+    throw new Error(`Cannot redefine built-in pseudo-class :${key}`);
+  }
+  if (typeof match !== "function") {
+    throw new TypeError(`Pseudo-class :${key} needs a match function`);
+  }
+  PSEUDO_CLASSES.set(key, {
+    takesArgument: "optional",
+    parse: (argument) => (argument === null ? null : parse(argument)),
+    match: (node, argument) => Boolean(match(node, argument))
+  });
+  clearSelectorCache();
+}
+
+export function query(root, selector, options = {}) {
   if (!root || typeof root.query !== "function") {
     throw new Error("query() expects a node-like root with a query() method");
   }
-  return root.query(selector);
+  return root.query(selector, options);
+}
+
+export function matches(node, selector, options = {}) {
+  return compileSelector(selector, options).match(node, { hasCache: new Map(), siblingCache: new Map(), scope: node });
+}
+
+export function parseSelector(selector, options = {}) {
+  return new SelectorParser(selector, options).parse();
+}
+
+export function matchesSelectorList(node, selectors, context = {}) {
+  if (!isElement(node)) {
+    return false;
+  }
+  for (const complex of selectors) {
+    if (matchesComplex(node, complex, complex.length - 1, context)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function resolveNamespaces(namespaces) {
+  if (!namespaces) {
+    return DEFAULT_NAMESPACES;
+  }
+  const resolved = new Map(DEFAULT_NAMESPACES);
+  for (const [prefix, namespace] of namespaces instanceof Map ? namespaces : Object.entries(namespaces)) {
+    resolved.set(prefix, namespace === null || namespace === "" ? null : NAMESPACE_URIS.get(namespace) ?? String(namespace));
+  }
+  return resolved;
+}
+
+export function splitAttributeName(node, key) {
+  if (node.namespace !== "html") {
+    const colon = key.indexOf(":");
+    const prefix = colon === -1 ? key : key.slice(0, colon);
+    if (prefix === "xmlns") {
+      return ["xmlns", colon === -1 ? key : key.slice(colon + 1)];
+    }
+    if (colon !== -1 && (prefix === "xlink" || prefix === "xml")) {
+      return [prefix, key.slice(colon + 1)];
+    }
+  }
+  return [null, key];
+}
+
+class SelectorParser {
+  constructor(text, { namespaces = null } = {}) {
+    this.text = String(text ?? "");
+    this.pos = 0;
+    this.namespaces = resolveNamespaces(namespaces);
+  }
+
+  parse({ relative = false } = {}) {
+    if (!this.text.trim()) {
+      this.fail("Empty selector");
+    }
+    const selectors = [this.parseComplex(relative)];
+    this.skipWhitespace();
+    while (this.peek() === ",") {
+      this.pos += 1;
+      selectors.push(this.parseComplex(relative));
+      this.skipWhitespace();
+    }
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected "${this.peek()}"`);
+    }
+    return selectors;
+  }
+
+  parseComplex(relative) {
+    this.skipWhitespace();
+    const steps = [];
+    const lead = this.peek();
+    if (relative || lead === ">" || lead === "+" || lead === "~") {
+      let combinator = " ";
+      if (lead === ">" || lead === "+" || lead === "~") {
+        combinator = lead;
+        this.pos += 1;
+        this.skipWhitespace();
+      }
+      steps.push({ combinator: null, compound: SCOPE_COMPOUND }, { combinator, compound: this.parseCompound() });
+    } else {
+      steps.push({ combinator: null, compound: this.parseCompound() });
+    }
+    while (true) {
+      const hadWhitespace = this.skipWhitespace();
+      const ch = this.peek();
+      let combinator = null;
+      if (ch === ">" || ch === "+" || ch === "~") {
+        combinator = ch;
+        this.pos += 1;
+        this.skipWhitespace();
+      } else if (hadWhitespace && ch && ch !== ",") {
+        combinator = " ";
+      } else {
+        return steps;
+      }
+      steps.push({ combinator, compound: this.parseCompound() });
+    }
+  }
+
+  parseCompound() {
+    const compound = { namespace: this.namespaces.has("") ? this.namespaces.get("") : "*", tag: null, ids: [], classes: [], attributes: [], pseudos: [] };
+    const start = this.pos;
+    const prefix = this.parseNamespacePrefix();
+    if (prefix !== undefined) {
+      compound.namespace = prefix;
+    }
+    if (this.peek() === "*") {
+      this.pos += 1;
+    } else if (this.startsIdentifier()) {
+      compound.tag = this.parseIdentifier().toLowerCase();
+    } else if (prefix !== undefined) {
+      this.fail("Expected a type selector after the namespace prefix");
+    }
+
+    while (this.pos < this.text.length) {
+      const ch = this.peek();
+      if (ch === "#") {
+        this.pos += 1;
+        compound.ids.push(this.parseIdentifier());
+      } else if (ch === ".") {
+        this.pos += 1;
+        compound.classes.push(this.parseIdentifier());
+      } else if (ch === "[") {
+        compound.attributes.push(this.parseAttribute());
+      } else if (ch === ":") {
+        compound.pseudos.push(this.parsePseudo());
+      } else {
+        break;
+      }
+    }
+
+    if (this.pos === start) {
+      this.fail(this.pos < this.text.length ? `Unexpected "${this.peek()}"` : "Expected a selector");
+    }
+    return compound;
+  }
+
+  parseAttribute() {
+    this.pos += 1;
+    this.skipWhitespace();
+    const namespace = this.parseNamespacePrefix() ?? null;
+    const name = this.parseIdentifier().toLowerCase();
+    this.skipWhitespace();
+    if (this.peek() === "]") {
+      this.pos += 1;
+      return { namespace, name, operator: null, value: null, caseInsensitive: false };
+    }
+    const operator = ATTRIBUTE_OPERATORS.find((op) => this.text.startsWith(op, this.pos));
+    if (!operator) {
+      this.fail("Expected an attribute operator");
+    }
+    this.pos += operator.length;
+    this.skipWhitespace();
+    const quote = this.peek();
+    const value = quote === '"' || quote === "'" ? this.parseString() : this.parseIdentifier();
+    this.skipWhitespace();
+    let caseInsensitive = false;
+    const flag = this.peek();
+    if (flag === "i" || flag === "I" || flag === "s" || flag === "S") {
+      caseInsensitive = flag.toLowerCase() === "i";
+      this.pos += 1;
+      this.skipWhitespace();
+    }
+    if (this.peek() !== "]") {
+      this.fail('Expected "]"');
+    }
+    this.pos += 1;
+    return { namespace, name, operator, value, caseInsensitive };
+  }
+
+  parseNamespacePrefix() {
+    const start = this.pos;
+    let prefix = null;
+    if (this.peek() === "*") {
+      this.pos += 1;
+      prefix = "*";
+    } else if (this.startsIdentifier()) {
+      prefix = this.parseIdentifier();
+    } else {
+      prefix = "";
+    }
+    if (this.peek() !== "|" || this.text[this.pos + 1] === "=" || this.text[this.pos + 1] === "|") {
+      this.pos = start;
+      return undefined;
+    }
+    this.pos += 1;
+    if (prefix === "*" || prefix === "") {
+      return prefix || null;
+    }
+    const namespace = this.namespaces.get(prefix);
+    if (namespace === undefined) {
+      this.fail(`Undeclared namespace prefix "${prefix}"`, { offset: start, token: prefix });
+    }
+    return namespace;
+  }
+
+  parsePseudo() {
+    const start = this.pos;
+    this.pos += 1;
+    if (this.peek() === ":") {
+      this.pos += 1;
+      const name = this.parseIdentifier().toLowerCase();
+      const kind = CSS_PSEUDO_ELEMENTS.has(name) ? "unsupported" : "invalid";
+      this.fail(kind === "unsupported" ? "Pseudo-elements are not supported" : "Unknown pseudo-element", {
+        kind,
+        offset: start,
+        token: `::${name}`
+      });
+    }
+    const name = this.parseIdentifier().toLowerCase();
+    let argument = null;
+    let argumentStart = null;
+    if (this.peek() === "(") {
+      argumentStart = this.pos + 1;
+      argument = this.parseArgument();
+    }
+    const definition = PSEUDO_CLASSES.get(name);
+    if (!definition) {
+      const legacy = LEGACY_PSEUDO_ELEMENTS.has(name);
+      const kind = legacy || CSS_PSEUDO_CLASSES.has(name) ? "unsupported" : "invalid";
+      const reason = legacy ? "Pseudo-elements are not supported" : `Pseudo-class :${name} is not supported`;
+      this.fail(kind === "unsupported" ? reason : `Unknown pseudo-class :${name}`, {
+        kind,
+        offset: start,
+        token: `:${name}`
+      });
+    }
+    if (definition.takesArgument !== "optional" && (argument === null) !== !definition.takesArgument) {
+      this.fail(definition.takesArgument ? `:${name}() requires an argument` : `:${name} does not take an argument`, {
+        offset: start,
+        token: `:${name}`
+      });
+    }
+    if (!definition.parse) {
+      return { name, argument, match: definition.match };
+    }
+    try {
+      return { name, argument: definition.parse(argument, { namespaces: this.namespaces }), match: definition.match };
+    } catch (error) {
+      if (!(error instanceof SelectorError)) {
+        throw error;
+      }
+      this.fail(error.reason, { kind: error.kind, offset: argumentStart + error.offset, token: error.token });
+    }
+  }
+
+  parseArgument() {
+    this.pos += 1;
+    const start = this.pos;
+    let depth = 1;
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === "\\") {
+        this.pos += 2;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        this.parseString();
+        continue;
+      }
+      if (ch === "(") {
+        depth += 1;
+      } else if (ch === ")") {
+        depth -= 1;
+        if (depth === 0) {
+          this.pos += 1;
+          return this.text.slice(start, this.pos - 1);
+        }
+      }
+      this.pos += 1;
+    }
+    this.fail('Expected ")"');
+  }
+
+  parseName() {
+    let out = "";
+    while (this.pos < this.text.length) {
+      const ch = this.peek();
+      if (ch === "\\") {
+        out += this.parseEscape();
+      } else if (NAME_CHAR.test(ch)) {
+        out += ch;
+        this.pos += 1;
+      } else {
+        break;
+      }
+    }
+    if (!out) {
+      this.fail("Expected a name");
+    }
+    return out;
+  }
+
+  parseIdentifier() {
+    if (!this.startsIdentifier()) {
+      this.fail("Expected an identifier");
+    }
+    return this.parseName();
+  }
+
+  startsIdentifier() {
+    let ch = this.text[this.pos];
+    let next = this.text[this.pos + 1];
+    if (ch === "-") {
+      if (next === "-") {
+        return true;
+      }
+      ch = next;
+      next = this.text[this.pos + 2];
+    }
+    if (ch === "\\") {
+      return next !== undefined && next !== "\n";
+    }
+    return ch !== undefined && NAME_START.test(ch);
+  }
+
+  parseEscape() {
+    this.pos += 1;
+    let hex = "";
+    while (hex.length < 6 && HEX_DIGIT.test(this.text[this.pos] ?? "")) {
+      hex += this.text[this.pos];
+      this.pos += 1;
+    }
+    if (hex) {
+      if (WHITESPACE.test(this.text[this.pos] ?? "")) {
+        this.pos += 1;
+      }
+      const codePoint = Number.parseInt(hex, 16);
+      return codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)
+        ? "\ufffd"
+        : String.fromCodePoint(codePoint);
+    }
+    if (this.pos >= this.text.length) {
+      return "\ufffd";
+    }
+    const ch = this.text[this.pos];
+    this.pos += 1;
+    return ch;
+  }
+
+  parseString() {
+    const quote = this.text[this.pos];
+    this.pos += 1;
+    let out = "";
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === quote) {
+        this.pos += 1;
+        return out;
+      }
+      if (ch === "\\") {
+        if (this.text[this.pos + 1] === "\n") {
+          this.pos += 2;
+          continue;
+        }
+        out += this.parseEscape();
+        continue;
+      }
+      out += ch;
+      this.pos += 1;
+    }
+    this.fail("Unterminated string");
+  }
+
+  skipWhitespace() {
+    const start = this.pos;
+    while (this.pos < this.text.length && WHITESPACE.test(this.text[this.pos])) {
+      this.pos += 1;
+    }
+    return this.pos > start;
+  }
+
+  peek() {
+    return this.text[this.pos];
+  }
+
+  fail(reason, { kind = "invalid", offset = this.pos, token = tokenAt(this.text, offset) } = {}) {
+    throw new SelectorError(reason, { selector: this.text, offset, token, kind });
+  }
+}
+
+function namespaceCacheKey(namespaces) {
+  const entries = namespaces instanceof Map ? [...namespaces] : Object.entries(namespaces);
+  return JSON.stringify(entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+function tokenAt(text, offset) {
+  const rest = text.slice(offset);
+  return /^(?:-?[a-zA-Z_\u0080-\uffff][a-zA-Z0-9_\-\u0080-\uffff]*|--[a-zA-Z0-9_\-\u0080-\uffff]*|\d+)/.exec(rest)?.[0] ?? rest.charAt(0);
+}
+
+function selectorListSpecificity(selectors) {
+  let best = ZERO_SPECIFICITY;
+  for (const steps of selectors) {
+    const specificity = [0, 0, 0];
+    for (const { compound } of steps) {
+      addSpecificity(specificity, compoundSpecificity(compound));
+    }
+    if (compareSpecificity(specificity, best) > 0) {
+      best = specificity;
+    }
+  }
+  return Object.freeze([...best]);
+}
+
+function compoundSpecificity({ tag, ids, classes, attributes, pseudos }) {
+  const specificity = [ids.length, classes.length + attributes.length, tag ? 1 : 0];
+  for (const { name, argument } of pseudos) {
+    const definition = PSEUDO_CLASSES.get(name);
+    if (definition?.specificity) {
+      addSpecificity(specificity, definition.specificity(argument));
+    } else {
+      specificity[1] += 1;
+    }
+  }
+  return specificity;
 }
 
-export function matches(node, selector) {
-  if (!node || !node.parent || typeof node.parent.query !== "function") {
+function addSpecificity(target, [a, b, c]) {
+  target[0] += a;
+  target[1] += b;
+  target[2] += c;
+}
+
+function compareSpecificity(left, right) {
+  return left[0] - right[0] || left[1] - right[1] || left[2] - right[2];
+}
+
+function walkDescendants(root, visit) {
+  const container = root?.templateContent || root;
+  const stack = [...(container?.children || [])].reverse();
+  while (stack.length) {
+    const node = stack.pop();
+    if (!node) {
+      continue;
+    }
+    if (visit(node)) {
+      return;
+    }
+    if (node.templateContent) {
+      for (let i = node.templateContent.children.length - 1; i >= 0; i -= 1) {
+        stack.push(node.templateContent.children[i]);
+      }
+    }
+    for (let i = node.children.length - 1; i >= 0; i -= 1) {
+      stack.push(node.children[i]);
+    }
+  }
+}
+
+function matchesComplex(node, steps, index, context) {
+  const { combinator, compound } = steps[index];
+  if (!matchesCompound(node, compound, context)) {
     return false;
   }
-  const found = node.parent.query(selector);
-  return found.includes(node);
+  if (index === 0) {
+    return true;
+  }
+  switch (combinator) {
+    case ">": {
+      const parent = scopedParent(node, context);
+      return Boolean(parent) && matchesComplex(parent, steps, index - 1, context);
+    }
+    case "+": {
+      if (context.siblings) {
+        return context.siblings.previous(node).has(steps[index - 1]);
+      }
+      const sibling = previousElementSibling(node, context);
+      return Boolean(sibling) && matchesComplex(sibling, steps, index - 1, context);
+    }
+    case "~":
+      return matchesPrecedingSibling(node, steps, index - 1, context);
+    default: {
+      for (let ancestor = scopedParent(node, context); ancestor; ancestor = scopedParent(ancestor, context)) {
+        if (matchesComplex(ancestor, steps, index - 1, context)) {
+          return true;
+        }
+      }
+      return false;
+    }
+  }
+}
+
+function matchesCompound(node, compound, context) {
+  if (compound.scope && node !== context.scope) {
+    return false;
+  }
+  if (!isElement(node)) {
+    return node === context.scope && isScopeCompound(compound);
+  }
+  if (compound.tag && node.name !== compound.tag) {
+    return false;
+  }
+  if (compound.namespace !== "*" && (node.namespace ?? null) !== compound.namespace) {
+    return false;
+  }
+  const attrs = node.attrs || {};
+  for (const id of compound.ids) {
+    if (attrs.id !== id) {
+      return false;
+    }
+  }
+  if (compound.classes.length) {
+    const classes = String(attrs.class ?? "").split(/[ \t\n\r\f]+/);
+    for (const className of compound.classes) {
+      if (!classes.includes(className)) {
+        return false;
+      }
+    }
+  }
+  for (const attribute of compound.attributes) {
+    if (!matchesAttribute(node, attrs, attribute)) {
+      return false;
+    }
+  }
+  for (const pseudo of compound.pseudos) {
+    if (!pseudo.match(node, pseudo.argument, context)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function matchesAttribute(node, attrs, attribute) {
+  const { namespace, name } = attribute;
+  if (namespace === null) {
+    return Object.prototype.hasOwnProperty.call(attrs, name) && matchesAttributeValue(attrs[name], attribute);
+  }
+  for (const key of Object.keys(attrs)) {
+    const [keyNamespace, localName] = splitAttributeName(node, key);
+    if (localName === name && (namespace === "*" || keyNamespace === namespace) && matchesAttributeValue(attrs[key], attribute)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function matchesAttributeValue(raw, { operator, value, caseInsensitive }) {
+  if (!operator) {
+    return true;
+  }
+  let actual = String(raw ?? "");
+  let expected = value;
+  if (caseInsensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+  switch (operator) {
+    case "=":
+      return actual === expected;
+    case "~=":
+      return expected !== "" && !WHITESPACE.test(expected) && actual.split(/[ \t\n\r\f]+/).includes(expected);
+    case "|=":
+      return actual === expected || actual.startsWith(`${expected}-`);
+    case "^=":
+      return expected !== "" && actual.startsWith(expected);
+    case "$=":
+      return expected !== "" && actual.endsWith(expected);
+    case "*=":
+      return expected !== "" && actual.includes(expected);
+    default:
+      return false;
+  }
+}
+
+function isElement(node) {
+  return Boolean(node) && typeof node.name === "string" && !node.name.startsWith("#") && node.name !== "!doctype";
+}
+
+function parentElement(node) {
+  const parent = node.parent;
+  return isElement(parent) ? parent : null;
+}
+
+function scopedParent(node, context) {
+  const parent = node.parent;
+  if (isElement(parent)) {
+    return parent;
+  }
+  const scope = context.scope;
+  return parent && scope && (parent === scope || parent === scope.templateContent) ? scope : null;
+}
+
+function isScopeCompound({ scope, namespace, tag, ids, classes, attributes, pseudos }) {
+  if (scope) {
+    return true;
+  }
+  return namespace === "*" && !tag && !ids.length && !classes.length && !attributes.length && pseudos.length > 0 && pseudos.every((pseudo) => pseudo.name === "scope");
+}
+
+function matchesPrecedingSibling(node, steps, index, context) {
+  const key = steps[index];
+  if (context.siblings) {
+    return context.siblings.preceding(node).has(key);
+  }
+  let memo = context.siblingCache?.get(key);
+  if (!memo || memo.scope !== context.scope) {
+    memo = { scope: context.scope, results: new Map() };
+    context.siblingCache?.set(key, memo);
+  }
+  const pending = [];
+  let found = false;
+  for (let sibling = previousElementSibling(node, context); sibling; sibling = previousElementSibling(sibling, context)) {
+    if (memo.results.has(sibling)) {
+      found = memo.results.get(sibling);
+      break;
+    }
+    pending.push(sibling);
+    if (matchesComplex(sibling, steps, index, context)) {
+      found = true;
+      break;
+    }
+  }
+  for (const sibling of pending) {
+    memo.results.set(sibling, found);
+  }
+  return found;
+}
+
+function previousElementSibling(node, context) {
+  if (!node.parent) {
+    return null;
+  }
+  const { elements, positions } = siblingGroup(node, null, null, context);
+  return elements[positions.get(node) - 1] ?? null;
+}
+
+function nthPseudo(fromEnd, ofType) {
+  return {
+    takesArgument: true,
+    parse: (argument, options) => parseNth(argument, !ofType, options),
+    specificity: ({ of }) => {
+      const specificity = [0, 1, 0];
+      if (of) {
+        addSpecificity(specificity, selectorListSpecificity(of));
+      }
+      return specificity;
+    },
+    match: (node, { a, b, of }, context) => {
+      const filter = ofType ? sameType(node) : of && ((sibling) => matchesSelectorList(sibling, of, context));
+      if (filter && !filter(node)) {
+        return false;
+      }
+      const index = nthIndex(node, filter, fromEnd, context, ofType ? null : of);
+      if (a === 0) {
+        return index === b;
+      }
+      const n = (index - b) / a;
+      return Number.isInteger(n) && n >= 0;
+    }
+  };
+}
+
+function parseNth(argument, allowOf, options) {
+  let text = argument.trim();
+  const lead = argument.length - argument.trimStart().length;
+  let of = null;
+  const ofMatch = allowOf ? /^(.*?)[ \t\n\r\f]+of[ \t\n\r\f]+(.*)$/is.exec(text) : null;
+  if (ofMatch) {
+    text = ofMatch[1];
+    try {
+      of = parseSelector(ofMatch[2], options);
+    } catch (error) {
+      if (!(error instanceof SelectorError)) {
+        throw error;
+      }
+      const offset = lead + ofMatch[0].length - ofMatch[2].length + error.offset;
+      throw new SelectorError(error.reason, { selector: argument, offset, token: error.token, kind: error.kind });
+    }
+  }
+  const match = NTH_PATTERN.exec(text);
+  if (!match) {
+    throw new SelectorError("Invalid An+B expression", {
+      selector: argument,
+      offset: lead,
+      token: text
+    });
+  }
+  if (match[1]) {
+    return { a: 2, b: 1, of };
+  }
+  if (match[2]) {
+    return { a: 2, b: 0, of };
+  }
+  if (match[6] !== undefined) {
+    return { a: 0, b: Number.parseInt(match[6], 10), of };
+  }
+  const coefficient = match[3];
+  const a = coefficient === "" || coefficient === "+" ? 1 : coefficient === "-" ? -1 : Number.parseInt(coefficient, 10);
+  const b = match[5] === undefined ? 0 : Number.parseInt(match[5], 10) * (match[4] === "-" ? -1 : 1);
+  return { a, b, of };
+}
+
+function nthIndex(node, filter, fromEnd, context, of = null) {
+  if (!node.parent) {
+    return isElement(node) && (!filter || filter(node)) ? 1 : 0;
+  }
+  const key = of ?? (filter ? `${node.namespace} ${node.name}` : null);
+  if (context.siblings) {
+    return context.siblings.position(node, key);
+  }
+  const { elements, positions } = siblingGroup(node, key, filter, context);
+  const position = positions.get(node);
+  if (position === undefined) {
+    return 0;
+  }
+  return fromEnd ? elements.length - position : position + 1;
+}
+
+function siblingGroup(node, key, filter, context) {
+  const parent = node.parent;
+  let groups = context.siblingCache?.get(parent);
+  if (!groups) {
+    groups = new Map();
+    context.siblingCache?.set(parent, groups);
+  }
+  let group = groups.get(key);
+  if (!group || (Array.isArray(key) && group.scope !== context.scope)) {
+    const elements = parent.children.filter((child) => isElement(child) && (!filter || filter(child)));
+    group = { elements, positions: new Map(elements.map((element, index) => [element, index])), scope: context.scope };
+    groups.set(key, group);
+  }
+  return group;
+}
+
+function sameType(node) {
+  return (sibling) => sibling.name === node.name && sibling.namespace === node.namespace;
+}
+
+function isChecked(node) {
+  if (!isHTMLElement(node)) {
+    return false;
+  }
+  if (node.name === "input") {
+    const type = String(node.attrs?.type ?? "").toLowerCase();
+    return (type === "checkbox" || type === "radio") && hasAttr(node, "checked");
+  }
+  return node.name === "option" && hasAttr(node, "selected");
+}
+
+function isDisabled(node) {
+  if (hasAttr(node, "disabled")) {
+    return true;
+  }
+  if (node.name === "option") {
+    const parent = parentElement(node);
+    return Boolean(parent) && isHTMLElement(parent) && parent.name === "optgroup" && hasAttr(parent, "disabled");
+  }
+  if (node.name !== "fieldset" && !FORM_CONTROLS.has(node.name)) {
+    return false;
+  }
+  let child = node;
+  for (let ancestor = parentElement(node); ancestor; ancestor = parentElement(ancestor)) {
+    if (isHTMLElement(ancestor) && ancestor.name === "fieldset" && hasAttr(ancestor, "disabled")) {
+      const legend = ancestor.children.find((candidate) => isHTMLElement(candidate) && candidate.name === "legend");
+      if (child !== legend) {
+        return true;
+      }
+    }
+    child = ancestor;
+  }
+  return false;
+}
+
+function isHTMLElement(node) {
+  return isElement(node) && (node.namespace || "html") === "html";
+}
+
+function hasAttr(node, name) {
+  return Boolean(node.attrs) && Object.prototype.hasOwnProperty.call(node.attrs, name);
+}
+
+function parsePseudoArgument(argument) {
+  const parser = new SelectorParser(argument);
+  parser.skipWhitespace();
+  const quote = parser.peek();
+  if (quote !== '"' && quote !== "'") {
+    return argument.trim();
+  }
+  const value = parser.parseString();
+  parser.skipWhitespace();
+  if (parser.pos < argument.length) {
+    parser.fail(`Unexpected "${parser.peek()}"`);
+  }
+  return value;
+}
+
+function parseForgivingList(argument, options) {
+  const selectors = [];
+  for (const part of splitSelectorList(argument)) {
+    try {
+      selectors.push(...parseSelector(part, options));
+    } catch (error) {
+      if (!(error instanceof SelectorError)) {
+        throw error;
+      }
+    }
+  }
+  return selectors;
+}
+
+function parseRelativeList(argument, options) {
+  return new SelectorParser(argument, options).parse({ relative: true }).map((steps) => {
+    const inner = steps.slice(2);
+    return {
+      steps,
+      lead: steps[1].combinator,
+      descendants: inner.some((step) => step.combinator === " " || step.combinator === ">"),
+      maxDepth: inner.some((step) => step.combinator === " ") || steps[1].combinator === " "
+        ? Infinity
+        : steps.filter((step) => step.combinator === ">").length
+    };
+  });
+}
+
+function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === "\\") {
+      i += 1;
+    } else if (quote) {
+      if (ch === quote) {
+        quote = null;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "(" || ch === "[") {
+      depth += 1;
+    } else if (ch === ")" || ch === "]") {
+      depth -= 1;
+    } else if (ch === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+function matchesRelativeList(node, relatives, context) {
+  return relatives.some((relative) => matchesRelative(node, relative, context));
+}
+
+function matchesRelative(anchor, relative, context) {
+  let results = context.hasCache?.get(relative);
+  if (results?.has(anchor)) {
+    return results.get(anchor);
+  }
+  if (!results) {
+    results = new Map();
+    context.hasCache?.set(relative, results);
+  }
+
+  const { steps, lead, descendants, maxDepth } = relative;
+  const scoped = { ...context, scope: anchor };
+  const test = (candidate) => matchesComplex(candidate, steps, steps.length - 1, scoped);
+
+  if (lead === " " || lead === ">") {
+    const simple = lead === " " && steps.length === 2;
+    const visited = [];
+    let hit = null;
+    const found = simple
+      ? someDescendant(anchor, Infinity, (candidate) => {
+        visited.push(candidate);
+        if (results.get(candidate) === true || matchesCompound(candidate, steps[1].compound, scoped)) {
+          hit = candidate;
+          return true;
+        }
+        return false;
+      }, (candidate) => results.get(candidate) === false)
+      : someDescendant(anchor, maxDepth, test);
+    if (simple && found) {
+      for (let node = hit.parent; node && node !== anchor; node = node.parent) {
+        results.set(node, true);
+      }
+    } else if (simple) {
+      for (const node of visited) {
+        results.set(node, false);
+      }
+    }
+    results.set(anchor, found);
+    return found;
+  }
+
+  const { elements, positions } = anchor.parent ? siblingGroup(anchor, null, null, context) : { elements: [], positions: new Map() };
+  if (lead === "~" && steps.length === 2 && !descendants) {
+    const pending = [anchor];
+    let found = false;
+    for (let i = (positions.get(anchor) ?? -1) + 1; i < elements.length; i += 1) {
+      const sibling = elements[i];
+      if (matchesCompound(sibling, steps[1].compound, scoped)) {
+        found = true;
+        break;
+      }
+      if (results.has(sibling)) {
+        found = results.get(sibling);
+        break;
+      }
+      pending.push(sibling);
+    }
+    for (const node of pending) {
+      results.set(node, found);
+    }
+    return found;
+  }
+  let found = false;
+  for (let i = (positions.get(anchor) ?? -1) + 1; i < elements.length && !found; i += 1) {
+    const sibling = elements[i];
+    found = test(sibling) || (descendants && someDescendant(sibling, Infinity, test));
+    if (lead === "+" && !steps.slice(2).some((step) => step.combinator === "+" || step.combinator === "~")) {
+      break;
+    }
+  }
+  results.set(anchor, found);
+  return found;
+}
+
+function someDescendant(root, maxDepth, test, skip = null) {
+  const stack = [[root, 0]];
+  while (stack.length) {
+    const [node, depth] = stack.pop();
+    if (node !== root && test(node)) {
+      return true;
+    }
+    if (depth >= maxDepth || (node !== root && skip?.(node))) {
+      continue;
+    }
+    const children = node.children;
+    for (let i = children.length - 1; i >= 0; i -= 1) {
+      if (isElement(children[i])) {
+        stack.push([children[i], depth + 1]);
+      }
+    }
+  }
+  return false;
 }
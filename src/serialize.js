@@ -1,7 +1,69 @@
-import { HTML_CONTEXT, VOID_ELEMENTS } from "./constants.js";
+import {
+  ATOMIC_INLINE_ELEMENTS,
+  BOOLEAN_ATTRIBUTES,
+  HTML_CONTEXT,
+  NAMESPACES,
+  PRESERVE_WHITESPACE_ELEMENTS,
+  SVG_ATTRIBUTE_ADJUSTMENTS,
+  SVG_TAG_NAME_ADJUSTMENTS,
+  VOID_ELEMENTS,
+  WHITESPACE_BOUNDARY_ELEMENTS
+} from "./constants.js";
+import { HTML5_NAMED_ENTITIES } from "./entities-data.js";
+import { minifyTokens, resolveMinifyOptions } from "./minify.js";
 
-function escapeText(text) {
-  return String(text || "").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+const LITERAL_TEXT_PARENTS = new Set(["style", "script", "xmp", "iframe", "noembed", "noframes", "plaintext"]);
+const LEADING_NEWLINE_ELEMENTS = new Set(["pre", "textarea", "listing"]);
+const BODY_START_KEEPERS = new Set(["meta", "noscript", "link", "script", "style", "template"]);
+const TABLE_SECTIONS = new Set(["tbody", "thead", "tfoot"]);
+const P_CLOSERS = new Set([
+  "address", "article", "aside", "blockquote", "datagrid", "details", "dialog", "dir", "div", "dl", "fieldset",
+  "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr", "main",
+  "menu", "nav", "ol", "p", "pre", "search", "section", "table", "ul"
+]);
+const P_END_TAG_KEEPERS = new Set([
+  "a", "audio", "b", "big", "code", "del", "em", "font", "i", "ins", "map", "nobr", "noscript", "s", "small", "strike",
+  "strong", "tt", "u", "video"
+]);
+const QUOTE_ATTR_VALUES = new Set(["always", "spec", "legacy"]);
+const SPEC_UNQUOTED_UNSAFE = /[\t\n\f\r "'=>`]/;
+const LEGACY_UNQUOTED_UNSAFE = /[\x00-\x20"'=<>`/\x7f-\xa0\u1680\u180e\u2000-\u200f\u2028-\u202f\u205f\u3000\ufeff]/;
+const SERIALIZER_DEFAULTS = Object.freeze({
+  scripting: true,
+  quoteAttrValues: "always",
+  quoteChar: '"',
+  useBestQuoteChar: false,
+  minimizeBooleanAttributes: false,
+  useTrailingSolidus: false,
+  escapeLtInAttrs: false,
+  escapeRcdata: false,
+  omitOptionalTags: false,
+  stripWhitespace: false,
+  injectMetaCharset: false,
+  encoding: null,
+  resolveEntities: true
+});
+
+const HARD_BREAK = "\n";
+const CDATA_ELEMENTS = new Set(["script", "style"]);
+const XML_NAME_START_CHAR = /[A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}]/u;
+const XML_NAME_CHAR = /[A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}\-.0-9\u00B7\u0300-\u036F\u203F\u2040]/u;
+const XML_NCNAME = new RegExp(`^${XML_NAME_START_CHAR.source}${XML_NAME_CHAR.source}*$`, "u");
+const XML_INVALID_CHARACTERS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+const XML_PUBID_INVALID = /[^\n\r a-zA-Z0-9\-'()+,./:=?;!*#@$_%]/;
+
+let namedReferences = null;
+
+export function escapeText(text) {
+  return String(text || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("\u00a0", "&nbsp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+}
+
+export function escapeAttribute(value) {
+  return String(value ?? "").replaceAll("&", "&amp;").replaceAll("\u00a0", "&nbsp;").replaceAll('"', "&quot;");
 }
 
 function escapeAttrValue(value, quote = '"') {
@@ -35,8 +97,31 @@ export function escapeURLValue(value) {
 }
 
 export function toHTML(node, options = {}) {
-  const { pretty = false, indentSize = 2, context = HTML_CONTEXT.HTML, quote = '"' } = options;
-  const html = pretty ? serializePretty(node, 0, indentSize) : serializeCompact(node);
+  const {
+    pretty = false,
+    indentSize = 2,
+    printWidth = 80,
+    context = HTML_CONTEXT.HTML,
+    quote = '"',
+    minify = false,
+    syntax = "html"
+  } = options;
+  if (syntax !== "html" && syntax !== "xml") {
+    throw new Error(`Unknown serialization syntax: ${syntax}`);
+  }
+  let html;
+  if (syntax === "xml") {
+    if (pretty || minify) {
+      throw new Error('The pretty and minify options are not supported with syntax: "xml"');
+    }
+    html = new XMLSerializer(options).serialize(node);
+  } else if (minify) {
+    html = serializeMinified(node, options);
+  } else if (pretty) {
+    html = new PrettyPrinter(normalizeSerializerOptions(options), indentSize, printWidth).print(node);
+  } else {
+    html = serializeTokens(treeTokens(node), options);
+  }
 
   if (context === HTML_CONTEXT.HTML) {
     return html;
@@ -54,81 +139,781 @@ export function toHTML(node, options = {}) {
   throw new Error(`Unknown serialization context: ${context}`);
 }
 
-function serializeCompact(node) {
+export function serializeTokens(tokens, options = {}) {
+  const settings = normalizeSerializerOptions(options);
+  const stream = settings.injectMetaCharset && settings.encoding ? injectMetaCharset(tokens, settings.encoding) : [...tokens];
+  const open = [];
+  let out = "";
+
+  for (let i = 0; i < stream.length; i += 1) {
+    const token = stream[i];
+    const next = stream[i + 1];
+    if (token.type === "StartTag" || token.type === "EmptyTag") {
+      if (!settings.omitOptionalTags || !omitsStartTag(token, stream[i - 1], next)) {
+        out += formatStartTag(token, settings);
+      }
+      if (token.type === "StartTag") {
+        out += leadingNewline(token, next);
+        open.push(token);
+      }
+    } else if (token.type === "EndTag") {
+      const index = open.findLastIndex((entry) => entry.name === token.name && sameNamespace(entry, token));
+      if (index >= 0) {
+        open.length = index;
+      }
+      if (!settings.omitOptionalTags || !omitsEndTag(token, next, open[open.length - 1])) {
+        out += `</${serializedTagName(token)}>`;
+      }
+    } else if (token.type === "Characters") {
+      out += formatText(token.data, open[open.length - 1], open.some(preservesWhitespace), settings);
+    } else if (token.type === "Comment") {
+      out += `<!--${token.data || ""}-->`;
+    } else if (token.type === "Doctype") {
+      out += formatDoctype(token);
+    } else {
+      throw new Error(`Unknown serializer token type: ${token.type}`);
+    }
+  }
+  return out;
+}
+
+function serializeMinified(node, options) {
+  const settings = resolveMinifyOptions(options.minify);
+  return serializeTokens(minifyTokens(treeTokens(node), settings), {
+    ...options,
+    omitOptionalTags: settings.removeOptionalTags,
+    quoteAttrValues: settings.unquoteAttributes ? "spec" : "always",
+    useBestQuoteChar: settings.unquoteAttributes,
+    minimizeBooleanAttributes: settings.collapseBooleanAttributes
+  });
+}
+
+function normalizeSerializerOptions(options) {
+  const settings = { ...SERIALIZER_DEFAULTS };
+  for (const key of Object.keys(SERIALIZER_DEFAULTS)) {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  }
+  if (!QUOTE_ATTR_VALUES.has(settings.quoteAttrValues)) {
+    throw new Error('quoteAttrValues must be "always", "spec" or "legacy"');
+  }
+  if (settings.quoteChar !== '"' && settings.quoteChar !== "'") {
+    throw new Error("quoteChar must be \" or '");
+  }
+  return settings;
+}
+
+function treeTokens(node, tokens = []) {
   if (node.name === "#document" || node.name === "#document-fragment") {
-    return node.children.map((child) => serializeCompact(child)).join("");
+    for (const child of node.children) {
+      treeTokens(child, tokens);
+    }
+    return tokens;
   }
   if (node.name === "#text") {
-    return escapeText(node.data || "");
+    tokens.push({ type: "Characters", data: node.data || "" });
+    return tokens;
   }
   if (node.name === "#comment") {
-    return `<!--${node.data || ""}-->`;
+    tokens.push({ type: "Comment", data: node.data || "" });
+    return tokens;
   }
   if (node.name === "!doctype") {
-    const dt = node.data || {};
-    const name = dt.name || "html";
-    return `<!doctype ${name}>`;
+    tokens.push(doctypeToken(node));
+    return tokens;
   }
 
-  const attrs = serializeAttrs(node.attrs || {});
-  const open = `<${node.name}${attrs}>`;
-  if (VOID_ELEMENTS.has(node.name)) {
-    return open;
+  const token = elementToken(node);
+  if (serializesAsVoid(token)) {
+    tokens.push({ ...token, type: "EmptyTag" });
+    return tokens;
+  }
+  tokens.push(token);
+  for (const child of childNodesForSerialization(node)) {
+    treeTokens(child, tokens);
   }
+  tokens.push({ type: "EndTag", name: node.name, namespace: token.namespace });
+  return tokens;
+}
 
-  const children = node.name === "template" && node.templateContent
-    ? node.templateContent.children
-    : node.children;
+function elementToken(node) {
+  return { type: "StartTag", name: node.name, namespace: node.namespace ?? "html", attrs: node.attrs || {} };
+}
 
-  const body = children.map((child) => serializeCompact(child)).join("");
-  return `${open}${body}</${node.name}>`;
+function doctypeToken(node) {
+  const { name = "html", publicId = null, systemId = null } = node.data || {};
+  return { type: "Doctype", name, publicId, systemId };
 }
 
-function serializePretty(node, depth, indentSize) {
-  if (node.name === "#document" || node.name === "#document-fragment") {
-    return node.children.map((child) => serializePretty(child, depth, indentSize)).join("\n");
+function formatText(data, parent, preserveWhitespace, settings) {
+  const literal = parent?.namespace === "html"
+    && (LITERAL_TEXT_PARENTS.has(parent.name) || (settings.scripting && parent.name === "noscript"));
+  if (literal && !settings.escapeRcdata) {
+    return data || "";
   }
-  if (node.name === "#text") {
-    return `${" ".repeat(depth * indentSize)}${escapeText(node.data || "")}`;
+  let text = escapeText(data);
+  if (settings.stripWhitespace && !preserveWhitespace) {
+    text = text.replace(/[\t\n\f\r ]+/g, " ");
   }
-  if (node.name === "#comment") {
-    return `${" ".repeat(depth * indentSize)}<!--${node.data || ""}-->`;
+  return settings.resolveEntities ? text : encodeNamedReferences(text);
+}
+
+function formatDoctype(token) {
+  const { name, publicId, systemId } = token;
+  let out = `<!DOCTYPE ${name || ""}`;
+  if (publicId) {
+    out += ` PUBLIC "${publicId}"`;
+  } else if (systemId) {
+    out += " SYSTEM";
   }
-  if (node.name === "!doctype") {
-    const dt = node.data || {};
-    const name = dt.name || "html";
-    return `${" ".repeat(depth * indentSize)}<!doctype ${name}>`;
+  if (systemId) {
+    const quote = systemId.includes('"') ? "'" : '"';
+    out += ` ${quote}${systemId}${quote}`;
   }
+  return `${out}>`;
+}
+
+function formatStartTag(token, settings) {
+  const attrs = Object.entries(token.attrs || {})
+    .map(([key, value]) => formatAttribute(token, key, String(value ?? ""), settings))
+    .join("");
+  const solidus = token.type === "EmptyTag" && settings.useTrailingSolidus ? " /" : "";
+  return `<${serializedTagName(token)}${attrs}${solidus}>`;
+}
 
-  const pad = " ".repeat(depth * indentSize);
-  const attrs = serializeAttrs(node.attrs || {});
-  const open = `${pad}<${node.name}${attrs}>`;
-  if (VOID_ELEMENTS.has(node.name)) {
-    return open;
+function formatAttribute(token, key, value, settings) {
+  const name = serializedAttrName(token, key);
+  if (
+    settings.minimizeBooleanAttributes
+    && token.namespace === "html"
+    && BOOLEAN_ATTRIBUTES.has(key)
+    && (value === "" || value.toLowerCase() === key)
+  ) {
+    return ` ${name}`;
   }
 
-  const children = node.name === "template" && node.templateContent
-    ? node.templateContent.children
-    : node.children;
+  let text = value.replaceAll("&", "&amp;").replaceAll("\u00a0", "&nbsp;");
+  if (settings.escapeLtInAttrs) {
+    text = text.replaceAll("<", "&lt;");
+  }
+  if (!settings.resolveEntities) {
+    text = encodeNamedReferences(text);
+  }
+  const unsafe = settings.quoteAttrValues === "legacy" ? LEGACY_UNQUOTED_UNSAFE : SPEC_UNQUOTED_UNSAFE;
+  if (settings.quoteAttrValues !== "always" && value !== "" && !unsafe.test(value)) {
+    return ` ${name}=${text}`;
+  }
 
-  if (!children.length) {
-    return `${open}</${node.name}>`;
+  let quote = settings.quoteChar;
+  if (settings.useBestQuoteChar && value.includes("'") !== value.includes('"')) {
+    quote = value.includes('"') ? "'" : '"';
+  }
+  text = quote === "'" ? text.replaceAll("'", "&#39;") : text.replaceAll('"', "&quot;");
+  return ` ${name}=${quote}${text}${quote}`;
+}
+
+function encodeNamedReferences(text) {
+  namedReferences ??= buildNamedReferences();
+  return text.replace(/[^\x00-\x7f]/gu, (char) => (namedReferences.has(char) ? `&${namedReferences.get(char)}` : char));
+}
+
+function buildNamedReferences() {
+  const references = new Map();
+  for (const [name, value] of Object.entries(HTML5_NAMED_ENTITIES)) {
+    if (!name.endsWith(";") || [...value].length !== 1) {
+      continue;
+    }
+    const current = references.get(value);
+    if (!current || name.length < current.length || (name.length === current.length && name > current)) {
+      references.set(value, name);
+    }
+  }
+  return references;
+}
+
+function serializedTagName(token) {
+  return formatForeignTagName(token);
+}
+
+function serializedAttrName(token, key) {
+  if (token.namespace === "math" && key === "definitionurl") {
+    return "definitionURL";
+  }
+  if (token.namespace === "svg") {
+    return SVG_ATTRIBUTE_ADJUSTMENTS.get(key) || key;
+  }
+  return key;
+}
+
+function serializesAsVoid(token) {
+  return token.namespace === "html" && VOID_ELEMENTS.has(token.name);
+}
+
+function sameNamespace(a, b) {
+  return (a.namespace ?? "html") === (b.namespace ?? "html");
+}
+
+function preservesWhitespace(token) {
+  return token.namespace === "html" && PRESERVE_WHITESPACE_ELEMENTS.has(token.name);
+}
+
+function childNodesForSerialization(node) {
+  return node.name === "template" && node.templateContent ? node.templateContent.children : node.children;
+}
+
+function leadingNewline(token, next) {
+  return token.namespace === "html" && LEADING_NEWLINE_ELEMENTS.has(token.name) && next?.type === "Characters" && next.data?.startsWith("\n")
+    ? "\n"
+    : "";
+}
+
+function tokenCategory(token) {
+  if (!token) {
+    return null;
+  }
+  if (token.type === "Characters" && /^[\t\n\f\r ]/.test(token.data || "")) {
+    return "space";
   }
+  return token.type;
+}
 
-  if (children.length === 1 && children[0].name === "#text") {
-    return `${open}${escapeText(children[0].data || "")}</${node.name}>`;
+function omitsStartTag(token, previous, next) {
+  if (token.namespace !== "html" || Object.keys(token.attrs || {}).length) {
+    return false;
+  }
+  const nextType = tokenCategory(next);
+  switch (token.name) {
+    case "html":
+      return nextType !== "Comment" && nextType !== "space";
+    case "head":
+      if (nextType === "StartTag" || nextType === "EmptyTag") {
+        return true;
+      }
+      return nextType === "EndTag" && next.name === "head";
+    case "body":
+      if (nextType === "Comment" || nextType === "space") {
+        return false;
+      }
+      return nextType !== "StartTag" || !BODY_START_KEEPERS.has(next.name);
+    case "colgroup":
+      return (nextType === "StartTag" || nextType === "EmptyTag") && next.name === "col";
+    case "tbody":
+      if (nextType !== "StartTag") {
+        return false;
+      }
+      if (previous?.type === "EndTag" && TABLE_SECTIONS.has(previous.name)) {
+        return false;
+      }
+      return next.name === "tr";
+    default:
+      return false;
   }
+}
 
-  const childLines = children.map((child) => serializePretty(child, depth + 1, indentSize)).join("\n");
-  return `${open}\n${childLines}\n${pad}</${node.name}>`;
+function omitsEndTag(token, next, parent) {
+  if (token.namespace !== "html") {
+    return false;
+  }
+  const nextType = tokenCategory(next);
+  const lastInParent = nextType === "EndTag" || nextType === null;
+  switch (token.name) {
+    case "html":
+    case "head":
+    case "body":
+      return nextType !== "Comment" && nextType !== "space";
+    case "li":
+    case "optgroup":
+    case "tr":
+      return nextType === "StartTag" ? next.name === token.name : lastInParent;
+    case "dt":
+    case "dd":
+      if (nextType === "StartTag") {
+        return next.name === "dt" || next.name === "dd";
+      }
+      return token.name === "dd" && lastInParent;
+    case "p":
+      if (nextType === "StartTag" || nextType === "EmptyTag") {
+        return P_CLOSERS.has(next.name);
+      }
+      return lastInParent && !(parent?.namespace === "html" && P_END_TAG_KEEPERS.has(parent.name));
+    case "option":
+      return nextType === "StartTag" ? next.name === "option" || next.name === "optgroup" : lastInParent;
+    case "rt":
+    case "rp":
+      return nextType === "StartTag" ? next.name === "rt" || next.name === "rp" : lastInParent;
+    case "colgroup":
+      if (nextType === "Comment" || nextType === "space") {
+        return false;
+      }
+      return nextType !== "StartTag" || next.name !== "colgroup";
+    case "thead":
+    case "tbody":
+      if (nextType === "StartTag") {
+        return next.name === "tbody" || next.name === "tfoot";
+      }
+      return token.name === "tbody" && lastInParent;
+    case "tfoot":
+      return nextType === "StartTag" ? next.name === "tbody" : lastInParent;
+    case "td":
+    case "th":
+      return nextType === "StartTag" ? next.name === "td" || next.name === "th" : lastInParent;
+    default:
+      return false;
+  }
 }
 
-function serializeAttrs(attrs) {
+function injectMetaCharset(tokens, encoding) {
+  const out = [];
+  const pending = [];
+  const meta = { type: "EmptyTag", name: "meta", namespace: "html", attrs: { charset: encoding } };
+  let inHead = false;
+  let metaFound = false;
+
+  for (let token of tokens) {
+    const name = String(token.name || "").toLowerCase();
+    if (token.type === "StartTag" && name === "head") {
+      inHead = true;
+    } else if (token.type === "EmptyTag" && name === "meta") {
+      const rewritten = rewriteMetaCharset(token, encoding);
+      token = rewritten ?? token;
+      metaFound ||= Boolean(rewritten);
+    } else if (token.type === "EmptyTag" && name === "head" && !metaFound) {
+      out.push({ ...token, type: "StartTag" }, meta, { type: "EndTag", name: token.name, namespace: token.namespace });
+      metaFound = true;
+      continue;
+    } else if (token.type === "EndTag" && name === "head" && pending.length) {
+      out.push(pending.shift());
+      if (!metaFound) {
+        out.push(meta);
+      }
+      out.push(...pending.splice(0));
+      metaFound = true;
+      inHead = false;
+    }
+    if (inHead) {
+      pending.push(token);
+    } else {
+      out.push(token);
+    }
+  }
+  out.push(...pending);
+  return out;
+}
+
+function rewriteMetaCharset(token, encoding) {
+  const attrs = { ...token.attrs };
+  const keys = Object.keys(attrs);
+  const charset = keys.find((key) => key.toLowerCase() === "charset");
+  if (charset) {
+    attrs[charset] = encoding;
+    return { ...token, attrs };
+  }
+  const contentType = keys.some((key) => key.toLowerCase() === "http-equiv" && String(attrs[key]).toLowerCase() === "content-type");
+  if (contentType && Object.prototype.hasOwnProperty.call(attrs, "content")) {
+    attrs.content = `text/html; charset=${encoding}`;
+    return { ...token, attrs };
+  }
+  return null;
+}
+
+class PrettyPrinter {
+  constructor(settings, indentSize, printWidth) {
+    this.settings = settings;
+    this.indent = " ".repeat(indentSize);
+    this.printWidth = printWidth;
+    this.blocks = new Map();
+  }
+
+  print(node) {
+    const isContainer = node.name === "#document" || node.name === "#document-fragment";
+    return this.children(isContainer ? node.children : [node], 0).join("\n");
+  }
+
+  children(nodes, depth) {
+    const lines = [];
+    let run = [];
+    for (const node of nodes) {
+      if (this.isBlock(node)) {
+        lines.push(...this.fill(this.words(run), depth), ...this.block(node, depth));
+        run = [];
+      } else {
+        run.push(node);
+      }
+    }
+    lines.push(...this.fill(this.words(run), depth));
+    return lines;
+  }
+
+  block(node, depth) {
+    const pad = this.indent.repeat(depth);
+    if (node.name === "!doctype") {
+      return [`${pad}${formatDoctype(doctypeToken(node))}`];
+    }
+    if (isVerbatim(node)) {
+      return [`${pad}${serializeTokens(treeTokens(node), this.settings)}`];
+    }
+    const token = elementToken(node);
+    if (serializesAsVoid(token)) {
+      return this.startTag({ ...token, type: "EmptyTag" }, depth);
+    }
+
+    const open = this.startTag(token, depth);
+    const close = `</${serializedTagName(token)}>`;
+    const children = childNodesForSerialization(node);
+    if (open.length === 1 && !children.some((child) => this.isBlock(child))) {
+      const words = this.words(children);
+      if (!words.length) {
+        return [`${open[0]}${close}`];
+      }
+      const line = `${open[0]}${words.map(flattenWord).join(" ")}${close}`;
+      if (children.some(hasVisibleText) && !words.includes(HARD_BREAK) && line.length <= this.printWidth) {
+        return [line];
+      }
+    }
+
+    const inner = this.children(children, depth + 1);
+    if (!inner.length) {
+      return [...open.slice(0, -1), `${open[open.length - 1]}${close}`];
+    }
+    return [...open, ...inner, `${pad}${close}`];
+  }
+
+  startTag(token, depth) {
+    const pad = this.indent.repeat(depth);
+    const tag = formatStartTag(token, this.settings);
+    const attrs = Object.entries(token.attrs || {});
+    if (pad.length + tag.length <= this.printWidth || attrs.length < 2) {
+      return [`${pad}${tag}`];
+    }
+    const solidus = token.type === "EmptyTag" && this.settings.useTrailingSolidus ? "/" : "";
+    return [
+      `${pad}<${serializedTagName(token)}`,
+      ...attrs.map(([key, value]) => `${pad}${this.indent}${formatAttribute(token, key, String(value ?? ""), this.settings).trimStart()}`),
+      `${pad}${solidus}>`
+    ];
+  }
+
+  words(nodes) {
+    const state = { words: [], pieces: [], current: "" };
+    for (const node of nodes) {
+      this.collectWords(node, state);
+    }
+    endWord(state);
+    return state.words;
+  }
+
+  collectWords(node, state) {
+    if (node.name === "#text") {
+      const parts = formatText(node.data, node.parent, false, this.settings).split(/[\t\n\f\r ]+/);
+      parts.forEach((part, index) => {
+        if (index > 0) {
+          endWord(state);
+        }
+        state.current += part;
+      });
+      return;
+    }
+    if (node.name === "#comment") {
+      state.current += `<!--${node.data || ""}-->`;
+      return;
+    }
+    if (isVerbatim(node)) {
+      state.current += serializeTokens(treeTokens(node), this.settings);
+      return;
+    }
+
+    const token = elementToken(node);
+    if (serializesAsVoid(token)) {
+      this.collectStartTag({ ...token, type: "EmptyTag" }, state);
+      if (token.name === "br") {
+        endWord(state);
+        state.words.push(HARD_BREAK);
+      }
+      return;
+    }
+    this.collectStartTag(token, state);
+    for (const child of childNodesForSerialization(node)) {
+      this.collectWords(child, state);
+    }
+    state.current += `</${serializedTagName(token)}>`;
+  }
+
+  collectStartTag(token, state) {
+    const attrs = Object.entries(token.attrs || {});
+    if (attrs.length < 2) {
+      state.current += formatStartTag(token, this.settings);
+      return;
+    }
+    const solidus = token.type === "EmptyTag" && this.settings.useTrailingSolidus ? " /" : "";
+    state.pieces.push(
+      `${state.current}<${serializedTagName(token)}`,
+      attrs.map(([key, value]) => formatAttribute(token, key, String(value ?? ""), this.settings).trimStart())
+    );
+    state.current = `${solidus}>`;
+  }
+
+  fill(words, depth) {
+    const pad = this.indent.repeat(depth);
+    const lines = [];
+    let line = "";
+    for (const word of words) {
+      if (Array.isArray(word) && pad.length + flattenWord(word).length > this.printWidth) {
+        word.forEach((piece, index) => {
+          if (Array.isArray(piece)) {
+            lines.push(`${pad}${line}`, ...piece.map((attr) => `${pad}${this.indent}${attr}`));
+            line = "";
+          } else if (index === 0) {
+            line = this.place(line, piece, pad, lines);
+          } else {
+            line = line ? `${line}${piece}` : piece.trimStart();
+          }
+        });
+      } else if (word === HARD_BREAK) {
+        if (line) {
+          lines.push(`${pad}${line}`);
+        }
+        line = "";
+      } else {
+        line = this.place(line, flattenWord(word), pad, lines);
+      }
+    }
+    if (line) {
+      lines.push(`${pad}${line}`);
+    }
+    return lines;
+  }
+
+  place(line, word, pad, lines) {
+    if (!line) {
+      return word;
+    }
+    if (pad.length + line.length + 1 + word.length <= this.printWidth) {
+      return `${line} ${word}`;
+    }
+    lines.push(`${pad}${line}`);
+    return word;
+  }
+
+  isBlock(node) {
+    if (node.name === "!doctype") {
+      return true;
+    }
+    if (node.name.startsWith("#") || node.name === "br") {
+      return false;
+    }
+    if (isVerbatim(node)) {
+      return node.namespace === "html" && WHITESPACE_BOUNDARY_ELEMENTS.has(node.name);
+    }
+    if (!this.blocks.has(node)) {
+      const children = node.children.filter((child) => child.name !== "#comment" && !isWhitespaceText(child));
+      this.blocks.set(
+        node,
+        WHITESPACE_BOUNDARY_ELEMENTS.has(node.name)
+          || (!ATOMIC_INLINE_ELEMENTS.has(node.name) && children.length > 0 && children.every((child) => this.isBlock(child)))
+      );
+    }
+    return this.blocks.get(node);
+  }
+}
+
+function endWord(state) {
+  if (state.pieces.length) {
+    state.words.push([...state.pieces, state.current]);
+    state.pieces = [];
+  } else if (state.current) {
+    state.words.push(state.current);
+  }
+  state.current = "";
+}
+
+function flattenWord(word) {
+  if (!Array.isArray(word)) {
+    return word;
+  }
+  return word.map((piece) => (Array.isArray(piece) ? ` ${piece.join(" ")}` : piece)).join("");
+}
+
+function isVerbatim(node) {
+  return node.namespace !== "html" || PRESERVE_WHITESPACE_ELEMENTS.has(node.name);
+}
+
+function hasVisibleText(node) {
+  return node.name === "#text" && !isWhitespaceText(node);
+}
+
+function isWhitespaceText(node) {
+  return node.name === "#text" && !/[^\t\n\f\r ]/.test(node.data || "");
+}
+
+class XMLSerializer {
+  constructor(options) {
+    this.requireWellFormed = options.requireWellFormed !== false;
+    this.cdata = Boolean(options.cdata);
+  }
+
+  serialize(node) {
+    return this.node(node, null, new Map());
+  }
+
+  node(node, namespace, prefixes) {
+    if (node.name === "#document" || node.name === "#document-fragment") {
+      return this.children(node.children, namespace, prefixes);
+    }
+    if (node.name === "#text") {
+      return this.text(node.data || "", node.parent);
+    }
+    if (node.name === "#comment") {
+      return this.comment(node.data || "");
+    }
+    if (node.name === "!doctype") {
+      return this.doctype(doctypeToken(node));
+    }
+    return this.element(node, namespace, prefixes);
+  }
+
+  children(nodes, namespace, prefixes) {
+    return nodes.map((child) => this.node(child, namespace, prefixes)).join("");
+  }
+
+  element(node, parentNamespace, parentPrefixes) {
+    const token = elementToken(node);
+    const namespace = NAMESPACES[token.namespace];
+    const prefixes = new Map(parentPrefixes);
+    let declarations = namespace === parentNamespace ? "" : ` xmlns="${namespace}"`;
+    const entries = [];
+    for (const [key, value] of Object.entries(token.attrs)) {
+      if (key === "xmlns") {
+        continue;
+      }
+      if (key.startsWith("xmlns:") && XML_NCNAME.test(key.slice(6)) && value) {
+        prefixes.set(key.slice(6), String(value));
+        declarations += ` ${key}="${this.attributeValue(String(value))}"`;
+        continue;
+      }
+      entries.push([serializedAttrName(token, key), String(value ?? "")]);
+    }
+    if (!prefixes.has("xlink") && entries.some(([name]) => name.startsWith("xlink:"))) {
+      prefixes.set("xlink", NAMESPACES.xlink);
+      declarations += ` xmlns:xlink="${NAMESPACES.xlink}"`;
+    }
+
+    const name = this.qualifiedName(serializedTagName(token), prefixes, "element");
+    const attrs = entries
+      .map(([key, value]) => ` ${this.qualifiedName(key, prefixes, "attribute")}="${this.attributeValue(value)}"`)
+      .join("");
+    const children = childNodesForSerialization(node);
+    if (!children.length && (token.namespace !== "html" || VOID_ELEMENTS.has(token.name))) {
+      return `<${name}${declarations}${attrs} />`;
+    }
+    return `<${name}${declarations}${attrs}>${this.children(children, namespace, prefixes)}</${name}>`;
+  }
+
+  qualifiedName(name, prefixes, kind) {
+    const colon = name.indexOf(":");
+    const prefix = colon > 0 ? name.slice(0, colon) : null;
+    const local = colon > 0 ? name.slice(colon + 1) : name;
+    if (XML_NCNAME.test(local) && (prefix === null || prefixes.has(prefix) || (prefix === "xml" && kind === "attribute"))) {
+      return name;
+    }
+    if (this.requireWellFormed) {
+      throw new Error(`Cannot serialize ${kind} name "${name}" as XML`);
+    }
+    return escapeXMLName(name);
+  }
+
+  text(data, parent) {
+    const text = this.characters(data);
+    if (this.cdata && parent?.namespace === "html" && CDATA_ELEMENTS.has(parent.name) && /[&<]/.test(text)) {
+      return `<![CDATA[${text.replaceAll("]]>", "]]]]><![CDATA[>")}]]>`;
+    }
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\r/g, "&#13;");
+  }
+
+  attributeValue(value) {
+    return this.characters(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/\t/g, "&#9;")
+      .replace(/\n/g, "&#10;")
+      .replace(/\r/g, "&#13;");
+  }
+
+  comment(data) {
+    let text = this.characters(data);
+    if (text.includes("--") || text.endsWith("-")) {
+      if (this.requireWellFormed) {
+        throw new Error('Cannot serialize a comment containing "--" or ending in "-" as XML');
+      }
+      text = text.replace(/-(?=-|$)/g, "- ");
+    }
+    return `<!--${text}-->`;
+  }
+
+  doctype(token) {
+    const name = !token.name && !this.requireWellFormed ? "html" : this.qualifiedName(token.name || "", new Map(), "doctype");
+    let out = `<!DOCTYPE ${name}`;
+    if (token.publicId !== null || token.systemId !== null) {
+      out += token.publicId !== null ? ` PUBLIC "${this.publicId(token.publicId)}"` : " SYSTEM";
+      out += ` ${this.systemId(token.systemId || "")}`;
+    }
+    return `${out}>`;
+  }
+
+  publicId(value) {
+    if (!XML_PUBID_INVALID.test(value)) {
+      return value;
+    }
+    if (this.requireWellFormed) {
+      throw new Error(`Cannot serialize doctype public identifier "${value}" as XML`);
+    }
+    return value.replace(new RegExp(XML_PUBID_INVALID.source, "g"), "");
+  }
+
+  systemId(value) {
+    if (!value.includes('"')) {
+      return `"${value}"`;
+    }
+    if (!value.includes("'")) {
+      return `'${value}'`;
+    }
+    if (this.requireWellFormed) {
+      throw new Error(`Cannot serialize doctype system identifier "${value}" as XML`);
+    }
+    return `"${value.replace(/"/g, "")}"`;
+  }
+
+  characters(text) {
+    return text.replace(XML_INVALID_CHARACTERS, (char) => {
+      if (this.requireWellFormed) {
+        throw new Error(`Cannot serialize character U+${codePointHex(char)} as XML`);
+      }
+      return "\uFFFD";
+    });
+  }
+}
+
+function escapeXMLName(name) {
+  let out = "";
+  for (const char of name) {
+    const valid = out ? XML_NAME_CHAR.test(char) : XML_NAME_START_CHAR.test(char);
+    out += valid ? char : `_x${codePointHex(char)}_`;
+  }
+  return out || "_";
+}
+
+function codePointHex(char) {
+  return char.codePointAt(0).toString(16).toUpperCase().padStart(4, "0");
+}
+
+export function serializeAttrs(attrs) {
   const keys = Object.keys(attrs);
   if (!keys.length) {
     return "";
   }
-  return ` ${keys.map((key) => `${key}=\"${escapeAttrValue(attrs[key] ?? "", '"')}\"`).join(" ")}`;
+  return ` ${keys.map((key) => `${key}="${escapeAttribute(attrs[key])}"`).join(" ")}`;
 }
 
 export function toTestFormat(node, indent = 0) {
@@ -195,10 +980,7 @@ function formatForeignTagName(node) {
   if (!node || node.namespace !== "svg") {
     return node?.name;
   }
-  if (node.name === "foreignobject") {
-    return "foreignObject";
-  }
-  return node.name;
+  return SVG_TAG_NAME_ADJUSTMENTS.get(node.name) || node.name;
 }
 
 function formatForeignAttrName(node, key) {
@@ -218,6 +1000,9 @@ function formatForeignAttrName(node, key) {
   if (node.namespace === "math" && key === "definitionurl") {
     return "definitionURL";
   }
+  if (node.namespace === "svg") {
+    return SVG_ATTRIBUTE_ADJUSTMENTS.get(key) || key;
+  }
   return key;
 }
 
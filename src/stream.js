@@ -1,20 +1,232 @@
-import { decodeHTML } from "./encoding.js";
-import { tokenizeHTML, TokenKind } from "./tokenizer.js";
+import { decodeHTML, StreamDecoder } from "./encoding.js";
+import { createHTMLTokenizer, tokenizeHTML, TokenKind } from "./tokenizer.js";
+import { fillSelectedContent, InsertionMode, isSpecial, TreeBuilder } from "./treebuilder.js";
+
+const SAX_CHUNK_SIZE = 8192;
+const TABLE_SECTIONS = new Set(["tbody", "thead", "tfoot"]);
 
 export function* stream(input, options = {}) {
   const { text } = decodeHTML(input, options.encoding ?? null);
   const { tokens } = tokenizeHTML(text, { collectErrors: false });
 
-  let textBuffer = "";
+  const pending = { text: "" };
+  yield* tokenEvents(tokens, pending);
+  if (pending.text) {
+    yield ["text", pending.text];
+  }
+}
+
+export async function* streamAsync(source, options = {}) {
+  const decoder = new StreamDecoder(options.encoding ?? null);
+  const tokens = [];
+  const tokenizer = createHTMLTokenizer((token) => tokens.push(token));
+  const pending = { text: "" };
+
+  for await (const chunk of readChunks(source)) {
+    tokenizer.feed(decoder.decode(chunk));
+    tokenizer.run();
+    yield* tokenEvents(tokens.splice(0), pending);
+  }
+
+  tokenizer.feed(decoder.end());
+  tokenizer.end();
+  tokenizer.run();
+  yield* tokenEvents(tokens.splice(0), pending);
+  if (pending.text) {
+    yield ["text", pending.text];
+  }
+}
+
+export function* saxStream(input, options = {}) {
+  const { text } = decodeHTML(input, options.encoding ?? null);
+  const sax = new TreeEventEmitter(options, false);
+  for (let i = 0; i < text.length; i += SAX_CHUNK_SIZE) {
+    sax.builder.write(text.slice(i, i + SAX_CHUNK_SIZE));
+    yield* sax.drain();
+  }
+  sax.builder.close();
+  yield* sax.drain();
+}
+
+export async function* saxStreamAsync(source, options = {}) {
+  const decoder = new StreamDecoder(options.encoding ?? null);
+  const sax = new TreeEventEmitter(options, true);
+  for await (const chunk of readChunks(source)) {
+    sax.builder.write(decoder.decode(chunk));
+    yield* sax.drain();
+  }
+  sax.builder.write(decoder.end());
+  sax.builder.close();
+  yield* sax.drain();
+}
+
+class TreeEventEmitter {
+  constructor(options, streamTables) {
+    const fragmentContext = options.fragmentContext ?? null;
+    this.builder = new TreeBuilder({
+      fragment: Boolean(options.fragment || fragmentContext),
+      fragmentContext,
+      scripting: options.scriptingEnabled !== false,
+      iframeSrcdoc: Boolean(options.iframeSrcdoc)
+    });
+    this.fragment = Boolean(this.builder.contextElement);
+    this.streamTables = streamTables;
+    this.started = new Set();
+    this.text = "";
+  }
+
+  *drain() {
+    const builder = this.builder;
+    const done = builder.tokenizer.done;
+    const stack = builder.openElements;
+    const pinned = new Set();
+    for (const node of stack) {
+      for (let current = node; current && !pinned.has(current); current = current.parent) {
+        pinned.add(current);
+      }
+    }
+    const stableDepth = done ? 0 : this.stableDepth();
+    let container = this.fragment ? builder.document.children[0] : builder.document;
+    let depth = this.fragment ? 1 : 0;
+
+    while (container) {
+      const children = childNodes(container);
+      const open = children.find((child) => this.started.has(child));
+      if (open && (done || this.isFinal(open, children, pinned))) {
+        yield* this.emitNode(open);
+        container.removeChild(open);
+        continue;
+      }
+      while (!open && children.length && (done || this.isFinal(children[0], children, pinned))) {
+        const child = children[0];
+        yield* this.emitNode(child);
+        container.removeChild(child);
+      }
+      const next = open ?? children[0];
+      if (done || !next || depth >= stableDepth || next !== stack[depth]) {
+        break;
+      }
+      if (!this.started.has(next)) {
+        yield* this.flushText();
+        yield ["start", [next.name, { ...next.attrs }, next.namespace]];
+        this.started.add(next);
+      }
+      container = next;
+      depth += 1;
+    }
+
+    if (done) {
+      yield* this.flushText();
+    }
+  }
+
+  stableDepth() {
+    const builder = this.builder;
+    const formatting = new Set(builder.activeFormatting.map((entry) => entry?.element));
+    const stack = builder.openElements;
+    let adoptable = false;
+    for (let i = 0; i < stack.length; i += 1) {
+      const node = stack[i];
+      const html = node.namespace === "html";
+      if (html && node.name === "body" && builder.framesetOk) {
+        return i;
+      }
+      if (html && (node.name === "select" || (node.name === "table" && !this.started.has(node) && !(this.streamTables && hasClosedRow(node, stack))))) {
+        return i;
+      }
+      if (html && node.name === "table") {
+        adoptable = false;
+        continue;
+      }
+      if (adoptable && isSpecial(node)) {
+        return i;
+      }
+      if (formatting.has(node)) {
+        adoptable = true;
+      }
+    }
+    return stack.length;
+  }
+
+  isFinal(node, siblings, pinned) {
+    if (pinned.has(node)) {
+      return false;
+    }
+    if (node.name === "#text") {
+      return node !== siblings[siblings.length - 1];
+    }
+    return !(node === this.builder.headElement && this.builder.mode === InsertionMode.AFTER_HEAD);
+  }
+
+  *emitNode(node) {
+    if (node.name === "#text") {
+      this.text += node.data || "";
+      return;
+    }
+    if (node.name === "#comment") {
+      yield* this.flushText();
+      yield ["comment", node.data || ""];
+      return;
+    }
+    if (node.name === "!doctype") {
+      const { name, publicId, systemId } = node.data || {};
+      yield* this.flushText();
+      yield ["doctype", [name || "html", publicId || null, systemId || null]];
+      return;
+    }
+    if (!this.started.has(node)) {
+      fillSelectedContent(node);
+      yield* this.flushText();
+      yield ["start", [node.name, { ...node.attrs }, node.namespace]];
+    }
+    this.started.delete(node);
+    const children = childNodes(node);
+    const open = children.find((child) => this.started.has(child));
+    if (open) {
+      yield* this.emitNode(open);
+    }
+    for (const child of children) {
+      if (child !== open) {
+        yield* this.emitNode(child);
+      }
+    }
+    yield* this.flushText();
+    yield ["end", [node.name, node.namespace]];
+  }
+
+  *flushText() {
+    if (this.text) {
+      yield ["text", this.text];
+      this.text = "";
+    }
+  }
+}
+
+function hasClosedRow(table, stack) {
+  for (const section of table.children) {
+    if (section.namespace === "html" && TABLE_SECTIONS.has(section.name)) {
+      if (section.children.some((row) => row.name === "tr" && !stack.includes(row))) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+function childNodes(node) {
+  return (node.templateContent || node).children;
+}
+
+function* tokenEvents(tokens, pending) {
   for (const token of tokens) {
     if (token.kind === TokenKind.TEXT) {
-      textBuffer += token.data;
+      pending.text += token.data;
       continue;
     }
 
-    if (textBuffer) {
-      yield ["text", textBuffer];
-      textBuffer = "";
+    if (pending.text) {
+      yield ["text", pending.text];
+      pending.text = "";
     }
 
     if (token.kind === TokenKind.START_TAG) {
@@ -39,8 +251,39 @@ export function* stream(input, options = {}) {
       yield ["doctype", [token.name || "html", token.publicId || null, token.systemId || null]];
     }
   }
+}
 
-  if (textBuffer) {
-    yield ["text", textBuffer];
+export async function* readChunks(source) {
+  if (typeof source === "string" || source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    yield source;
+    return;
+  }
+  if (source && typeof source[Symbol.asyncIterator] === "function") {
+    yield* source;
+    return;
+  }
+  if (source && typeof source.getReader === "function") {
+    const reader = source.getReader();
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          finished = true;
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      if (!finished) {
+        reader.cancel().catch(() => {});
+      }
+      reader.releaseLock();
+    }
+  }
+  if (source && typeof source[Symbol.iterator] === "function") {
+    yield* source;
+    return;
   }
+  throw new TypeError("streamAsync() expects a ReadableStream, async iterable, iterable, string or bytes");
 }
@@ -1,5 +1,7 @@
-import { decodeCharacterReferences } from "./entities.js";
+import { decodeHTML } from "./encoding.js";
+import { MAX_NAMED_ENTITY_LENGTH, matchNamedEntity, resolveNumericReference } from "./entities.js";
 import { ParseError } from "./errors.js";
+import { LineIndex } from "./position.js";
 import { VOID_ELEMENTS } from "./constants.js";
 
 export const TokenKind = Object.freeze({
@@ -7,442 +9,1654 @@ export const TokenKind = Object.freeze({
   END_TAG: "end_tag",
   TEXT: "text",
   COMMENT: "comment",
-  DOCTYPE: "doctype"
+  DOCTYPE: "doctype",
+  EOF: "eof",
+  ERROR: "error"
 });
 
-export function tokenizeHTML(html, { collectErrors = false } = {}) {
-  const tokens = [];
-  const errors = [];
-  const lowerHTML = html.toLowerCase();
-  const openElements = [{ name: "#document", namespace: "html" }];
+export const TokenizerState = Object.freeze({
+  DATA: "data",
+  RCDATA: "rcdata",
+  RAWTEXT: "rawtext",
+  SCRIPT_DATA: "script_data",
+  PLAINTEXT: "plaintext",
+  TAG_OPEN: "tag_open",
+  END_TAG_OPEN: "end_tag_open",
+  TAG_NAME: "tag_name",
+  RCDATA_LESS_THAN_SIGN: "rcdata_less_than_sign",
+  RCDATA_END_TAG_OPEN: "rcdata_end_tag_open",
+  RCDATA_END_TAG_NAME: "rcdata_end_tag_name",
+  RAWTEXT_LESS_THAN_SIGN: "rawtext_less_than_sign",
+  RAWTEXT_END_TAG_OPEN: "rawtext_end_tag_open",
+  RAWTEXT_END_TAG_NAME: "rawtext_end_tag_name",
+  SCRIPT_DATA_LESS_THAN_SIGN: "script_data_less_than_sign",
+  SCRIPT_DATA_END_TAG_OPEN: "script_data_end_tag_open",
+  SCRIPT_DATA_END_TAG_NAME: "script_data_end_tag_name",
+  SCRIPT_DATA_ESCAPE_START: "script_data_escape_start",
+  SCRIPT_DATA_ESCAPE_START_DASH: "script_data_escape_start_dash",
+  SCRIPT_DATA_ESCAPED: "script_data_escaped",
+  SCRIPT_DATA_ESCAPED_DASH: "script_data_escaped_dash",
+  SCRIPT_DATA_ESCAPED_DASH_DASH: "script_data_escaped_dash_dash",
+  SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN: "script_data_escaped_less_than_sign",
+  SCRIPT_DATA_ESCAPED_END_TAG_OPEN: "script_data_escaped_end_tag_open",
+  SCRIPT_DATA_ESCAPED_END_TAG_NAME: "script_data_escaped_end_tag_name",
+  SCRIPT_DATA_DOUBLE_ESCAPE_START: "script_data_double_escape_start",
+  SCRIPT_DATA_DOUBLE_ESCAPED: "script_data_double_escaped",
+  SCRIPT_DATA_DOUBLE_ESCAPED_DASH: "script_data_double_escaped_dash",
+  SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH: "script_data_double_escaped_dash_dash",
+  SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN: "script_data_double_escaped_less_than_sign",
+  SCRIPT_DATA_DOUBLE_ESCAPE_END: "script_data_double_escape_end",
+  BEFORE_ATTRIBUTE_NAME: "before_attribute_name",
+  ATTRIBUTE_NAME: "attribute_name",
+  AFTER_ATTRIBUTE_NAME: "after_attribute_name",
+  BEFORE_ATTRIBUTE_VALUE: "before_attribute_value",
+  ATTRIBUTE_VALUE_DOUBLE_QUOTED: "attribute_value_double_quoted",
+  ATTRIBUTE_VALUE_SINGLE_QUOTED: "attribute_value_single_quoted",
+  ATTRIBUTE_VALUE_UNQUOTED: "attribute_value_unquoted",
+  AFTER_ATTRIBUTE_VALUE_QUOTED: "after_attribute_value_quoted",
+  SELF_CLOSING_START_TAG: "self_closing_start_tag",
+  BOGUS_COMMENT: "bogus_comment",
+  MARKUP_DECLARATION_OPEN: "markup_declaration_open",
+  COMMENT_START: "comment_start",
+  COMMENT_START_DASH: "comment_start_dash",
+  COMMENT: "comment",
+  COMMENT_LESS_THAN_SIGN: "comment_less_than_sign",
+  COMMENT_LESS_THAN_SIGN_BANG: "comment_less_than_sign_bang",
+  COMMENT_LESS_THAN_SIGN_BANG_DASH: "comment_less_than_sign_bang_dash",
+  COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH: "comment_less_than_sign_bang_dash_dash",
+  COMMENT_END_DASH: "comment_end_dash",
+  COMMENT_END: "comment_end",
+  COMMENT_END_BANG: "comment_end_bang",
+  DOCTYPE: "doctype",
+  BEFORE_DOCTYPE_NAME: "before_doctype_name",
+  DOCTYPE_NAME: "doctype_name",
+  AFTER_DOCTYPE_NAME: "after_doctype_name",
+  AFTER_DOCTYPE_PUBLIC_KEYWORD: "after_doctype_public_keyword",
+  BEFORE_DOCTYPE_PUBLIC_IDENTIFIER: "before_doctype_public_identifier",
+  DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED: "doctype_public_identifier_double_quoted",
+  DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED: "doctype_public_identifier_single_quoted",
+  AFTER_DOCTYPE_PUBLIC_IDENTIFIER: "after_doctype_public_identifier",
+  BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS: "between_doctype_public_and_system_identifiers",
+  AFTER_DOCTYPE_SYSTEM_KEYWORD: "after_doctype_system_keyword",
+  BEFORE_DOCTYPE_SYSTEM_IDENTIFIER: "before_doctype_system_identifier",
+  DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED: "doctype_system_identifier_double_quoted",
+  DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED: "doctype_system_identifier_single_quoted",
+  AFTER_DOCTYPE_SYSTEM_IDENTIFIER: "after_doctype_system_identifier",
+  BOGUS_DOCTYPE: "bogus_doctype",
+  CDATA_SECTION: "cdata_section",
+  CDATA_SECTION_BRACKET: "cdata_section_bracket",
+  CDATA_SECTION_END: "cdata_section_end",
+  CHARACTER_REFERENCE: "character_reference",
+  NAMED_CHARACTER_REFERENCE: "named_character_reference",
+  AMBIGUOUS_AMPERSAND: "ambiguous_ampersand",
+  NUMERIC_CHARACTER_REFERENCE: "numeric_character_reference",
+  HEXADECIMAL_CHARACTER_REFERENCE_START: "hexadecimal_character_reference_start",
+  DECIMAL_CHARACTER_REFERENCE_START: "decimal_character_reference_start",
+  HEXADECIMAL_CHARACTER_REFERENCE: "hexadecimal_character_reference",
+  DECIMAL_CHARACTER_REFERENCE: "decimal_character_reference",
+  NUMERIC_CHARACTER_REFERENCE_END: "numeric_character_reference_end"
+});
 
-  let i = 0;
-  while (i < html.length) {
-    const lt = html.indexOf("<", i);
-    if (lt < 0) {
-      emitText(html.slice(i), i, tokens);
-      break;
-    }
+const S = TokenizerState;
+const EOF = null;
+const NEED_MORE_INPUT = Symbol("need-more-input");
 
-    if (lt > i) {
-      emitText(html.slice(i, lt), i, tokens);
-    }
+const ERROR_MESSAGES = {
+  "abrupt-closing-of-empty-comment": "Empty comment closed abruptly",
+  "abrupt-doctype-public-identifier": "Doctype public identifier closed abruptly",
+  "abrupt-doctype-system-identifier": "Doctype system identifier closed abruptly",
+  "absence-of-digits-in-numeric-character-reference": "Numeric character reference has no digits",
+  "cdata-in-html-content": "CDATA section outside foreign content",
+  "character-reference-outside-unicode-range": "Character reference outside the Unicode range",
+  "control-character-in-input-stream": "Control character in input stream",
+  "control-character-reference": "Character reference to a control character",
+  "duplicate-attribute": "Duplicate attribute",
+  "end-tag-with-attributes": "End tag with attributes",
+  "end-tag-with-trailing-solidus": "End tag with trailing solidus",
+  "eof-before-tag-name": "Unexpected EOF before tag name",
+  "eof-in-cdata": "Unexpected EOF in CDATA section",
+  "eof-in-comment": "Unexpected EOF in comment",
+  "eof-in-doctype": "Unexpected EOF in doctype",
+  "eof-in-script-html-comment-like-text": "Unexpected EOF in script comment-like text",
+  "eof-in-tag": "Unexpected EOF in tag",
+  "incorrectly-closed-comment": "Comment closed with --!>",
+  "incorrectly-opened-comment": "Incorrectly opened comment",
+  "invalid-character-sequence-after-doctype-name": "Invalid character sequence after doctype name",
+  "invalid-first-character-of-tag-name": "Invalid first character of tag name",
+  "missing-attribute-value": "Missing attribute value",
+  "missing-doctype-name": "Missing doctype name",
+  "missing-doctype-public-identifier": "Missing doctype public identifier",
+  "missing-doctype-system-identifier": "Missing doctype system identifier",
+  "missing-end-tag-name": "Missing end tag name",
+  "missing-quote-before-doctype-public-identifier": "Missing quote before doctype public identifier",
+  "missing-quote-before-doctype-system-identifier": "Missing quote before doctype system identifier",
+  "missing-semicolon-after-character-reference": "Missing semicolon after character reference",
+  "missing-whitespace-after-doctype-public-keyword": "Missing whitespace after doctype PUBLIC keyword",
+  "missing-whitespace-after-doctype-system-keyword": "Missing whitespace after doctype SYSTEM keyword",
+  "missing-whitespace-before-doctype-name": "Missing whitespace before doctype name",
+  "missing-whitespace-between-attributes": "Missing whitespace between attributes",
+  "missing-whitespace-between-doctype-public-and-system-identifiers": "Missing whitespace between doctype public and system identifiers",
+  "nested-comment": "Nested comment",
+  "noncharacter-character-reference": "Character reference to a noncharacter",
+  "noncharacter-in-input-stream": "Noncharacter in input stream",
+  "null-character-reference": "Character reference to U+0000",
+  "surrogate-character-reference": "Character reference to a surrogate",
+  "surrogate-in-input-stream": "Surrogate in input stream",
+  "unexpected-character-after-doctype-system-identifier": "Unexpected character after doctype system identifier",
+  "unexpected-character-in-attribute-name": "Unexpected character in attribute name",
+  "unexpected-character-in-unquoted-attribute-value": "Unexpected character in unquoted attribute value",
+  "unexpected-equals-sign-before-attribute-name": "Unexpected equals sign before attribute name",
+  "unexpected-null-character": "Unexpected NULL character",
+  "unexpected-question-mark-instead-of-tag-name": "Unexpected question mark instead of tag name",
+  "unexpected-solidus-in-tag": "Unexpected solidus in tag",
+  "unknown-named-character-reference": "Unknown named character reference"
+};
 
-    if (html.startsWith("<!--", lt)) {
-      const parsed = parseComment(html, lt, errors, collectErrors);
-      tokens.push({ kind: TokenKind.COMMENT, data: parsed.data, pos: lt });
-      i = parsed.nextIndex;
-      if (parsed.eof) {
-        break;
-      }
-      continue;
+const DATA_RUN = /[^&<\r\0]+/y;
+const RAWTEXT_RUN = /[^<\r\0]+/y;
+const PLAINTEXT_RUN = /[^\r\0]+/y;
+const BUFFER_COMPACT_THRESHOLD = 1 << 16;
+const INPUT_STREAM_ERROR_CHARS = /[\x01-\x08\x0b\x0e-\x1f\x7f-\x9f\ufdd0-\ufdef\ufffe\uffff\ud800-\udfff]/;
+
+export class Tokenizer {
+  constructor(sink, { initialState = S.DATA, lastStartTag = null, collectErrors = false } = {}) {
+    this.sink = sink;
+    this.state = initialState;
+    this.returnState = null;
+    this.lastStartTagName = lastStartTag;
+    this.collectErrors = collectErrors;
+    this.errors = [];
+    this.lineIndex = new LineIndex();
+
+    this.buffer = "";
+    this.bufferOffset = 0;
+    this.pos = 0;
+    this.ended = false;
+    this.done = false;
+    this.skipNewline = false;
+    this.reconsuming = false;
+    this.currentChar = EOF;
+    this.charOffset = 0;
+
+    this.textBuffer = "";
+    this.textPos = null;
+    this.textEnd = null;
+    this.tokenPos = 0;
+    this.currentTag = null;
+    this.currentAttrName = "";
+    this.currentAttrValue = "";
+    this.currentAttrDuplicate = true;
+    this.currentAttrSpan = null;
+    this.currentComment = null;
+    this.currentDoctype = null;
+    this.tempBuffer = "";
+    this.charRefCode = 0;
+    this.charRefStart = 0;
+  }
+
+  feed(text) {
+    if (this.pos > BUFFER_COMPACT_THRESHOLD) {
+      const consumed = this.textBuffer ? Math.min(this.pos - 2, this.textPos - this.bufferOffset) : this.pos - 2;
+      this.buffer = this.buffer.slice(consumed);
+      this.bufferOffset += consumed;
+      this.pos -= consumed;
     }
+    this.buffer += text;
+    this.lineIndex.append(text);
+  }
+
+  sourceCharAt(offset) {
+    return this.buffer[offset - this.bufferOffset] ?? "";
+  }
+
+  end() {
+    this.ended = true;
+  }
 
-    if (/^<!doctype/i.test(html.slice(lt, lt + 10))) {
-      const end = html.indexOf(">", lt + 2);
-      if (end < 0) {
-        emitError(errors, collectErrors, "eof-in-doctype", "Unexpected EOF in doctype", lt, html);
+  run() {
+    while (!this.done) {
+      let ch;
+      if (this.reconsuming) {
+        ch = this.currentChar;
+        this.reconsuming = false;
+      } else {
+        if (this.tryConsumeRun()) {
+          continue;
+        }
+        ch = this.readChar();
+        if (ch === NEED_MORE_INPUT) {
+          break;
+        }
+        this.currentChar = ch;
+      }
+      if (this.step(ch) === NEED_MORE_INPUT) {
+        this.reconsuming = true;
         break;
       }
-      const chunk = html.slice(lt, end + 1);
-      const dt = parseDoctype(chunk);
-      tokens.push({ kind: TokenKind.DOCTYPE, name: dt.name, publicId: dt.publicId, systemId: dt.systemId, pos: lt });
-      i = end + 1;
-      continue;
     }
+  }
 
-    if (html.startsWith("<![CDATA[", lt)) {
-      const end = html.indexOf("]]>", lt + 9);
-      if (end < 0) {
-        tokens.push({ kind: TokenKind.COMMENT, data: `[CDATA[${html.slice(lt + 9)}`, pos: lt });
-        break;
+  tokenEnd() {
+    return this.currentChar === EOF ? this.charOffset : this.charOffset + 1;
+  }
+
+  readChar() {
+    while (true) {
+      if (this.pos >= this.buffer.length) {
+        if (!this.ended) {
+          return NEED_MORE_INPUT;
+        }
+        this.charOffset = this.bufferOffset + this.pos;
+        return EOF;
+      }
+      this.charOffset = this.bufferOffset + this.pos;
+      const ch = this.buffer[this.pos];
+      if (this.collectErrors && !this.ended && this.pos + 1 === this.buffer.length && isHighSurrogate(ch)) {
+        return NEED_MORE_INPUT;
+      }
+      this.pos += 1;
+      if (this.skipNewline) {
+        this.skipNewline = false;
+        if (ch === "\n") {
+          continue;
+        }
+      }
+      if (ch === "\r") {
+        this.skipNewline = true;
+        return "\n";
       }
-      tokens.push({ kind: TokenKind.COMMENT, data: `[CDATA[${html.slice(lt + 9, end)}]]`, pos: lt });
-      i = end + 3;
-      continue;
+      if (this.collectErrors && INPUT_STREAM_ERROR_CHARS.test(ch)) {
+        this.checkInputStreamChar(ch);
+      }
+      return ch;
     }
+  }
 
-    if (html.startsWith("<!", lt)) {
-      const bogusEnd = html.indexOf(">", lt + 2);
-      if (bogusEnd < 0) {
-        tokens.push({ kind: TokenKind.COMMENT, data: html.slice(lt + 2), pos: lt });
-        break;
+  checkInputStreamChar(ch) {
+    const code = ch.charCodeAt(0);
+    if (isHighSurrogate(ch)) {
+      const next = this.buffer.charCodeAt(this.pos);
+      if (next >= 0xdc00 && next <= 0xdfff) {
+        const codePoint = ((code - 0xd800) << 10) + (next - 0xdc00) + 0x10000;
+        if ((codePoint & 0xfffe) === 0xfffe) {
+          this.error("noncharacter-in-input-stream");
+        }
+        return;
       }
-      const bogusData = html.slice(lt + 2, bogusEnd).replaceAll("\u0000", "\ufffd");
-      tokens.push({ kind: TokenKind.COMMENT, data: bogusData, pos: lt });
-      i = bogusEnd + 1;
-      continue;
+      this.error("surrogate-in-input-stream");
+      return;
     }
-
-    const end = html.indexOf(">", lt + 1);
-    if (end < 0) {
-      if (html.startsWith("<?", lt)) {
-        tokens.push({ kind: TokenKind.COMMENT, data: html.slice(lt + 1), pos: lt });
-        break;
+    if (code >= 0xdc00 && code <= 0xdfff) {
+      const prev = this.buffer.charCodeAt(this.pos - 2);
+      if (!(prev >= 0xd800 && prev <= 0xdbff)) {
+        this.error("surrogate-in-input-stream");
       }
-      emitError(errors, collectErrors, "eof-in-tag", "Unexpected EOF in tag", lt, html);
-      break;
+      return;
+    }
+    if ((code >= 0xfdd0 && code <= 0xfdef) || code === 0xfffe || code === 0xffff) {
+      this.error("noncharacter-in-input-stream");
+      return;
     }
+    this.error("control-character-in-input-stream");
+  }
 
-    const rawInner = html.slice(lt + 1, end);
-    const rawTag = rawInner.trim();
-    if (!rawTag) {
-      i = end + 1;
-      continue;
+  tryConsumeRun() {
+    if (this.skipNewline) {
+      return false;
+    }
+    let pattern;
+    switch (this.state) {
+      case S.DATA:
+      case S.RCDATA:
+        pattern = DATA_RUN;
+        break;
+      case S.RAWTEXT:
+      case S.SCRIPT_DATA:
+        pattern = RAWTEXT_RUN;
+        break;
+      case S.PLAINTEXT:
+        pattern = PLAINTEXT_RUN;
+        break;
+      default:
+        return false;
     }
-    if (rawTag.startsWith("?")) {
-      tokens.push({ kind: TokenKind.COMMENT, data: rawTag, pos: lt });
-      i = end + 1;
-      continue;
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.buffer);
+    if (!match) {
+      return false;
     }
-
-    if (rawTag[0] === "!") {
-      emitText(html.slice(lt, end + 1), lt, tokens);
-      i = end + 1;
-      continue;
+    const run = match[0];
+    if (this.collectErrors && INPUT_STREAM_ERROR_CHARS.test(run)) {
+      return false;
     }
+    this.charOffset = this.bufferOffset + this.pos;
+    this.pos += run.length;
+    this.emitChars(run);
+    return true;
+  }
 
-    if (rawTag.startsWith("/")) {
-      if (/^\s/.test(rawInner)) {
-        emitText(html.slice(lt, end + 1), lt, tokens);
-        i = end + 1;
-        continue;
-      }
-      const endToken = parseEndTag(rawInner);
-      if (endToken.kind === "comment") {
-        tokens.push({ kind: TokenKind.COMMENT, data: endToken.data, pos: lt });
-      } else {
-        tokens.push({ kind: TokenKind.END_TAG, name: endToken.name, pos: lt });
-        closeOpenElement(openElements, endToken.name);
+  peekMatches(text, caseInsensitive) {
+    const start = this.pos - 1;
+    const available = this.buffer.slice(start, start + text.length);
+    if (available.length < text.length) {
+      const partial = caseInsensitive ? available.toLowerCase() : available;
+      const expected = caseInsensitive ? text.toLowerCase() : text;
+      if (!this.ended && expected.startsWith(partial)) {
+        return NEED_MORE_INPUT;
       }
-      i = end + 1;
-      continue;
+      return false;
     }
-
-    const parsed = parseStartTag(rawInner);
-    if (!parsed || !parsed.name) {
-      emitText(html.slice(lt, end + 1), lt, tokens);
-      i = end + 1;
-      continue;
+    if (caseInsensitive) {
+      return available.toLowerCase() === text.toLowerCase();
     }
-    const { name, attrs, selfClosing } = parsed;
-    const namespace = inferTokenizerNamespace(name, openElements[openElements.length - 1]?.namespace || "html", attrs || {});
-    tokens.push({ kind: TokenKind.START_TAG, name, attrs, selfClosing, pos: lt });
-    i = end + 1;
+    return available === text;
+  }
 
-    if (!selfClosing && shouldConsumeRawText(name, namespace)) {
-      const closeIdx = findRawCloseIndex(lowerHTML, i, name);
-      if (closeIdx < 0) {
-        const remaining = html.slice(i);
-        if (remaining) {
-          emitText(remaining, i, tokens, !shouldDecodeEntitiesInRaw(name));
-        }
-        emitError(errors, collectErrors, "expected-closing-tag-but-got-eof", `Expected </${name}> before EOF`, i, html);
-        break;
-      }
+  error(code, offset = this.charOffset) {
+    if (!this.collectErrors) {
+      return;
+    }
+    const { line, column } = this.lineIndex.positionAt(offset);
+    this.errors.push(new ParseError(ERROR_MESSAGES[code] || code, { category: "tokenizer", code, line, column }));
+  }
 
-      const rawText = html.slice(i, closeIdx);
-      if (rawText) {
-        emitText(rawText, i, tokens, !shouldDecodeEntitiesInRaw(name));
-      }
-      tokens.push({ kind: TokenKind.END_TAG, name, pos: closeIdx });
-      closeOpenElement(openElements, name);
-      const closeEnd = findTagCloseIndex(html, closeIdx + 2 + name.length);
-      if (closeEnd < 0) {
-        break;
-      }
-      i = closeEnd + 1;
-      continue;
+  emitChars(text, start = this.charOffset) {
+    if (!this.textBuffer) {
+      this.textPos = start;
     }
+    this.textBuffer += text;
+    this.textEnd = this.bufferOffset + this.pos;
+  }
 
-    if (!selfClosing && !VOID_ELEMENTS.has(name)) {
-      openElements.push({ name, namespace });
+  flushText(end = this.textEnd) {
+    if (!this.textBuffer) {
+      return;
     }
+    const token = { kind: TokenKind.TEXT, data: this.textBuffer, pos: this.textPos, end };
+    this.textBuffer = "";
+    this.textPos = null;
+    this.textEnd = null;
+    this.sink.processToken(token);
   }
 
-  return { tokens, errors };
-}
+  emitToken(token) {
+    this.flushText(token.pos);
+    this.sink.processToken(token);
+  }
 
-function emitText(text, pos, tokens, preserveEntities = false) {
-  if (!text) {
-    return;
+  emitEOF() {
+    this.emitToken({ kind: TokenKind.EOF, pos: this.charOffset, end: this.charOffset });
+    this.done = true;
   }
-  text = normalizeNewlines(String(text));
-  const normalized = preserveEntities
-    ? String(text)
-    : decodeCharacterReferences(text);
-  if (!normalized) {
-    return;
+
+  createStartTag() {
+    this.currentTag = { kind: TokenKind.START_TAG, name: "", attrs: {}, attrSpans: {}, selfClosing: false, pos: this.tokenPos, end: null };
   }
-  tokens.push({ kind: TokenKind.TEXT, data: normalized, pos });
-}
 
-function normalizeNewlines(value) {
-  return String(value).replace(/\r\n/g, "\n").replace(/\r/g, "\n");
-}
+  createEndTag() {
+    this.currentTag = { kind: TokenKind.END_TAG, name: "", attrs: {}, attrSpans: {}, selfClosing: false, pos: this.tokenPos, end: null };
+  }
 
-function emitError(errors, collectErrors, code, message, pos, html) {
-  if (!collectErrors) {
-    return;
+  startAttribute(name = "") {
+    this.commitAttribute();
+    this.currentAttrName = name;
+    this.currentAttrValue = "";
+    this.currentAttrDuplicate = false;
+    this.currentAttrSpan = { name: { start: this.charOffset, end: this.charOffset }, value: null };
   }
-  const { line, column } = toLineCol(html, pos);
-  errors.push(new ParseError(message, { category: "tokenizer", code, line, column }));
-}
 
-function parseAttrs(raw) {
-  const attrs = {};
-  const attrPattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
-  let match;
-  while ((match = attrPattern.exec(raw)) !== null) {
-    const key = match[1].toLowerCase();
-    const value = decodeCharacterReferences(match[2] ?? match[3] ?? match[4] ?? "", { inAttribute: true });
-    if (!(key in attrs)) {
-      attrs[key] = value;
+  finishAttributeName() {
+    this.currentAttrSpan.name.end = this.charOffset;
+    if (Object.prototype.hasOwnProperty.call(this.currentTag.attrs, this.currentAttrName)) {
+      this.error("duplicate-attribute");
+      this.currentAttrDuplicate = true;
     }
   }
-  return attrs;
-}
 
-function parseStartTag(rawInner) {
-  let i = 0;
-  const src = String(rawInner || "");
-  while (i < src.length && /\s/.test(src[i])) {
-    i += 1;
+  startAttributeValue(start) {
+    this.currentAttrSpan.value = { start, end: start };
   }
 
-  const nameStart = i;
-  while (i < src.length && !/[\s/>]/.test(src[i])) {
-    i += 1;
-  }
-  const name = src.slice(nameStart, i).toLowerCase();
-  if (!name) {
-    return null;
+  finishAttributeValue() {
+    this.currentAttrSpan.value.end = this.charOffset;
   }
 
-  const attrs = {};
-  let selfClosing = false;
+  commitAttribute() {
+    if (!this.currentAttrDuplicate) {
+      this.currentTag.attrs[this.currentAttrName] = this.currentAttrValue;
+      this.currentTag.attrSpans[this.currentAttrName] = this.currentAttrSpan;
+    }
+    this.currentAttrDuplicate = true;
+    this.currentAttrSpan = null;
+  }
 
-  while (i < src.length) {
-    while (i < src.length && /\s/.test(src[i])) {
-      i += 1;
+  emitCurrentTag() {
+    this.commitAttribute();
+    const tag = this.currentTag;
+    this.currentTag = null;
+    tag.end = this.tokenEnd();
+    if (tag.kind === TokenKind.START_TAG) {
+      this.lastStartTagName = tag.name;
+      this.emitToken(tag);
+      return;
     }
-    if (i >= src.length) {
-      break;
+    if (Object.keys(tag.attrs).length) {
+      this.error("end-tag-with-attributes");
     }
-    if (src[i] === "/") {
-      selfClosing = true;
-      i += 1;
-      while (i < src.length && /\s/.test(src[i])) {
-        i += 1;
-      }
-      continue;
+    if (tag.selfClosing) {
+      this.error("end-tag-with-trailing-solidus");
     }
+    this.emitToken({ kind: TokenKind.END_TAG, name: tag.name, pos: tag.pos, end: tag.end });
+  }
+
+  isAppropriateEndTag() {
+    return this.lastStartTagName != null && this.currentTag.name === this.lastStartTagName;
+  }
+
+  createComment(data = "") {
+    this.currentComment = { kind: TokenKind.COMMENT, data, pos: this.tokenPos, end: null };
+  }
+
+  emitCurrentComment() {
+    const comment = this.currentComment;
+    this.currentComment = null;
+    comment.end = this.tokenEnd();
+    this.emitToken(comment);
+  }
+
+  createDoctype(name = null) {
+    this.currentDoctype = { kind: TokenKind.DOCTYPE, name, publicId: null, systemId: null, forceQuirks: false, pos: this.tokenPos, end: null };
+  }
 
-    const attrStart = i;
-    while (i < src.length && !/[\s=>/]/.test(src[i])) {
-      i += 1;
+  emitCurrentDoctype(forceQuirks = false) {
+    const doctype = this.currentDoctype;
+    this.currentDoctype = null;
+    doctype.end = this.tokenEnd();
+    if (forceQuirks) {
+      doctype.forceQuirks = true;
     }
-    const rawKey = src.slice(attrStart, i).toLowerCase();
-    if (!rawKey) {
-      i += 1;
-      continue;
+    this.emitToken(doctype);
+  }
+
+  emitDoctypeAtEOF() {
+    this.error("eof-in-doctype");
+    this.emitCurrentDoctype(true);
+    this.emitEOF();
+  }
+
+  isAttributeReturnState() {
+    return this.returnState === S.ATTRIBUTE_VALUE_DOUBLE_QUOTED ||
+      this.returnState === S.ATTRIBUTE_VALUE_SINGLE_QUOTED ||
+      this.returnState === S.ATTRIBUTE_VALUE_UNQUOTED;
+  }
+
+  flushCharacterReference(text) {
+    if (this.isAttributeReturnState()) {
+      this.currentAttrValue += text;
+      return;
     }
+    this.emitChars(text, this.charRefStart);
+  }
 
-    while (i < src.length && /\s/.test(src[i])) {
-      i += 1;
+  finishNumericReference() {
+    const { value, error } = resolveNumericReference(this.charRefCode);
+    if (error) {
+      this.error(error);
     }
+    this.flushCharacterReference(value);
+  }
+
+  reconsumeIn(state) {
+    this.state = state;
+    this.reconsuming = true;
+  }
+
+  allowsCdata() {
+    return typeof this.sink.inForeignContent === "function" && this.sink.inForeignContent();
+  }
+
+  step(ch) {
+    switch (this.state) {
+      case S.DATA:
+        if (ch === "&") {
+          this.returnState = S.DATA;
+          this.state = S.CHARACTER_REFERENCE;
+        } else if (ch === "<") {
+          this.tokenPos = this.charOffset;
+          this.state = S.TAG_OPEN;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.emitChars(ch);
+        } else if (ch === EOF) {
+          this.emitEOF();
+        } else {
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.RCDATA:
+        if (ch === "&") {
+          this.returnState = S.RCDATA;
+          this.state = S.CHARACTER_REFERENCE;
+        } else if (ch === "<") {
+          this.tokenPos = this.charOffset;
+          this.state = S.RCDATA_LESS_THAN_SIGN;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.emitChars("\ufffd");
+        } else if (ch === EOF) {
+          this.emitEOF();
+        } else {
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.RAWTEXT:
+      case S.SCRIPT_DATA:
+        if (ch === "<") {
+          this.tokenPos = this.charOffset;
+          this.state = this.state === S.RAWTEXT ? S.RAWTEXT_LESS_THAN_SIGN : S.SCRIPT_DATA_LESS_THAN_SIGN;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.emitChars("\ufffd");
+        } else if (ch === EOF) {
+          this.emitEOF();
+        } else {
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.PLAINTEXT:
+        if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.emitChars("\ufffd");
+        } else if (ch === EOF) {
+          this.emitEOF();
+        } else {
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.TAG_OPEN:
+        if (ch === "!") {
+          this.state = S.MARKUP_DECLARATION_OPEN;
+        } else if (ch === "/") {
+          this.state = S.END_TAG_OPEN;
+        } else if (isAsciiAlpha(ch)) {
+          this.createStartTag();
+          this.reconsumeIn(S.TAG_NAME);
+        } else if (ch === "?") {
+          this.error("unexpected-question-mark-instead-of-tag-name");
+          this.createComment();
+          this.reconsumeIn(S.BOGUS_COMMENT);
+        } else if (ch === EOF) {
+          this.error("eof-before-tag-name");
+          this.emitChars("<");
+          this.emitEOF();
+        } else {
+          this.error("invalid-first-character-of-tag-name");
+          this.emitChars("<");
+          this.reconsumeIn(S.DATA);
+        }
+        return;
+
+      case S.END_TAG_OPEN:
+        if (isAsciiAlpha(ch)) {
+          this.createEndTag();
+          this.reconsumeIn(S.TAG_NAME);
+        } else if (ch === ">") {
+          this.error("missing-end-tag-name");
+          this.state = S.DATA;
+        } else if (ch === EOF) {
+          this.error("eof-before-tag-name");
+          this.emitChars("</");
+          this.emitEOF();
+        } else {
+          this.error("invalid-first-character-of-tag-name");
+          this.createComment();
+          this.reconsumeIn(S.BOGUS_COMMENT);
+        }
+        return;
+
+      case S.TAG_NAME:
+        if (isWhitespace(ch)) {
+          this.state = S.BEFORE_ATTRIBUTE_NAME;
+        } else if (ch === "/") {
+          this.state = S.SELF_CLOSING_START_TAG;
+        } else if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentTag.name += "\ufffd";
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          this.currentTag.name += toAsciiLower(ch);
+        }
+        return;
+
+      case S.RCDATA_LESS_THAN_SIGN:
+      case S.RAWTEXT_LESS_THAN_SIGN:
+        if (ch === "/") {
+          this.tempBuffer = "";
+          this.state = this.state === S.RCDATA_LESS_THAN_SIGN ? S.RCDATA_END_TAG_OPEN : S.RAWTEXT_END_TAG_OPEN;
+        } else {
+          this.emitChars("<");
+          this.reconsumeIn(this.state === S.RCDATA_LESS_THAN_SIGN ? S.RCDATA : S.RAWTEXT);
+        }
+        return;
 
-    let value = "";
-    if (src[i] === "=") {
-      i += 1;
-      while (i < src.length && /\s/.test(src[i])) {
-        i += 1;
+      case S.RCDATA_END_TAG_OPEN:
+      case S.RAWTEXT_END_TAG_OPEN:
+      case S.SCRIPT_DATA_END_TAG_OPEN:
+      case S.SCRIPT_DATA_ESCAPED_END_TAG_OPEN: {
+        const { text, name } = RAW_END_TAG_STATES[this.state];
+        if (isAsciiAlpha(ch)) {
+          this.createEndTag();
+          this.reconsumeIn(name);
+        } else {
+          this.emitChars("</");
+          this.reconsumeIn(text);
+        }
+        return;
       }
-      if (src[i] === '"' || src[i] === "'") {
-        const quote = src[i];
-        i += 1;
-        const valueStart = i;
-        while (i < src.length && src[i] !== quote) {
-          i += 1;
+
+      case S.RCDATA_END_TAG_NAME:
+      case S.RAWTEXT_END_TAG_NAME:
+      case S.SCRIPT_DATA_END_TAG_NAME:
+      case S.SCRIPT_DATA_ESCAPED_END_TAG_NAME: {
+        if ((isWhitespace(ch) || ch === "/" || ch === ">") && this.isAppropriateEndTag()) {
+          if (ch === ">") {
+            this.state = S.DATA;
+            this.emitCurrentTag();
+          } else {
+            this.state = ch === "/" ? S.SELF_CLOSING_START_TAG : S.BEFORE_ATTRIBUTE_NAME;
+          }
+        } else if (isAsciiAlpha(ch)) {
+          this.currentTag.name += toAsciiLower(ch);
+          this.tempBuffer += ch;
+        } else {
+          const textState = RAW_END_TAG_NAME_TEXT_STATES[this.state];
+          this.currentTag = null;
+          this.emitChars(`</${this.tempBuffer}`);
+          this.reconsumeIn(textState);
         }
-        value = src.slice(valueStart, i);
-        if (src[i] === quote) {
-          i += 1;
+        return;
+      }
+
+      case S.SCRIPT_DATA_LESS_THAN_SIGN:
+        if (ch === "/") {
+          this.tempBuffer = "";
+          this.state = S.SCRIPT_DATA_END_TAG_OPEN;
+        } else if (ch === "!") {
+          this.state = S.SCRIPT_DATA_ESCAPE_START;
+          this.emitChars("<!");
+        } else {
+          this.emitChars("<");
+          this.reconsumeIn(S.SCRIPT_DATA);
         }
-      } else {
-        const valueStart = i;
-        while (i < src.length && !/[\s>]/.test(src[i])) {
-          i += 1;
+        return;
+
+      case S.SCRIPT_DATA_ESCAPE_START:
+      case S.SCRIPT_DATA_ESCAPE_START_DASH:
+        if (ch === "-") {
+          this.state = this.state === S.SCRIPT_DATA_ESCAPE_START ? S.SCRIPT_DATA_ESCAPE_START_DASH : S.SCRIPT_DATA_ESCAPED_DASH_DASH;
+          this.emitChars("-");
+        } else {
+          this.reconsumeIn(S.SCRIPT_DATA);
+        }
+        return;
+
+      case S.SCRIPT_DATA_ESCAPED:
+      case S.SCRIPT_DATA_ESCAPED_DASH:
+      case S.SCRIPT_DATA_ESCAPED_DASH_DASH:
+        if (ch === "-") {
+          if (this.state === S.SCRIPT_DATA_ESCAPED) {
+            this.state = S.SCRIPT_DATA_ESCAPED_DASH;
+          } else {
+            this.state = S.SCRIPT_DATA_ESCAPED_DASH_DASH;
+          }
+          this.emitChars("-");
+        } else if (ch === "<") {
+          this.tokenPos = this.charOffset;
+          this.state = S.SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN;
+        } else if (ch === ">" && this.state === S.SCRIPT_DATA_ESCAPED_DASH_DASH) {
+          this.state = S.SCRIPT_DATA;
+          this.emitChars(">");
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.state = S.SCRIPT_DATA_ESCAPED;
+          this.emitChars("\ufffd");
+        } else if (ch === EOF) {
+          this.error("eof-in-script-html-comment-like-text");
+          this.emitEOF();
+        } else {
+          this.state = S.SCRIPT_DATA_ESCAPED;
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.SCRIPT_DATA_ESCAPED_LESS_THAN_SIGN:
+        if (ch === "/") {
+          this.tempBuffer = "";
+          this.state = S.SCRIPT_DATA_ESCAPED_END_TAG_OPEN;
+        } else if (isAsciiAlpha(ch)) {
+          this.tempBuffer = "";
+          this.emitChars("<");
+          this.reconsumeIn(S.SCRIPT_DATA_DOUBLE_ESCAPE_START);
+        } else {
+          this.emitChars("<");
+          this.reconsumeIn(S.SCRIPT_DATA_ESCAPED);
         }
-        value = src.slice(valueStart, i);
+        return;
+
+      case S.SCRIPT_DATA_DOUBLE_ESCAPE_START:
+      case S.SCRIPT_DATA_DOUBLE_ESCAPE_END:
+        if (isWhitespace(ch) || ch === "/" || ch === ">") {
+          const isScript = this.tempBuffer === "script";
+          if (this.state === S.SCRIPT_DATA_DOUBLE_ESCAPE_START) {
+            this.state = isScript ? S.SCRIPT_DATA_DOUBLE_ESCAPED : S.SCRIPT_DATA_ESCAPED;
+          } else {
+            this.state = isScript ? S.SCRIPT_DATA_ESCAPED : S.SCRIPT_DATA_DOUBLE_ESCAPED;
+          }
+          this.emitChars(ch);
+        } else if (isAsciiAlpha(ch)) {
+          this.tempBuffer += toAsciiLower(ch);
+          this.emitChars(ch);
+        } else {
+          this.reconsumeIn(this.state === S.SCRIPT_DATA_DOUBLE_ESCAPE_START ? S.SCRIPT_DATA_ESCAPED : S.SCRIPT_DATA_DOUBLE_ESCAPED);
+        }
+        return;
+
+      case S.SCRIPT_DATA_DOUBLE_ESCAPED:
+      case S.SCRIPT_DATA_DOUBLE_ESCAPED_DASH:
+      case S.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH:
+        if (ch === "-") {
+          if (this.state === S.SCRIPT_DATA_DOUBLE_ESCAPED) {
+            this.state = S.SCRIPT_DATA_DOUBLE_ESCAPED_DASH;
+          } else {
+            this.state = S.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH;
+          }
+          this.emitChars("-");
+        } else if (ch === "<") {
+          this.state = S.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN;
+          this.emitChars("<");
+        } else if (ch === ">" && this.state === S.SCRIPT_DATA_DOUBLE_ESCAPED_DASH_DASH) {
+          this.state = S.SCRIPT_DATA;
+          this.emitChars(">");
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.state = S.SCRIPT_DATA_DOUBLE_ESCAPED;
+          this.emitChars("\ufffd");
+        } else if (ch === EOF) {
+          this.error("eof-in-script-html-comment-like-text");
+          this.emitEOF();
+        } else {
+          this.state = S.SCRIPT_DATA_DOUBLE_ESCAPED;
+          this.emitChars(ch);
+        }
+        return;
+
+      case S.SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN:
+        if (ch === "/") {
+          this.tempBuffer = "";
+          this.state = S.SCRIPT_DATA_DOUBLE_ESCAPE_END;
+          this.emitChars("/");
+        } else {
+          this.reconsumeIn(S.SCRIPT_DATA_DOUBLE_ESCAPED);
+        }
+        return;
+
+      case S.BEFORE_ATTRIBUTE_NAME:
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === "/" || ch === ">" || ch === EOF) {
+          this.reconsumeIn(S.AFTER_ATTRIBUTE_NAME);
+        } else if (ch === "=") {
+          this.error("unexpected-equals-sign-before-attribute-name");
+          this.startAttribute(ch);
+          this.state = S.ATTRIBUTE_NAME;
+        } else {
+          this.startAttribute();
+          this.reconsumeIn(S.ATTRIBUTE_NAME);
+        }
+        return;
+
+      case S.ATTRIBUTE_NAME:
+        if (isWhitespace(ch) || ch === "/" || ch === ">" || ch === EOF) {
+          this.finishAttributeName();
+          this.reconsumeIn(S.AFTER_ATTRIBUTE_NAME);
+        } else if (ch === "=") {
+          this.finishAttributeName();
+          this.state = S.BEFORE_ATTRIBUTE_VALUE;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentAttrName += "\ufffd";
+        } else {
+          if (ch === "\"" || ch === "'" || ch === "<") {
+            this.error("unexpected-character-in-attribute-name");
+          }
+          this.currentAttrName += toAsciiLower(ch);
+        }
+        return;
+
+      case S.AFTER_ATTRIBUTE_NAME:
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === "/") {
+          this.state = S.SELF_CLOSING_START_TAG;
+        } else if (ch === "=") {
+          this.state = S.BEFORE_ATTRIBUTE_VALUE;
+        } else if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          this.startAttribute();
+          this.reconsumeIn(S.ATTRIBUTE_NAME);
+        }
+        return;
+
+      case S.BEFORE_ATTRIBUTE_VALUE:
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === "\"") {
+          this.startAttributeValue(this.charOffset + 1);
+          this.state = S.ATTRIBUTE_VALUE_DOUBLE_QUOTED;
+        } else if (ch === "'") {
+          this.startAttributeValue(this.charOffset + 1);
+          this.state = S.ATTRIBUTE_VALUE_SINGLE_QUOTED;
+        } else if (ch === ">") {
+          this.error("missing-attribute-value");
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else {
+          this.startAttributeValue(this.charOffset);
+          this.reconsumeIn(S.ATTRIBUTE_VALUE_UNQUOTED);
+        }
+        return;
+
+      case S.ATTRIBUTE_VALUE_DOUBLE_QUOTED:
+      case S.ATTRIBUTE_VALUE_SINGLE_QUOTED: {
+        const quote = this.state === S.ATTRIBUTE_VALUE_DOUBLE_QUOTED ? "\"" : "'";
+        if (ch === quote) {
+          this.finishAttributeValue();
+          this.state = S.AFTER_ATTRIBUTE_VALUE_QUOTED;
+        } else if (ch === "&") {
+          this.returnState = this.state;
+          this.state = S.CHARACTER_REFERENCE;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentAttrValue += "\ufffd";
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          this.currentAttrValue += ch;
+        }
+        return;
       }
-    }
 
-    if (!(rawKey in attrs)) {
-      attrs[rawKey] = decodeCharacterReferences(value, { inAttribute: true });
-    }
-  }
+      case S.ATTRIBUTE_VALUE_UNQUOTED:
+        if (isWhitespace(ch)) {
+          this.finishAttributeValue();
+          this.state = S.BEFORE_ATTRIBUTE_NAME;
+        } else if (ch === "&") {
+          this.returnState = S.ATTRIBUTE_VALUE_UNQUOTED;
+          this.state = S.CHARACTER_REFERENCE;
+        } else if (ch === ">") {
+          this.finishAttributeValue();
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentAttrValue += "\ufffd";
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          if (ch === "\"" || ch === "'" || ch === "<" || ch === "=" || ch === "`") {
+            this.error("unexpected-character-in-unquoted-attribute-value");
+          }
+          this.currentAttrValue += ch;
+        }
+        return;
 
-  return { name, attrs, selfClosing };
-}
+      case S.AFTER_ATTRIBUTE_VALUE_QUOTED:
+        if (isWhitespace(ch)) {
+          this.state = S.BEFORE_ATTRIBUTE_NAME;
+        } else if (ch === "/") {
+          this.state = S.SELF_CLOSING_START_TAG;
+        } else if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          this.error("missing-whitespace-between-attributes");
+          this.reconsumeIn(S.BEFORE_ATTRIBUTE_NAME);
+        }
+        return;
 
-function parseEndTag(rawInner) {
-  const src = String(rawInner || "");
-  let i = 0;
-  if (src[i] !== "/") {
-    return { kind: "comment", data: src };
-  }
-  i += 1;
-  if (/\s/.test(src[i] || "")) {
-    return { kind: "comment", data: src.slice(1) };
-  }
-  const start = i;
-  while (i < src.length && /[A-Za-z0-9:-]/.test(src[i])) {
-    i += 1;
-  }
-  const name = src.slice(start, i).toLowerCase();
-  if (!name) {
-    return { kind: "comment", data: src.slice(1) };
-  }
-  return { kind: "end_tag", name };
-}
+      case S.SELF_CLOSING_START_TAG:
+        if (ch === ">") {
+          this.currentTag.selfClosing = true;
+          this.state = S.DATA;
+          this.emitCurrentTag();
+        } else if (ch === EOF) {
+          this.error("eof-in-tag");
+          this.emitEOF();
+        } else {
+          this.error("unexpected-solidus-in-tag");
+          this.reconsumeIn(S.BEFORE_ATTRIBUTE_NAME);
+        }
+        return;
 
-function shouldConsumeRawText(tagName, namespace = "html") {
-  return tagName === "script" ||
-    tagName === "style" ||
-    tagName === "xmp" ||
-    tagName === "iframe" ||
-    tagName === "noembed" ||
-    tagName === "noframes" ||
-    tagName === "plaintext" ||
-    (namespace === "html" && (tagName === "textarea" || tagName === "title"));
-}
+      case S.BOGUS_COMMENT:
+        if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentComment();
+        } else if (ch === EOF) {
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentComment.data += "\ufffd";
+        } else {
+          this.currentComment.data += ch;
+        }
+        return;
 
-function shouldDecodeEntitiesInRaw(tagName) {
-  return tagName === "textarea" || tagName === "title";
-}
+      case S.MARKUP_DECLARATION_OPEN: {
+        if (ch === EOF) {
+          this.error("incorrectly-opened-comment");
+          this.createComment();
+          this.reconsumeIn(S.BOGUS_COMMENT);
+          return;
+        }
+        const comment = this.peekMatches("--", false);
+        if (comment === NEED_MORE_INPUT) {
+          return NEED_MORE_INPUT;
+        }
+        if (comment) {
+          this.pos += 1;
+          this.createComment();
+          this.state = S.COMMENT_START;
+          return;
+        }
+        const doctype = this.peekMatches("DOCTYPE", true);
+        if (doctype === NEED_MORE_INPUT) {
+          return NEED_MORE_INPUT;
+        }
+        if (doctype) {
+          this.pos += 6;
+          this.state = S.DOCTYPE;
+          return;
+        }
+        const cdata = this.peekMatches("[CDATA[", false);
+        if (cdata === NEED_MORE_INPUT) {
+          return NEED_MORE_INPUT;
+        }
+        if (cdata) {
+          this.pos += 6;
+          if (this.allowsCdata()) {
+            this.state = S.CDATA_SECTION;
+          } else {
+            this.error("cdata-in-html-content");
+            this.createComment("[CDATA[");
+            this.state = S.BOGUS_COMMENT;
+          }
+          return;
+        }
+        this.error("incorrectly-opened-comment");
+        this.createComment();
+        this.reconsumeIn(S.BOGUS_COMMENT);
+        return;
+      }
+
+      case S.COMMENT_START:
+        if (ch === "-") {
+          this.state = S.COMMENT_START_DASH;
+        } else if (ch === ">") {
+          this.error("abrupt-closing-of-empty-comment");
+          this.state = S.DATA;
+          this.emitCurrentComment();
+        } else {
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT_START_DASH:
+        if (ch === "-") {
+          this.state = S.COMMENT_END;
+        } else if (ch === ">") {
+          this.error("abrupt-closing-of-empty-comment");
+          this.state = S.DATA;
+          this.emitCurrentComment();
+        } else if (ch === EOF) {
+          this.error("eof-in-comment");
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else {
+          this.currentComment.data += "-";
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT:
+        if (ch === "<") {
+          this.currentComment.data += ch;
+          this.state = S.COMMENT_LESS_THAN_SIGN;
+        } else if (ch === "-") {
+          this.state = S.COMMENT_END_DASH;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentComment.data += "\ufffd";
+        } else if (ch === EOF) {
+          this.error("eof-in-comment");
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else {
+          this.currentComment.data += ch;
+        }
+        return;
+
+      case S.COMMENT_LESS_THAN_SIGN:
+        if (ch === "!") {
+          this.currentComment.data += ch;
+          this.state = S.COMMENT_LESS_THAN_SIGN_BANG;
+        } else if (ch === "<") {
+          this.currentComment.data += ch;
+        } else {
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT_LESS_THAN_SIGN_BANG:
+        if (ch === "-") {
+          this.state = S.COMMENT_LESS_THAN_SIGN_BANG_DASH;
+        } else {
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT_LESS_THAN_SIGN_BANG_DASH:
+        if (ch === "-") {
+          this.state = S.COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH;
+        } else {
+          this.reconsumeIn(S.COMMENT_END_DASH);
+        }
+        return;
+
+      case S.COMMENT_LESS_THAN_SIGN_BANG_DASH_DASH:
+        if (ch !== ">" && ch !== EOF) {
+          this.error("nested-comment");
+        }
+        this.reconsumeIn(S.COMMENT_END);
+        return;
+
+      case S.COMMENT_END_DASH:
+        if (ch === "-") {
+          this.state = S.COMMENT_END;
+        } else if (ch === EOF) {
+          this.error("eof-in-comment");
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else {
+          this.currentComment.data += "-";
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT_END:
+        if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentComment();
+        } else if (ch === "!") {
+          this.state = S.COMMENT_END_BANG;
+        } else if (ch === "-") {
+          this.currentComment.data += "-";
+        } else if (ch === EOF) {
+          this.error("eof-in-comment");
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else {
+          this.currentComment.data += "--";
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
+
+      case S.COMMENT_END_BANG:
+        if (ch === "-") {
+          this.currentComment.data += "--!";
+          this.state = S.COMMENT_END_DASH;
+        } else if (ch === ">") {
+          this.error("incorrectly-closed-comment");
+          this.state = S.DATA;
+          this.emitCurrentComment();
+        } else if (ch === EOF) {
+          this.error("eof-in-comment");
+          this.emitCurrentComment();
+          this.emitEOF();
+        } else {
+          this.currentComment.data += "--!";
+          this.reconsumeIn(S.COMMENT);
+        }
+        return;
 
-function findRawCloseIndex(lowerHTML, offset, tagName) {
-  if (tagName === "script") {
-    return findScriptRawCloseIndex(lowerHTML, offset);
-  }
-  const needle = `</${tagName}`;
-  let i = lowerHTML.indexOf(needle, offset);
-  while (i >= 0) {
-    const after = lowerHTML[i + needle.length] || "";
-    if (after === ">" || /\s/.test(after) || after === "/") {
-      const closeEnd = lowerHTML.indexOf(">", i + needle.length);
-      if (closeEnd >= 0) {
-        return i;
+      case S.DOCTYPE:
+        if (isWhitespace(ch)) {
+          this.state = S.BEFORE_DOCTYPE_NAME;
+        } else if (ch === ">") {
+          this.reconsumeIn(S.BEFORE_DOCTYPE_NAME);
+        } else if (ch === EOF) {
+          this.createDoctype();
+          this.emitDoctypeAtEOF();
+        } else {
+          this.error("missing-whitespace-before-doctype-name");
+          this.reconsumeIn(S.BEFORE_DOCTYPE_NAME);
+        }
+        return;
+
+      case S.BEFORE_DOCTYPE_NAME:
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.createDoctype("\ufffd");
+          this.state = S.DOCTYPE_NAME;
+        } else if (ch === ">") {
+          this.error("missing-doctype-name");
+          this.createDoctype();
+          this.state = S.DATA;
+          this.emitCurrentDoctype(true);
+        } else if (ch === EOF) {
+          this.createDoctype();
+          this.emitDoctypeAtEOF();
+        } else {
+          this.createDoctype(toAsciiLower(ch));
+          this.state = S.DOCTYPE_NAME;
+        }
+        return;
+
+      case S.DOCTYPE_NAME:
+        if (isWhitespace(ch)) {
+          this.state = S.AFTER_DOCTYPE_NAME;
+        } else if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentDoctype();
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentDoctype.name += "\ufffd";
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.currentDoctype.name += toAsciiLower(ch);
+        }
+        return;
+
+      case S.AFTER_DOCTYPE_NAME: {
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentDoctype();
+          return;
+        }
+        if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+          return;
+        }
+        const isPublic = this.peekMatches("PUBLIC", true);
+        if (isPublic === NEED_MORE_INPUT) {
+          return NEED_MORE_INPUT;
+        }
+        if (isPublic) {
+          this.pos += 5;
+          this.state = S.AFTER_DOCTYPE_PUBLIC_KEYWORD;
+          return;
+        }
+        const isSystem = this.peekMatches("SYSTEM", true);
+        if (isSystem === NEED_MORE_INPUT) {
+          return NEED_MORE_INPUT;
+        }
+        if (isSystem) {
+          this.pos += 5;
+          this.state = S.AFTER_DOCTYPE_SYSTEM_KEYWORD;
+          return;
+        }
+        this.error("invalid-character-sequence-after-doctype-name");
+        this.currentDoctype.forceQuirks = true;
+        this.reconsumeIn(S.BOGUS_DOCTYPE);
+        return;
       }
-      return -1;
-    }
-    i = lowerHTML.indexOf(needle, i + 1);
-  }
-  return -1;
-}
 
-function findScriptRawCloseIndex(lowerHTML, offset) {
-  let i = offset;
-  let scriptDataEscaped = false;
-  let scriptDataDoubleEscaped = false;
-  let skippedBogusEscapedClose = false;
+      case S.AFTER_DOCTYPE_PUBLIC_KEYWORD:
+      case S.AFTER_DOCTYPE_SYSTEM_KEYWORD: {
+        const isPublic = this.state === S.AFTER_DOCTYPE_PUBLIC_KEYWORD;
+        const kind = isPublic ? "public" : "system";
+        if (isWhitespace(ch)) {
+          this.state = isPublic ? S.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER : S.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+        } else if (ch === "\"" || ch === "'") {
+          this.error(`missing-whitespace-after-doctype-${kind}-keyword`);
+          this.beginDoctypeIdentifier(isPublic, ch);
+        } else if (ch === ">") {
+          this.error(`missing-doctype-${kind}-identifier`);
+          this.state = S.DATA;
+          this.emitCurrentDoctype(true);
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.error(`missing-quote-before-doctype-${kind}-identifier`);
+          this.currentDoctype.forceQuirks = true;
+          this.reconsumeIn(S.BOGUS_DOCTYPE);
+        }
+        return;
+      }
 
-  while (i < lowerHTML.length) {
-    if (!scriptDataEscaped && lowerHTML.startsWith("<!--", i)) {
-      scriptDataEscaped = true;
-      i += 4;
-      continue;
-    }
+      case S.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER:
+      case S.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER: {
+        const isPublic = this.state === S.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
+        const kind = isPublic ? "public" : "system";
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === "\"" || ch === "'") {
+          this.beginDoctypeIdentifier(isPublic, ch);
+        } else if (ch === ">") {
+          this.error(`missing-doctype-${kind}-identifier`);
+          this.state = S.DATA;
+          this.emitCurrentDoctype(true);
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.error(`missing-quote-before-doctype-${kind}-identifier`);
+          this.currentDoctype.forceQuirks = true;
+          this.reconsumeIn(S.BOGUS_DOCTYPE);
+        }
+        return;
+      }
 
-    if (scriptDataEscaped && !scriptDataDoubleEscaped && lowerHTML.startsWith("<script", i) && isTagBoundary(lowerHTML, i + 7)) {
-      const end = lowerHTML.indexOf(">", i + 7);
-      if (end < 0) {
-        return -1;
+      case S.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED:
+      case S.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED:
+      case S.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED:
+      case S.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED: {
+        const isPublic = this.state === S.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED || this.state === S.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
+        const quote = this.state === S.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED || this.state === S.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED ? "\"" : "'";
+        const field = isPublic ? "publicId" : "systemId";
+        if (ch === quote) {
+          this.state = isPublic ? S.AFTER_DOCTYPE_PUBLIC_IDENTIFIER : S.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+          this.currentDoctype[field] += "\ufffd";
+        } else if (ch === ">") {
+          this.error(isPublic ? "abrupt-doctype-public-identifier" : "abrupt-doctype-system-identifier");
+          this.state = S.DATA;
+          this.emitCurrentDoctype(true);
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.currentDoctype[field] += ch;
+        }
+        return;
       }
-      scriptDataDoubleEscaped = true;
-      i = end + 1;
-      continue;
-    }
 
-    if (scriptDataDoubleEscaped && lowerHTML.startsWith("</script", i) && isTagBoundary(lowerHTML, i + 8)) {
-      const end = lowerHTML.indexOf(">", i + 8);
-      if (end < 0) {
-        return -1;
+      case S.AFTER_DOCTYPE_PUBLIC_IDENTIFIER:
+      case S.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS: {
+        const between = this.state === S.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
+        if (isWhitespace(ch)) {
+          this.state = S.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
+        } else if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentDoctype();
+        } else if (ch === "\"" || ch === "'") {
+          if (!between) {
+            this.error("missing-whitespace-between-doctype-public-and-system-identifiers");
+          }
+          this.beginDoctypeIdentifier(false, ch);
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.error("missing-quote-before-doctype-system-identifier");
+          this.currentDoctype.forceQuirks = true;
+          this.reconsumeIn(S.BOGUS_DOCTYPE);
+        }
+        return;
       }
-      scriptDataDoubleEscaped = false;
-      i = end + 1;
-      continue;
-    }
 
-    if (scriptDataDoubleEscaped && lowerHTML.startsWith("-->", i)) {
-      scriptDataDoubleEscaped = false;
-      i += 3;
-      continue;
-    }
+      case S.AFTER_DOCTYPE_SYSTEM_IDENTIFIER:
+        if (isWhitespace(ch)) {
+          return;
+        }
+        if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentDoctype();
+        } else if (ch === EOF) {
+          this.emitDoctypeAtEOF();
+        } else {
+          this.error("unexpected-character-after-doctype-system-identifier");
+          this.reconsumeIn(S.BOGUS_DOCTYPE);
+        }
+        return;
+
+      case S.BOGUS_DOCTYPE:
+        if (ch === ">") {
+          this.state = S.DATA;
+          this.emitCurrentDoctype();
+        } else if (ch === "\0") {
+          this.error("unexpected-null-character");
+        } else if (ch === EOF) {
+          this.emitCurrentDoctype();
+          this.emitEOF();
+        }
+        return;
 
-    if (!scriptDataDoubleEscaped && lowerHTML.startsWith("</script", i) && isTagBoundary(lowerHTML, i + 8)) {
-      const lastScriptStart = lowerHTML.lastIndexOf("<script", i);
-      const lastTagClose = lowerHTML.lastIndexOf(">", i);
-      const lastScriptAfter = lastScriptStart >= 0 ? (lowerHTML[lastScriptStart + 7] || "") : "";
-      if (scriptDataEscaped && lastScriptStart > lastTagClose && lastScriptAfter === "/" && !skippedBogusEscapedClose) {
-        const skippedEnd = findTagCloseIndex(lowerHTML, i + 8);
-        if (skippedEnd < 0) {
-          return -1;
+      case S.CDATA_SECTION:
+        if (ch === "]") {
+          this.state = S.CDATA_SECTION_BRACKET;
+        } else if (ch === EOF) {
+          this.error("eof-in-cdata");
+          this.emitEOF();
+        } else {
+          this.emitChars(ch);
         }
-        skippedBogusEscapedClose = true;
-        i = skippedEnd + 1;
-        continue;
+        return;
+
+      case S.CDATA_SECTION_BRACKET:
+        if (ch === "]") {
+          this.state = S.CDATA_SECTION_END;
+        } else {
+          this.emitChars("]");
+          this.reconsumeIn(S.CDATA_SECTION);
+        }
+        return;
+
+      case S.CDATA_SECTION_END:
+        if (ch === "]") {
+          this.emitChars("]");
+        } else if (ch === ">") {
+          this.state = S.DATA;
+        } else {
+          this.emitChars("]]");
+          this.reconsumeIn(S.CDATA_SECTION);
+        }
+        return;
+
+      case S.CHARACTER_REFERENCE:
+        this.tempBuffer = "&";
+        this.charRefStart = this.charOffset - 1;
+        if (isAsciiAlphanumeric(ch)) {
+          this.reconsumeIn(S.NAMED_CHARACTER_REFERENCE);
+        } else if (ch === "#") {
+          this.tempBuffer += ch;
+          this.state = S.NUMERIC_CHARACTER_REFERENCE;
+        } else {
+          this.flushCharacterReference(this.tempBuffer);
+          this.reconsumeIn(this.returnState);
+        }
+        return;
+
+      case S.NAMED_CHARACTER_REFERENCE:
+        return this.consumeNamedCharacterReference();
+
+      case S.AMBIGUOUS_AMPERSAND:
+        if (isAsciiAlphanumeric(ch)) {
+          this.flushCharacterReference(ch);
+        } else {
+          if (ch === ";") {
+            this.error("unknown-named-character-reference");
+          }
+          this.reconsumeIn(this.returnState);
+        }
+        return;
+
+      case S.NUMERIC_CHARACTER_REFERENCE:
+        this.charRefCode = 0;
+        if (ch === "x" || ch === "X") {
+          this.tempBuffer += ch;
+          this.state = S.HEXADECIMAL_CHARACTER_REFERENCE_START;
+        } else {
+          this.reconsumeIn(S.DECIMAL_CHARACTER_REFERENCE_START);
+        }
+        return;
+
+      case S.HEXADECIMAL_CHARACTER_REFERENCE_START:
+      case S.DECIMAL_CHARACTER_REFERENCE_START: {
+        const hex = this.state === S.HEXADECIMAL_CHARACTER_REFERENCE_START;
+        if (hex ? isAsciiHexDigit(ch) : isAsciiDigit(ch)) {
+          this.reconsumeIn(hex ? S.HEXADECIMAL_CHARACTER_REFERENCE : S.DECIMAL_CHARACTER_REFERENCE);
+        } else {
+          this.error("absence-of-digits-in-numeric-character-reference");
+          this.flushCharacterReference(this.tempBuffer);
+          this.reconsumeIn(this.returnState);
+        }
+        return;
       }
-      const end = findTagCloseIndex(lowerHTML, i + 8);
-      if (end >= 0) {
-        return i;
+
+      case S.HEXADECIMAL_CHARACTER_REFERENCE:
+      case S.DECIMAL_CHARACTER_REFERENCE: {
+        const radix = this.state === S.HEXADECIMAL_CHARACTER_REFERENCE ? 16 : 10;
+        if (radix === 16 ? isAsciiHexDigit(ch) : isAsciiDigit(ch)) {
+          this.charRefCode = Math.min(this.charRefCode * radix + Number.parseInt(ch, 16), 0x110000);
+        } else if (ch === ";") {
+          this.state = S.NUMERIC_CHARACTER_REFERENCE_END;
+          this.finishNumericReference();
+          this.state = this.returnState;
+        } else {
+          this.error("missing-semicolon-after-character-reference");
+          this.state = S.NUMERIC_CHARACTER_REFERENCE_END;
+          this.finishNumericReference();
+          this.reconsumeIn(this.returnState);
+        }
+        return;
       }
-      return -1;
+
+      default:
+        throw new Error(`Unknown tokenizer state: ${this.state}`);
+    }
+  }
+
+  beginDoctypeIdentifier(isPublic, quote) {
+    if (isPublic) {
+      this.currentDoctype.publicId = "";
+      this.state = quote === "\"" ? S.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED : S.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
+      return;
+    }
+    this.currentDoctype.systemId = "";
+    this.state = quote === "\"" ? S.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED : S.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+  }
+
+  consumeNamedCharacterReference() {
+    const start = this.pos - 1;
+    let end = start;
+    while (end < this.buffer.length && end - start < MAX_NAMED_ENTITY_LENGTH && isAsciiAlphanumeric(this.buffer[end])) {
+      end += 1;
+    }
+    if (end >= this.buffer.length && !this.ended && end - start < MAX_NAMED_ENTITY_LENGTH) {
+      return NEED_MORE_INPUT;
+    }
+
+    const match = matchNamedEntity(this.buffer, start);
+    if (!match) {
+      this.flushCharacterReference(this.tempBuffer);
+      this.reconsumeIn(S.AMBIGUOUS_AMPERSAND);
+      return;
+    }
+
+    const nextIndex = start + match.name.length;
+    this.pos = nextIndex;
+    this.tempBuffer += match.name;
+    const endsWithSemicolon = match.name.endsWith(";");
+    const nextChar = this.buffer[nextIndex] || "";
+    if (!endsWithSemicolon && this.isAttributeReturnState() && (nextChar === "=" || isAsciiAlphanumeric(nextChar))) {
+      this.flushCharacterReference(this.tempBuffer);
+      this.state = this.returnState;
+      return;
     }
+    if (!endsWithSemicolon) {
+      this.error("missing-semicolon-after-character-reference");
+    }
+    this.flushCharacterReference(match.value);
+    this.state = this.returnState;
+  }
+}
+
+const RAW_END_TAG_STATES = {
+  [S.RCDATA_END_TAG_OPEN]: { text: S.RCDATA, name: S.RCDATA_END_TAG_NAME },
+  [S.RAWTEXT_END_TAG_OPEN]: { text: S.RAWTEXT, name: S.RAWTEXT_END_TAG_NAME },
+  [S.SCRIPT_DATA_END_TAG_OPEN]: { text: S.SCRIPT_DATA, name: S.SCRIPT_DATA_END_TAG_NAME },
+  [S.SCRIPT_DATA_ESCAPED_END_TAG_OPEN]: { text: S.SCRIPT_DATA_ESCAPED, name: S.SCRIPT_DATA_ESCAPED_END_TAG_NAME }
+};
+
+const RAW_END_TAG_NAME_TEXT_STATES = {
+  [S.RCDATA_END_TAG_NAME]: S.RCDATA,
+  [S.RAWTEXT_END_TAG_NAME]: S.RAWTEXT,
+  [S.SCRIPT_DATA_END_TAG_NAME]: S.SCRIPT_DATA,
+  [S.SCRIPT_DATA_ESCAPED_END_TAG_NAME]: S.SCRIPT_DATA_ESCAPED
+};
+
+const TOKENIZE_CHUNK_SIZE = 8192;
 
-    i += 1;
+export function* tokenize(input, { initialState = S.DATA, lastStartTag = null, collectErrors = false, encoding = null } = {}) {
+  if (!Object.values(S).includes(initialState)) {
+    throw new Error(`Unknown tokenizer state: ${initialState}`);
   }
+  const { text } = decodeHTML(input, encoding);
+  const queue = [];
+  let reportedErrors = 0;
+  const takeErrors = () => {
+    while (reportedErrors < tokenizer.errors.length) {
+      queue.push({ kind: TokenKind.ERROR, error: tokenizer.errors[reportedErrors] });
+      reportedErrors += 1;
+    }
+  };
+  const sink = {
+    processToken(token) {
+      takeErrors();
+      const last = queue[queue.length - 1];
+      if (token.kind === TokenKind.TEXT && last?.kind === TokenKind.TEXT) {
+        last.data += token.data;
+      } else if (token.kind !== TokenKind.EOF) {
+        queue.push(token);
+      }
+    }
+  };
+  const tokenizer = new Tokenizer(sink, { initialState, lastStartTag, collectErrors });
 
-  const firstFallback = lowerHTML.indexOf("</script", offset);
-  if (firstFallback >= 0) {
-    const secondFallback = lowerHTML.indexOf("</script", firstFallback + 8);
-    if (secondFallback >= 0 && isTagBoundary(lowerHTML, secondFallback + 8)) {
-      return secondFallback;
+  for (let offset = 0; ; offset += TOKENIZE_CHUNK_SIZE) {
+    tokenizer.feed(text.slice(offset, offset + TOKENIZE_CHUNK_SIZE));
+    if (offset + TOKENIZE_CHUNK_SIZE >= text.length) {
+      tokenizer.end();
+    }
+    tokenizer.run();
+    takeErrors();
+    if (tokenizer.done) {
+      yield* queue;
+      return;
+    }
+    const pendingText = queue[queue.length - 1]?.kind === TokenKind.TEXT ? queue.pop() : null;
+    yield* queue;
+    queue.length = 0;
+    if (pendingText) {
+      queue.push(pendingText);
     }
   }
+}
+
+export function tokenizeHTML(html, { collectErrors = false } = {}) {
+  const tokens = [];
+  const tokenizer = createHTMLTokenizer((token) => tokens.push(token), { collectErrors });
+  tokenizer.feed(html);
+  tokenizer.end();
+  tokenizer.run();
+  return { tokens, errors: tokenizer.errors };
+}
 
-  return -1;
+export function createHTMLTokenizer(onToken, { collectErrors = false } = {}) {
+  const openElements = [{ name: "#document", namespace: "html" }];
+  const sink = {
+    processToken(token) {
+      if (token.kind === TokenKind.EOF) {
+        return;
+      }
+      onToken(token);
+      if (token.kind === TokenKind.START_TAG) {
+        const namespace = inferTokenizerNamespace(token.name, openElements[openElements.length - 1].namespace);
+        if (token.selfClosing || (namespace === "html" && VOID_ELEMENTS.has(token.name))) {
+          return;
+        }
+        openElements.push({ name: token.name, namespace: contentNamespace(token.name, namespace, token.attrs) });
+        const nextState = namespace === "html" ? rawTextStateFor(token.name) : null;
+        if (nextState) {
+          tokenizer.state = nextState;
+        }
+        return;
+      }
+      if (token.kind === TokenKind.END_TAG) {
+        closeOpenElement(openElements, token.name);
+      }
+    },
+    inForeignContent() {
+      return openElements[openElements.length - 1].namespace !== "html";
+    }
+  };
+  const tokenizer = new Tokenizer(sink, { collectErrors });
+  return tokenizer;
 }
 
-function isTagBoundary(text, index) {
-  const ch = text[index] || "";
-  return ch === ">" || ch === "/" || /\s/.test(ch);
+export function rawTextStateFor(tagName) {
+  switch (tagName) {
+    case "title":
+    case "textarea":
+      return S.RCDATA;
+    case "style":
+    case "xmp":
+    case "iframe":
+    case "noembed":
+    case "noframes":
+      return S.RAWTEXT;
+    case "script":
+      return S.SCRIPT_DATA;
+    case "plaintext":
+      return S.PLAINTEXT;
+    default:
+      return null;
+  }
 }
 
-function inferTokenizerNamespace(tagName, parentNamespace, attrs = {}) {
+export function inferTokenizerNamespace(tagName, parentNamespace) {
   if (tagName === "svg") {
     return "svg";
   }
   if (tagName === "math") {
     return "math";
   }
-  if (parentNamespace === "svg") {
-    if (tagName === "foreignobject") {
-      return "html";
-    }
-    return "svg";
+  return parentNamespace;
+}
+
+export function contentNamespace(tagName, namespace, attrs = {}) {
+  if (namespace === "svg" && tagName === "foreignobject") {
+    return "html";
   }
-  if (parentNamespace === "math") {
+  if (namespace === "math") {
     if (tagName === "mi" || tagName === "mo" || tagName === "mn" || tagName === "ms" || tagName === "mtext") {
       return "html";
     }
     if (tagName === "annotation-xml" && (attrs.encoding || "").toLowerCase() === "text/html") {
       return "html";
     }
-    return "math";
   }
-  return "html";
+  return namespace;
 }
 
 function closeOpenElement(openElements, name) {
@@ -454,192 +1668,30 @@ function closeOpenElement(openElements, name) {
   }
 }
 
-function findTagCloseIndex(text, fromIndex) {
-  let quote = "";
-  for (let i = Math.max(0, fromIndex); i < text.length; i += 1) {
-    const ch = text[i];
-    if (quote) {
-      if (ch === quote) {
-        quote = "";
-      }
-      continue;
-    }
-    if (ch === "\"" || ch === "'") {
-      quote = ch;
-      continue;
-    }
-    if (ch === ">") {
-      return i;
-    }
-  }
-  return -1;
+function isWhitespace(ch) {
+  return ch === " " || ch === "\n" || ch === "\t" || ch === "\f";
 }
 
-function toLineCol(text, offset) {
-  const chunk = text.slice(0, Math.max(0, offset));
-  const parts = chunk.split("\n");
-  return {
-    line: parts.length,
-    column: parts[parts.length - 1].length + 1
-  };
+function isAsciiAlpha(ch) {
+  return ch != null && ((ch >= "a" && ch <= "z") || (ch >= "A" && ch <= "Z"));
 }
 
-function parseComment(html, start, errors, collectErrors) {
-  const bodyStart = start + 4;
-  if (html[bodyStart] === ">" || html.startsWith("->", bodyStart)) {
-    const advance = html[bodyStart] === ">" ? 1 : 2;
-    return { data: "", nextIndex: bodyStart + advance, eof: false };
-  }
-
-  const endRegular = html.indexOf("-->", bodyStart);
-  const endBang = html.indexOf("--!>", bodyStart);
-
-  let end = -1;
-  let markerSize = 0;
-  if (endRegular >= 0 && (endBang < 0 || endRegular < endBang)) {
-    end = endRegular;
-    markerSize = 3;
-  } else if (endBang >= 0) {
-    end = endBang;
-    markerSize = 4;
-  }
-
-  if (end < 0) {
-    emitError(errors, collectErrors, "eof-in-comment", "Unexpected EOF in comment", start, html);
-    return { data: html.slice(bodyStart), nextIndex: html.length, eof: true };
-  }
-
-  return { data: html.slice(bodyStart, end), nextIndex: end + markerSize, eof: false };
+function isAsciiDigit(ch) {
+  return ch != null && ch >= "0" && ch <= "9";
 }
 
-function parseDoctype(chunk) {
-  const out = { name: "", publicId: null, systemId: null };
-  let text = chunk.replace(/^<!/i, "").replace(/>$/, "");
-  text = text.replace(/^doctype/i, "");
-
-  let i = 0;
-  skipSpaces();
-  out.name = readUntilSpace();
-  skipSpaces();
-
-  const kw = readKeywordToken();
-  if (kw === "public") {
-    skipSpaces();
-    out.publicId = readQuotedOrEmpty();
-    if (out.publicId != null) {
-      skipSpaces();
-      out.systemId = readQuotedOrEmpty();
-      if (out.systemId == null) {
-        out.systemId = "";
-      }
-    }
-  } else if (kw === "system") {
-    skipSpaces();
-    const sys = readQuotedOrEmpty();
-    if (sys != null) {
-      out.publicId = "";
-      out.systemId = sys;
-    }
-  }
-
-  return out;
-
-  function skipSpaces() {
-    while (i < text.length && /\s/.test(text[i])) {
-      i += 1;
-    }
-  }
-
-  function readUntilSpace() {
-    const start = i;
-    while (i < text.length && !/\s/.test(text[i])) {
-      i += 1;
-    }
-    return text.slice(start, i).toLowerCase();
-  }
-
-  function readKeyword() {
-    const save = i;
-    const word = readUntilSpace().toLowerCase();
-    if (word !== "public" && word !== "system") {
-      i = save;
-      return "";
-    }
-    return word;
-  }
+function isAsciiHexDigit(ch) {
+  return isAsciiDigit(ch) || (ch != null && ((ch >= "a" && ch <= "f") || (ch >= "A" && ch <= "F")));
+}
 
-  function readKeywordToken() {
-    const save = i;
-    const rest = text.slice(i).toLowerCase();
-    if (rest.startsWith("public")) {
-      i += 6;
-      return "public";
-    }
-    if (rest.startsWith("system")) {
-      i += 6;
-      return "system";
-    }
-    return readKeyword() || (() => {
-      i = save;
-      return "";
-    })();
-  }
+function isAsciiAlphanumeric(ch) {
+  return isAsciiAlpha(ch) || isAsciiDigit(ch);
+}
 
-  function readQuotedOrEmpty() {
-    if (i >= text.length) {
-      return null;
-    }
-    const quote = text[i];
-    if (quote !== "\"" && quote !== "'") {
-      return null;
-    }
-    i += 1;
-    const start = i;
-    while (i < text.length && text[i] !== quote) {
-      i += 1;
-    }
-    const value = text.slice(start, i);
-    if (i < text.length && text[i] === quote) {
-      i += 1;
-    }
-    return value;
-  }
+function toAsciiLower(ch) {
+  return ch >= "A" && ch <= "Z" ? String.fromCharCode(ch.charCodeAt(0) + 32) : ch;
 }
 
-function findDoctypeCloseIndex(text, start) {
-  let quote = "";
-  let bracketDepth = 0;
-  for (let i = Math.max(0, start); i < text.length; i += 1) {
-    const ch = text[i];
-    if (!quote && text.startsWith("<!--", i)) {
-      const commentEnd = text.indexOf("-->", i + 4);
-      if (commentEnd < 0) {
-        return -1;
-      }
-      i = commentEnd + 2;
-      continue;
-    }
-    if (quote) {
-      if (ch === quote) {
-        quote = "";
-      }
-      continue;
-    }
-    if (ch === "\"" || ch === "'") {
-      quote = ch;
-      continue;
-    }
-    if (ch === "[") {
-      bracketDepth += 1;
-      continue;
-    }
-    if (ch === "]" && bracketDepth > 0) {
-      bracketDepth -= 1;
-      continue;
-    }
-    if (ch === ">" && bracketDepth === 0) {
-      return i;
-    }
-  }
-  return -1;
+function isHighSurrogate(ch) {
+  return ch >= "\ud800" && ch <= "\udbff";
 }
@@ -1,1346 +1,2851 @@
-import { VOID_ELEMENTS } from "./constants.js";
 import { ParseError } from "./errors.js";
 import { Comment, Doctype, Document, DocumentFragment, Element, Template, Text } from "./node.js";
-import { TokenKind } from "./tokenizer.js";
-
-const HEAD_TAGS = new Set(["base", "link", "meta", "noscript", "script", "style", "template", "title"]);
-const FORMATTING_TAGS = new Set(["a", "b", "big", "code", "em", "font", "i", "nobr", "s", "small", "strike", "strong", "tt", "u"]);
-const FOREIGN_BREAKOUT_TAGS = new Set([
-  "b", "big", "blockquote", "body", "br", "center", "code", "dd", "div", "dl", "dt", "em", "embed", "h1", "h2", "h3",
-  "h4", "h5", "h6", "head", "hr", "i", "img", "li", "listing", "menu", "meta", "nobr", "ol", "p", "pre", "ruby", "s",
-  "small", "span", "strong", "strike", "sub", "sup", "table", "tt", "u", "ul", "var"
+import { rawTextStateFor, Tokenizer, TokenizerState, TokenKind } from "./tokenizer.js";
+
+export const InsertionMode = Object.freeze({
+  INITIAL: "initial",
+  BEFORE_HTML: "before_html",
+  BEFORE_HEAD: "before_head",
+  IN_HEAD: "in_head",
+  IN_HEAD_NOSCRIPT: "in_head_noscript",
+  AFTER_HEAD: "after_head",
+  IN_BODY: "in_body",
+  TEXT: "text",
+  IN_TABLE: "in_table",
+  IN_TABLE_TEXT: "in_table_text",
+  IN_CAPTION: "in_caption",
+  IN_COLUMN_GROUP: "in_column_group",
+  IN_TABLE_BODY: "in_table_body",
+  IN_ROW: "in_row",
+  IN_CELL: "in_cell",
+  IN_SELECT: "in_select",
+  IN_SELECT_IN_TABLE: "in_select_in_table",
+  IN_TEMPLATE: "in_template",
+  AFTER_BODY: "after_body",
+  IN_FRAMESET: "in_frameset",
+  AFTER_FRAMESET: "after_frameset",
+  AFTER_AFTER_BODY: "after_after_body",
+  AFTER_AFTER_FRAMESET: "after_after_frameset"
+});
+
+const M = InsertionMode;
+const MARKER = null;
+
+const SPECIAL_HTML = new Set([
+  "address", "applet", "area", "article", "aside", "base", "basefont", "bgsound", "blockquote", "body", "br", "button",
+  "caption", "center", "col", "colgroup", "dd", "details", "dir", "div", "dl", "dt", "embed", "fieldset", "figcaption",
+  "figure", "footer", "form", "frame", "frameset", "h1", "h2", "h3", "h4", "h5", "h6", "head", "header", "hgroup", "hr",
+  "html", "iframe", "img", "input", "keygen", "li", "link", "listing", "main", "marquee", "menu", "meta", "nav", "noembed",
+  "noframes", "noscript", "object", "ol", "p", "param", "plaintext", "pre", "script", "search", "section", "select",
+  "source", "style", "summary", "table", "tbody", "td", "template", "textarea", "tfoot", "th", "thead", "title", "tr",
+  "track", "ul", "wbr", "xmp"
+]);
+const SPECIAL_MATH = new Set(["mi", "mo", "mn", "ms", "mtext", "annotation-xml"]);
+const SPECIAL_SVG = new Set(["foreignobject", "desc", "title"]);
+
+const DEFAULT_SCOPE_HTML = new Set(["applet", "caption", "html", "table", "td", "th", "marquee", "object", "template"]);
+const LIST_ITEM_SCOPE_HTML = new Set([...DEFAULT_SCOPE_HTML, "ol", "ul"]);
+const BUTTON_SCOPE_HTML = new Set([...DEFAULT_SCOPE_HTML, "button"]);
+const TABLE_SCOPE_HTML = new Set(["html", "table", "template"]);
+
+const FORMATTING_ELEMENTS = new Set(["a", "b", "big", "code", "em", "font", "i", "nobr", "s", "small", "strike", "strong", "tt", "u"]);
+const HEADINGS = new Set(["h1", "h2", "h3", "h4", "h5", "h6"]);
+const IMPLIED_END_TAGS = new Set(["dd", "dt", "li", "optgroup", "option", "p", "rb", "rp", "rt", "rtc"]);
+const IMPLIED_END_TAGS_THOROUGH = new Set([...IMPLIED_END_TAGS, "caption", "colgroup", "tbody", "td", "tfoot", "th", "thead", "tr"]);
+const HEAD_CONTENT_START_TAGS = new Set(["base", "basefont", "bgsound", "link", "meta", "noframes", "script", "style", "template", "title"]);
+export const CLOSE_P_START_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "center", "details", "dialog", "dir", "div", "dl", "fieldset", "figcaption",
+  "figure", "footer", "header", "hgroup", "main", "menu", "nav", "ol", "p", "search", "section", "summary", "ul"
 ]);
-const A_REPARENT_BLOCKS = new Set(["div", "address"]);
-const CLOSE_P_ON_START = new Set([
-  "address",
-  "article",
-  "aside",
-  "blockquote",
-  "center",
-  "details",
-  "dialog",
-  "dir",
-  "div",
-  "dl",
-  "fieldset",
-  "figcaption",
-  "figure",
-  "footer",
-  "form",
-  "hgroup",
-  "h1",
-  "h2",
-  "h3",
-  "h4",
-  "h5",
-  "h6",
-  "header",
-  "hr",
-  "listing",
-  "main",
-  "menu",
-  "nav",
-  "ol",
-  "p",
-  "pre",
-  "section",
-  "search",
-  "summary",
-  "ul"
+const BLOCK_END_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "button", "center", "details", "dialog", "dir", "div", "dl", "fieldset",
+  "figcaption", "figure", "footer", "header", "hgroup", "listing", "main", "menu", "nav", "ol", "pre", "search", "section",
+  "summary", "ul"
 ]);
+const TABLE_BODY_CONTEXT = new Set(["tbody", "tfoot", "thead", "template", "html"]);
+const TABLE_ROW_CONTEXT = new Set(["tr", "template", "html"]);
+const SELECT_SCOPE = "select";
+const TABLE_SECTIONS = new Set(["tbody", "tfoot", "thead"]);
+const TABLE_FOSTER_TARGETS = new Set(["table", "tbody", "tfoot", "thead", "tr"]);
+const CAPTION_CLOSERS = new Set(["caption", "col", "colgroup", "tbody", "td", "tfoot", "th", "thead", "tr"]);
+const CELL_CLOSER_END_TAGS = new Set(["table", "tbody", "tfoot", "thead", "tr"]);
+const SELECT_IN_TABLE_TAGS = new Set(["caption", "table", "tbody", "tfoot", "thead", "tr", "td", "th"]);
+const FOREIGN_BREAKOUT_TAGS = new Set([
+  "b", "big", "blockquote", "body", "br", "center", "code", "dd", "div", "dl", "dt", "em", "embed", "h1", "h2", "h3", "h4",
+  "h5", "h6", "head", "hr", "i", "img", "li", "listing", "menu", "meta", "nobr", "ol", "p", "pre", "ruby", "s", "small",
+  "span", "strong", "strike", "sub", "sup", "table", "tt", "u", "ul", "var"
+]);
+const QUIRKS_PUBLIC_IDS = new Set(["-//w3o//dtd w3 html strict 3.0//en//", "-/w3c/dtd html 4.0 transitional/en", "html"]);
+const QUIRKS_PUBLIC_ID_PREFIXES = [
+  "+//silmaril//dtd html pro v0r11 19970101//",
+  "-//as//dtd html 3.0 aswedit + extensions//",
+  "-//advasoft ltd//dtd html 3.0 aswedit + extensions//",
+  "-//ietf//dtd html 2.0 level 1//",
+  "-//ietf//dtd html 2.0 level 2//",
+  "-//ietf//dtd html 2.0 strict level 1//",
+  "-//ietf//dtd html 2.0 strict level 2//",
+  "-//ietf//dtd html 2.0 strict//",
+  "-//ietf//dtd html 2.0//",
+  "-//ietf//dtd html 2.1e//",
+  "-//ietf//dtd html 3.0//",
+  "-//ietf//dtd html 3.2 final//",
+  "-//ietf//dtd html 3.2//",
+  "-//ietf//dtd html 3//",
+  "-//ietf//dtd html level 0//",
+  "-//ietf//dtd html level 1//",
+  "-//ietf//dtd html level 2//",
+  "-//ietf//dtd html level 3//",
+  "-//ietf//dtd html strict level 0//",
+  "-//ietf//dtd html strict level 1//",
+  "-//ietf//dtd html strict level 2//",
+  "-//ietf//dtd html strict level 3//",
+  "-//ietf//dtd html strict//",
+  "-//ietf//dtd html//",
+  "-//metrius//dtd metrius presentational//",
+  "-//microsoft//dtd internet explorer 2.0 html strict//",
+  "-//microsoft//dtd internet explorer 2.0 html//",
+  "-//microsoft//dtd internet explorer 2.0 tables//",
+  "-//microsoft//dtd internet explorer 3.0 html strict//",
+  "-//microsoft//dtd internet explorer 3.0 html//",
+  "-//microsoft//dtd internet explorer 3.0 tables//",
+  "-//netscape comm. corp.//dtd html//",
+  "-//netscape comm. corp.//dtd strict html//",
+  "-//o'reilly and associates//dtd html 2.0//",
+  "-//o'reilly and associates//dtd html extended 1.0//",
+  "-//o'reilly and associates//dtd html extended relaxed 1.0//",
+  "-//sq//dtd html 2.0 hotmetal + extensions//",
+  "-//softquad software//dtd hotmetal pro 6.0::19990601::extensions to html 4.0//",
+  "-//softquad//dtd hotmetal pro 4.0::19971010::extensions to html 4.0//",
+  "-//spyglass//dtd html 2.0 extended//",
+  "-//sun microsystems corp.//dtd hotjava html//",
+  "-//sun microsystems corp.//dtd hotjava strict html//",
+  "-//w3c//dtd html 3 1995-03-24//",
+  "-//w3c//dtd html 3.2 draft//",
+  "-//w3c//dtd html 3.2 final//",
+  "-//w3c//dtd html 3.2//",
+  "-//w3c//dtd html 3.2s draft//",
+  "-//w3c//dtd html 4.0 frameset//",
+  "-//w3c//dtd html 4.0 transitional//",
+  "-//w3c//dtd html experimental 19960712//",
+  "-//w3c//dtd html experimental 970421//",
+  "-//w3c//dtd w3 html//",
+  "-//w3o//dtd w3 html 3.0//",
+  "-//webtechs//dtd mozilla html 2.0//",
+  "-//webtechs//dtd mozilla html//"
+];
+const QUIRKS_IF_NO_SYSTEM_ID_PREFIXES = ["-//w3c//dtd html 4.01 frameset//", "-//w3c//dtd html 4.01 transitional//"];
+const LIMITED_QUIRKS_PUBLIC_ID_PREFIXES = ["-//w3c//dtd xhtml 1.0 frameset//", "-//w3c//dtd xhtml 1.0 transitional//"];
+const QUIRKS_SYSTEM_ID = "http://www.ibm.com/data/dtd/v11/ibmxhtml1-transitional.dtd";
+const EOF_ALLOWED_OPEN = new Set(["html", "head", "body"]);
+const WHITESPACE_RUN = /^[\t\n\f\r ]*/;
+
+export class TreeBuilder {
+  constructor(options = {}) {
+    const {
+      fragment = false,
+      fragmentContext = null,
+      collectErrors = false,
+      trackNodeLocations = false,
+      scripting = true,
+      iframeSrcdoc = false
+    } = options;
+
+    this.collectErrors = collectErrors;
+    this.trackNodeLocations = trackNodeLocations;
+    this.scripting = scripting;
+    this.iframeSrcdoc = iframeSrcdoc;
+    this.errors = [];
+    this.tokenizer = null;
+
+    this.document = new Document();
+    this.mode = M.INITIAL;
+    this.originalMode = null;
+    this.templateModes = [];
+    this.openElements = [];
+    this.activeFormatting = [];
+    this.headElement = null;
+    this.formElement = null;
+    this.framesetOk = true;
+    this.fosterParenting = false;
+    this.pendingTableText = [];
+    this.skipNextNewline = false;
+    this.selfClosingAcknowledged = true;
+    this.contextElement = null;
+    this.currentToken = null;
+    this.closedElements = [];
+
+    const context = fragmentContext || (fragment ? { tagName: "div", namespace: null } : null);
+    if (context) {
+      this.initFragment(context);
+    }
+    this.tokenizer = new Tokenizer(this, { collectErrors, initialState: this.initialTokenizerState() });
+  }
 
-export function buildTree(tokens, html, options = {}) {
-  const {
-    fragment = false,
-    collectErrors = false,
-    fragmentContext = null,
-    trackNodeLocations = false
-  } = options;
-
-  const root = fragment ? new DocumentFragment() : new Document();
-  const errors = [];
-  const fragmentNamespace = fragmentContext?.namespace || "html";
-  const fragmentContextTag = fragmentContext?.tagName ? String(fragmentContext.tagName).toLowerCase() : null;
-
-  let documentElement = null;
-  let headElement = null;
-  let bodyElement = null;
-  let seenDoctype = false;
-  let afterBody = false;
-  let framesetOk = true;
-  let fragmentRootNamespaceOverride = null;
-  let closePOnTable = false;
+  write(text) {
+    this.tokenizer.feed(text);
+    this.tokenizer.run();
+  }
 
-  const stack = [root];
+  close() {
+    this.tokenizer.end();
+    this.tokenizer.run();
+  }
+
+  end() {
+    this.close();
+    return { root: this.finish(), errors: [...this.tokenizer.errors, ...this.errors], lineIndex: this.tokenizer.lineIndex };
+  }
+
+  initFragment(fragmentContext) {
+    const namespace = fragmentContext.namespace || "html";
+    this.contextElement = createElement(String(fragmentContext.tagName).toLowerCase(), {}, namespace);
+    const root = createElement("html", {}, "html");
+    this.document.appendChild(root);
+    this.openElements.push(root);
+    if (isHTML(this.contextElement, "template")) {
+      this.templateModes.push(M.IN_TEMPLATE);
+    }
+    this.resetInsertionMode();
+  }
+
+  initialTokenizerState() {
+    const context = this.contextElement;
+    if (!context || context.namespace !== "html") {
+      return TokenizerState.DATA;
+    }
+    if (context.name === "noscript") {
+      return this.scripting ? TokenizerState.RAWTEXT : TokenizerState.DATA;
+    }
+    return rawTextStateFor(context.name) || TokenizerState.DATA;
+  }
+
+  finish() {
+    fillSelectedContent(this.document);
+    if (!this.contextElement) {
+      return this.document;
+    }
+    const fragment = new DocumentFragment();
+    const root = this.document.children[0];
+    for (const child of [...root.children]) {
+      root.removeChild(child);
+      fragment.appendChild(child);
+    }
+    return fragment;
+  }
+
+  get currentNode() {
+    return this.openElements[this.openElements.length - 1] || null;
+  }
+
+  get adjustedCurrentNode() {
+    if (this.contextElement && this.openElements.length === 1) {
+      return this.contextElement;
+    }
+    return this.currentNode;
+  }
+
+  inForeignContent() {
+    const node = this.adjustedCurrentNode;
+    return Boolean(node) && node.namespace !== "html";
+  }
+
+  processToken(token) {
+    if (this.skipNextNewline) {
+      this.skipNextNewline = false;
+      if (token.kind === TokenKind.TEXT && token.data.startsWith("\n")) {
+        if (token.data.length === 1) {
+          return;
+        }
+        token = { ...token, data: token.data.slice(1), pos: this.sourceOffsetAfter(token.pos, "\n") };
+      }
+    }
+
+    const selfClosing = token.kind === TokenKind.START_TAG && token.selfClosing;
+    this.selfClosingAcknowledged = !selfClosing;
+    this.currentToken = token;
+    this.dispatch(token);
+    if (this.closedElements.length) {
+      this.recordClosedElements(token);
+    }
+    if (!this.selfClosingAcknowledged) {
+      this.parseError("non-void-html-element-start-tag-with-trailing-solidus", token, `Self-closing syntax on non-void <${token.name}>`);
+    }
+  }
+
+  dispatch(token) {
+    if (this.usesHTMLRules(token)) {
+      this.processInMode(this.mode, token);
+      return;
+    }
+    this.processForeignContent(token);
+  }
+
+  usesHTMLRules(token) {
+    const node = this.adjustedCurrentNode;
+    if (!node || node.namespace === "html" || token.kind === TokenKind.EOF) {
+      return true;
+    }
+    const isStart = token.kind === TokenKind.START_TAG;
+    if (isMathMLTextIntegrationPoint(node)) {
+      if (isStart && token.name !== "mglyph" && token.name !== "malignmark") {
+        return true;
+      }
+      if (token.kind === TokenKind.TEXT) {
+        return true;
+      }
+    }
+    if (node.namespace === "math" && node.name === "annotation-xml" && isStart && token.name === "svg") {
+      return true;
+    }
+    if (isHTMLIntegrationPoint(node) && (isStart || token.kind === TokenKind.TEXT)) {
+      return true;
+    }
+    return false;
+  }
 
-  for (const token of tokens) {
+  processInMode(mode, token) {
+    switch (mode) {
+      case M.INITIAL:
+        return this.initialMode(token);
+      case M.BEFORE_HTML:
+        return this.beforeHtmlMode(token);
+      case M.BEFORE_HEAD:
+        return this.beforeHeadMode(token);
+      case M.IN_HEAD:
+        return this.inHeadMode(token);
+      case M.IN_HEAD_NOSCRIPT:
+        return this.inHeadNoscriptMode(token);
+      case M.AFTER_HEAD:
+        return this.afterHeadMode(token);
+      case M.IN_BODY:
+        return this.inBodyMode(token);
+      case M.TEXT:
+        return this.textMode(token);
+      case M.IN_TABLE:
+        return this.inTableMode(token);
+      case M.IN_TABLE_TEXT:
+        return this.inTableTextMode(token);
+      case M.IN_CAPTION:
+        return this.inCaptionMode(token);
+      case M.IN_COLUMN_GROUP:
+        return this.inColumnGroupMode(token);
+      case M.IN_TABLE_BODY:
+        return this.inTableBodyMode(token);
+      case M.IN_ROW:
+        return this.inRowMode(token);
+      case M.IN_CELL:
+        return this.inCellMode(token);
+      case M.IN_SELECT:
+        return this.inSelectMode(token);
+      case M.IN_SELECT_IN_TABLE:
+        return this.inSelectInTableMode(token);
+      case M.IN_TEMPLATE:
+        return this.inTemplateMode(token);
+      case M.AFTER_BODY:
+        return this.afterBodyMode(token);
+      case M.IN_FRAMESET:
+        return this.inFramesetMode(token);
+      case M.AFTER_FRAMESET:
+        return this.afterFramesetMode(token);
+      case M.AFTER_AFTER_BODY:
+        return this.afterAfterBodyMode(token);
+      case M.AFTER_AFTER_FRAMESET:
+        return this.afterAfterFramesetMode(token);
+      default:
+        throw new Error(`Unknown insertion mode: ${mode}`);
+    }
+  }
+
+  reprocess(token) {
+    this.dispatch(token);
+  }
+
+  splitWhitespace(token) {
+    const leading = WHITESPACE_RUN.exec(token.data)[0];
+    const rest = token.data.slice(leading.length);
+    const restPos = leading && rest ? this.sourceOffsetAfter(token.pos, leading) : token.pos;
+    return {
+      whitespace: leading ? { ...token, data: leading, end: rest ? restPos : token.end } : null,
+      rest: rest ? { ...token, data: rest, pos: restPos } : null
+    };
+  }
+
+  initialMode(token) {
     switch (token.kind) {
+      case TokenKind.TEXT: {
+        const { rest } = this.splitWhitespace(token);
+        if (!rest) {
+          return;
+        }
+        this.missingDoctype(rest);
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token, this.document);
+        return;
       case TokenKind.DOCTYPE: {
-        if (fragment || seenDoctype || documentElement) {
-          break;
+        const name = token.name ?? "";
+        if (name !== "html" || token.publicId != null || (token.systemId != null && token.systemId !== "about:legacy-compat")) {
+          this.parseError("unknown-doctype", token, "Unknown doctype");
+        }
+        const doctype = new Doctype(name, token.publicId, token.systemId);
+        this.setLocation(doctype, token);
+        this.document.appendChild(doctype);
+        if (!this.iframeSrcdoc) {
+          this.document.mode = doctypeQuirksMode(token);
+        }
+        this.mode = M.BEFORE_HTML;
+        return;
+      }
+      default:
+        this.missingDoctype(token);
+    }
+  }
+
+  missingDoctype(token) {
+    if (!this.iframeSrcdoc) {
+      this.document.mode = "quirks";
+    }
+    this.mode = M.BEFORE_HTML;
+    this.reprocess(token);
+  }
+
+  beforeHtmlMode(token) {
+    switch (token.kind) {
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.COMMENT:
+        this.insertComment(token, this.document);
+        return;
+      case TokenKind.TEXT: {
+        const { rest } = this.splitWhitespace(token);
+        if (rest) {
+          this.beforeHtmlAnythingElse(rest);
+        }
+        return;
+      }
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          const element = this.createElementForToken(token, "html");
+          this.document.appendChild(element);
+          this.openElements.push(element);
+          this.mode = M.BEFORE_HEAD;
+          return;
+        }
+        break;
+      case TokenKind.END_TAG:
+        if (!["head", "body", "html", "br"].includes(token.name)) {
+          this.unexpectedEndTag(token);
+          return;
         }
-        seenDoctype = true;
-        const dt = new Doctype(token.name, token.publicId, token.systemId);
-        maybeSetLocation(dt, token.pos, html, trackNodeLocations);
-        root.appendChild(dt);
-        const publicId = String(token.publicId || "").toLowerCase();
-        const systemId = String(token.systemId || "").toLowerCase();
-        closePOnTable = publicId.includes("xhtml 1.0 frameset") && systemId.includes("xhtml1-frameset.dtd");
         break;
+      default:
+        break;
+    }
+    this.beforeHtmlAnythingElse(token);
+  }
+
+  beforeHtmlAnythingElse(token) {
+    const element = this.createElementForToken(syntheticStartTag("html", token), "html");
+    this.document.appendChild(element);
+    this.openElements.push(element);
+    this.mode = M.BEFORE_HEAD;
+    this.reprocess(token);
+  }
+
+  beforeHeadMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT: {
+        const { rest } = this.splitWhitespace(token);
+        if (rest) {
+          this.beforeHeadAnythingElse(rest);
+        }
+        return;
       }
-      case TokenKind.COMMENT: {
-        const cdataMatch = typeof token.data === "string" && token.data.match(/^\[CDATA\[([\s\S]*)\]\]$/);
-        if (cdataMatch) {
-          const parent = stack[stack.length - 1];
-          if (parent?.namespace && parent.namespace !== "html") {
-            const normalized = cdataMatch[1]
-              .replace(/\r\n/g, "\n")
-              .replace(/\r/g, "\n")
-              .replaceAll("\u0000", "\ufffd");
-            const cdataText = new Text(normalized);
-            maybeSetLocation(cdataText, token.pos, html, trackNodeLocations);
-            parent.appendChild(cdataText);
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
+        }
+        if (token.name === "head") {
+          this.headElement = this.insertHTMLElement(token);
+          this.mode = M.IN_HEAD;
+          return;
+        }
+        break;
+      case TokenKind.END_TAG:
+        if (!["head", "body", "html", "br"].includes(token.name)) {
+          this.unexpectedEndTag(token);
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+    this.beforeHeadAnythingElse(token);
+  }
+
+  beforeHeadAnythingElse(token) {
+    this.headElement = this.insertHTMLElement(syntheticStartTag("head", token));
+    this.mode = M.IN_HEAD;
+    this.reprocess(token);
+  }
+
+  inHeadMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT: {
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.insertText(whitespace);
+        }
+        if (rest) {
+          this.inHeadAnythingElse(rest);
+        }
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        switch (token.name) {
+          case "html":
+            this.inBodyMode(token);
+            return;
+          case "base":
+          case "basefont":
+          case "bgsound":
+          case "link":
+          case "meta":
+            this.insertHTMLElement(token);
+            this.popElement();
+            this.acknowledgeSelfClosing();
+            return;
+          case "title":
+            this.parseRawText(token, TokenizerState.RCDATA);
+            return;
+          case "noscript":
+            if (this.scripting) {
+              this.parseRawText(token, TokenizerState.RAWTEXT);
+            } else {
+              this.insertHTMLElement(token);
+              this.mode = M.IN_HEAD_NOSCRIPT;
+            }
+            return;
+          case "noframes":
+          case "style":
+            this.parseRawText(token, TokenizerState.RAWTEXT);
+            return;
+          case "script":
+            this.parseRawText(token, TokenizerState.SCRIPT_DATA);
+            return;
+          case "template":
+            this.insertHTMLElement(token);
+            this.activeFormatting.push(MARKER);
+            this.framesetOk = false;
+            this.mode = M.IN_TEMPLATE;
+            this.templateModes.push(M.IN_TEMPLATE);
+            return;
+          case "head":
+            this.unexpectedStartTag(token);
+            return;
+          default:
+            break;
+        }
+        break;
+      case TokenKind.END_TAG:
+        switch (token.name) {
+          case "head":
+            this.popElement();
+            this.mode = M.AFTER_HEAD;
+            return;
+          case "body":
+          case "html":
+          case "br":
             break;
+          case "template":
+            this.closeTemplate(token);
+            return;
+          default:
+            this.unexpectedEndTag(token);
+            return;
+        }
+        break;
+      default:
+        break;
+    }
+    this.inHeadAnythingElse(token);
+  }
+
+  inHeadAnythingElse(token) {
+    this.popElement();
+    this.mode = M.AFTER_HEAD;
+    this.reprocess(token);
+  }
+
+  closeTemplate(token) {
+    if (!this.hasOpenElement("template")) {
+      this.unexpectedEndTag(token);
+      return;
+    }
+    this.generateImpliedEndTags(null, true);
+    if (!isHTML(this.currentNode, "template")) {
+      this.parseError("end-tag-too-early", token, "Unclosed elements inside <template>");
+    }
+    this.popUntilTag("template");
+    this.clearActiveFormattingToMarker();
+    this.templateModes.pop();
+    this.resetInsertionMode();
+  }
+
+  inHeadNoscriptMode(token) {
+    switch (token.kind) {
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.TEXT: {
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.inHeadMode(whitespace);
+        }
+        if (rest) {
+          this.inHeadNoscriptAnythingElse(rest);
+        }
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.inHeadMode(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
+        }
+        if (["basefont", "bgsound", "link", "meta", "noframes", "style"].includes(token.name)) {
+          this.inHeadMode(token);
+          return;
+        }
+        if (token.name === "head" || token.name === "noscript") {
+          this.unexpectedStartTag(token);
+          return;
+        }
+        break;
+      case TokenKind.END_TAG:
+        if (token.name === "noscript") {
+          this.popElement();
+          this.mode = M.IN_HEAD;
+          return;
+        }
+        if (token.name !== "br") {
+          this.unexpectedEndTag(token);
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+    this.inHeadNoscriptAnythingElse(token);
+  }
+
+  inHeadNoscriptAnythingElse(token) {
+    if (token.kind !== TokenKind.EOF) {
+      this.parseError("unexpected-token-in-head-noscript", token, "Unexpected content in <noscript> in head");
+    }
+    this.popElement();
+    this.mode = M.IN_HEAD;
+    this.reprocess(token);
+  }
+
+  afterHeadMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT: {
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.insertText(whitespace);
+        }
+        if (rest) {
+          this.afterHeadAnythingElse(rest);
+        }
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
+        }
+        if (token.name === "body") {
+          this.insertHTMLElement(token);
+          this.framesetOk = false;
+          this.mode = M.IN_BODY;
+          return;
+        }
+        if (token.name === "frameset") {
+          this.insertHTMLElement(token);
+          this.mode = M.IN_FRAMESET;
+          return;
+        }
+        if (HEAD_CONTENT_START_TAGS.has(token.name)) {
+          this.unexpectedStartTag(token);
+          const head = this.headElement;
+          this.openElements.push(head);
+          this.inHeadMode(token);
+          this.removeFromStack(head);
+          return;
+        }
+        if (token.name === "head") {
+          this.unexpectedStartTag(token);
+          return;
+        }
+        break;
+      case TokenKind.END_TAG:
+        if (token.name === "template") {
+          this.inHeadMode(token);
+          return;
+        }
+        if (!["body", "html", "br"].includes(token.name)) {
+          this.unexpectedEndTag(token);
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+    this.afterHeadAnythingElse(token);
+  }
+
+  afterHeadAnythingElse(token) {
+    this.insertHTMLElement(syntheticStartTag("body", token));
+    this.mode = M.IN_BODY;
+    this.reprocess(token);
+  }
+
+  inBodyMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT:
+        this.inBodyCharacters(token);
+        return;
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        this.inBodyStartTag(token);
+        return;
+      case TokenKind.END_TAG:
+        this.inBodyEndTag(token);
+        return;
+      case TokenKind.EOF:
+        if (this.templateModes.length) {
+          this.inTemplateMode(token);
+          return;
+        }
+        this.stopParsing(token);
+        return;
+      default:
+        return;
+    }
+  }
+
+  inBodyCharacters(token) {
+    let data = token.data;
+    if (data.includes("\0")) {
+      this.parseError("unexpected-null-character", token, "Unexpected NULL character");
+      data = data.replaceAll("\0", "");
+      if (!data) {
+        return;
+      }
+    }
+    this.reconstructActiveFormattingElements();
+    this.insertText({ ...token, data });
+    if (/[^\t\n\f\r ]/.test(data)) {
+      this.framesetOk = false;
+    }
+  }
+
+  inBodyStartTag(token) {
+    const name = token.name;
+
+    if (name === "html") {
+      this.unexpectedStartTag(token);
+      if (this.hasOpenElement("template")) {
+        return;
+      }
+      mergeMissingAttributes(this.openElements[0], token.attrs);
+      return;
+    }
+    if (HEAD_CONTENT_START_TAGS.has(name)) {
+      this.inHeadMode(token);
+      return;
+    }
+    if (name === "body") {
+      this.unexpectedStartTag(token);
+      const body = this.openElements[1];
+      if (!body || !isHTML(body, "body") || this.hasOpenElement("template")) {
+        return;
+      }
+      this.framesetOk = false;
+      mergeMissingAttributes(body, token.attrs);
+      return;
+    }
+    if (name === "frameset") {
+      this.unexpectedStartTag(token);
+      const body = this.openElements[1];
+      if (!body || !isHTML(body, "body") || !this.framesetOk) {
+        return;
+      }
+      if (body.parent) {
+        body.parent.removeChild(body);
+      }
+      this.truncateStack(1);
+      this.insertHTMLElement(token);
+      this.mode = M.IN_FRAMESET;
+      return;
+    }
+    if (CLOSE_P_START_TAGS.has(name)) {
+      this.closePInButtonScope();
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (HEADINGS.has(name)) {
+      this.closePInButtonScope();
+      if (this.currentNode.namespace === "html" && HEADINGS.has(this.currentNode.name)) {
+        this.unexpectedStartTag(token);
+        this.popElement();
+      }
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (name === "pre" || name === "listing") {
+      this.closePInButtonScope();
+      this.insertHTMLElement(token);
+      this.skipNextNewline = true;
+      this.framesetOk = false;
+      return;
+    }
+    if (name === "form") {
+      const inTemplate = this.hasOpenElement("template");
+      if (this.formElement && !inTemplate) {
+        this.unexpectedStartTag(token);
+        return;
+      }
+      this.closePInButtonScope();
+      const form = this.insertHTMLElement(token);
+      if (!inTemplate) {
+        this.formElement = form;
+      }
+      return;
+    }
+    if (name === "li" || name === "dd" || name === "dt") {
+      this.framesetOk = false;
+      const closes = name === "li" ? ["li"] : ["dd", "dt"];
+      for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+        const node = this.openElements[i];
+        if (node.namespace === "html" && closes.includes(node.name)) {
+          this.generateImpliedEndTags(node.name);
+          if (!isHTML(this.currentNode, node.name)) {
+            this.parseError("end-tag-too-early", token, `Unclosed elements before <${name}>`);
           }
+          this.popUntilTag(node.name);
+          break;
+        }
+        if (isSpecial(node) && !(node.namespace === "html" && (node.name === "address" || node.name === "div" || node.name === "p"))) {
+          break;
+        }
+      }
+      this.closePInButtonScope();
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (name === "plaintext") {
+      this.closePInButtonScope();
+      this.insertHTMLElement(token);
+      this.tokenizer.state = TokenizerState.PLAINTEXT;
+      return;
+    }
+    if (name === "button") {
+      if (this.hasElementInScope("button")) {
+        this.unexpectedStartTag(token);
+        this.generateImpliedEndTags();
+        this.popUntilTag("button");
+      }
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      this.framesetOk = false;
+      return;
+    }
+    if (name === "a") {
+      const existing = this.findActiveFormattingElement("a");
+      if (existing) {
+        this.unexpectedStartTag(token);
+        this.adoptionAgency(token);
+        this.removeActiveFormattingElement(existing);
+        this.removeFromStack(existing);
+      }
+      this.reconstructActiveFormattingElements();
+      const element = this.insertHTMLElement(token);
+      this.pushActiveFormattingElement(element, token);
+      return;
+    }
+    if (name === "nobr") {
+      this.reconstructActiveFormattingElements();
+      if (this.hasElementInScope("nobr")) {
+        this.unexpectedStartTag(token);
+        this.adoptionAgency(token);
+        this.reconstructActiveFormattingElements();
+      }
+      const element = this.insertHTMLElement(token);
+      this.pushActiveFormattingElement(element, token);
+      return;
+    }
+    if (FORMATTING_ELEMENTS.has(name)) {
+      this.reconstructActiveFormattingElements();
+      const element = this.insertHTMLElement(token);
+      this.pushActiveFormattingElement(element, token);
+      return;
+    }
+    if (name === "applet" || name === "marquee" || name === "object") {
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      this.activeFormatting.push(MARKER);
+      this.framesetOk = false;
+      return;
+    }
+    if (name === "table") {
+      if (this.document.mode !== "quirks") {
+        this.closePInButtonScope();
+      }
+      this.insertHTMLElement(token);
+      this.framesetOk = false;
+      this.mode = M.IN_TABLE;
+      return;
+    }
+    if (["area", "br", "embed", "img", "keygen", "wbr"].includes(name)) {
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      this.popElement();
+      this.acknowledgeSelfClosing();
+      this.framesetOk = false;
+      return;
+    }
+    if (name === "input") {
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      this.popElement();
+      this.acknowledgeSelfClosing();
+      if (!isHiddenInput(token)) {
+        this.framesetOk = false;
+      }
+      return;
+    }
+    if (name === "param" || name === "source" || name === "track") {
+      this.insertHTMLElement(token);
+      this.popElement();
+      this.acknowledgeSelfClosing();
+      return;
+    }
+    if (name === "hr") {
+      this.closePInButtonScope();
+      this.insertHTMLElement(token);
+      this.popElement();
+      this.acknowledgeSelfClosing();
+      this.framesetOk = false;
+      return;
+    }
+    if (name === "image") {
+      this.unexpectedStartTag(token);
+      this.reprocess({ ...token, name: "img" });
+      return;
+    }
+    if (name === "textarea") {
+      this.insertHTMLElement(token);
+      this.skipNextNewline = true;
+      this.tokenizer.state = TokenizerState.RCDATA;
+      this.originalMode = this.mode;
+      this.framesetOk = false;
+      this.mode = M.TEXT;
+      return;
+    }
+    if (name === "xmp") {
+      this.closePInButtonScope();
+      this.reconstructActiveFormattingElements();
+      this.framesetOk = false;
+      this.parseRawText(token, TokenizerState.RAWTEXT);
+      return;
+    }
+    if (name === "iframe") {
+      this.framesetOk = false;
+      this.parseRawText(token, TokenizerState.RAWTEXT);
+      return;
+    }
+    if (name === "noembed" || (name === "noscript" && this.scripting)) {
+      this.parseRawText(token, TokenizerState.RAWTEXT);
+      return;
+    }
+    if (name === "select") {
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      this.framesetOk = false;
+      const tableModes = [M.IN_TABLE, M.IN_CAPTION, M.IN_TABLE_BODY, M.IN_ROW, M.IN_CELL];
+      this.mode = tableModes.includes(this.mode) ? M.IN_SELECT_IN_TABLE : M.IN_SELECT;
+      return;
+    }
+    if (name === "optgroup" || name === "option") {
+      if (isHTML(this.currentNode, "option")) {
+        this.popElement();
+      }
+      this.reconstructActiveFormattingElements();
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (name === "rb" || name === "rtc") {
+      if (this.hasElementInScope("ruby")) {
+        this.generateImpliedEndTags();
+        if (!isHTML(this.currentNode, "ruby")) {
+          this.unexpectedStartTag(token);
+        }
+      }
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (name === "rp" || name === "rt") {
+      if (this.hasElementInScope("ruby")) {
+        this.generateImpliedEndTags("rtc");
+        if (!isHTML(this.currentNode, "rtc") && !isHTML(this.currentNode, "ruby")) {
+          this.unexpectedStartTag(token);
+        }
+      }
+      this.insertHTMLElement(token);
+      return;
+    }
+    if (name === "math" || name === "svg") {
+      this.reconstructActiveFormattingElements();
+      this.insertForeignElement(token, name === "math" ? "math" : "svg");
+      if (token.selfClosing) {
+        this.popElement();
+        this.acknowledgeSelfClosing();
+      }
+      return;
+    }
+    if (["caption", "col", "colgroup", "frame", "head", "tbody", "td", "tfoot", "th", "thead", "tr"].includes(name)) {
+      this.unexpectedStartTag(token);
+      return;
+    }
+    this.reconstructActiveFormattingElements();
+    this.insertHTMLElement(token);
+  }
+
+  inBodyEndTag(token) {
+    const name = token.name;
+
+    if (name === "template") {
+      this.inHeadMode(token);
+      return;
+    }
+    if (name === "body" || name === "html") {
+      if (!this.hasElementInScope("body")) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.mode = M.AFTER_BODY;
+      if (name === "body") {
+        this.closeSpan(this.openElements[this.findLastOpen("body")], token, true);
+      }
+      if (name === "html") {
+        this.reprocess(token);
+      }
+      return;
+    }
+    if (BLOCK_END_TAGS.has(name)) {
+      if (!this.hasElementInScope(name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags();
+      if (!isHTML(this.currentNode, name)) {
+        this.parseError("end-tag-too-early", token, `Unclosed elements before </${name}>`);
+      }
+      this.popUntilTag(name);
+      return;
+    }
+    if (name === "form") {
+      if (!this.hasOpenElement("template")) {
+        const node = this.formElement;
+        this.formElement = null;
+        if (!node || !this.hasNodeInScope(node)) {
+          this.unexpectedEndTag(token);
+          return;
+        }
+        this.generateImpliedEndTags();
+        if (this.currentNode !== node) {
+          this.parseError("end-tag-too-early", token, "Unclosed elements before </form>");
         }
-        if (!fragment && !documentElement) {
-          const comment = new Comment(token.data);
-          maybeSetLocation(comment, token.pos, html, trackNodeLocations);
-          root.appendChild(comment);
+        this.removeFromStack(node);
+        return;
+      }
+      if (!this.hasElementInScope("form")) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags();
+      if (!isHTML(this.currentNode, "form")) {
+        this.parseError("end-tag-too-early", token, "Unclosed elements before </form>");
+      }
+      this.popUntilTag("form");
+      return;
+    }
+    if (name === "p") {
+      if (!this.hasElementInScope("p", BUTTON_SCOPE_HTML)) {
+        this.unexpectedEndTag(token);
+        this.insertHTMLElement(syntheticStartTag("p", token));
+      }
+      this.closePElement();
+      return;
+    }
+    if (name === "li") {
+      if (!this.hasElementInScope("li", LIST_ITEM_SCOPE_HTML)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags("li");
+      if (!isHTML(this.currentNode, "li")) {
+        this.parseError("end-tag-too-early", token, "Unclosed elements before </li>");
+      }
+      this.popUntilTag("li");
+      return;
+    }
+    if (name === "dd" || name === "dt") {
+      if (!this.hasElementInScope(name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags(name);
+      if (!isHTML(this.currentNode, name)) {
+        this.parseError("end-tag-too-early", token, `Unclosed elements before </${name}>`);
+      }
+      this.popUntilTag(name);
+      return;
+    }
+    if (HEADINGS.has(name)) {
+      if (!this.hasElementInScope(HEADINGS)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags();
+      if (!isHTML(this.currentNode, name)) {
+        this.parseError("end-tag-too-early", token, `Unclosed elements before </${name}>`);
+      }
+      while (this.openElements.length) {
+        const node = this.popElement();
+        if (node.namespace === "html" && HEADINGS.has(node.name)) {
           break;
         }
-        if (!fragment && afterBody) {
-          const comment = new Comment(token.data);
-          maybeSetLocation(comment, token.pos, html, trackNodeLocations);
-          root.appendChild(comment);
+      }
+      return;
+    }
+    if (FORMATTING_ELEMENTS.has(name)) {
+      this.adoptionAgency(token);
+      return;
+    }
+    if (name === "applet" || name === "marquee" || name === "object") {
+      if (!this.hasElementInScope(name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      this.generateImpliedEndTags();
+      if (!isHTML(this.currentNode, name)) {
+        this.parseError("end-tag-too-early", token, `Unclosed elements before </${name}>`);
+      }
+      this.popUntilTag(name);
+      this.clearActiveFormattingToMarker();
+      return;
+    }
+    if (name === "br") {
+      this.unexpectedEndTag(token);
+      this.inBodyStartTag({ kind: TokenKind.START_TAG, name: "br", attrs: {}, selfClosing: false, pos: token.pos });
+      return;
+    }
+    this.anyOtherEndTag(token);
+  }
+
+  anyOtherEndTag(token) {
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      const node = this.openElements[i];
+      if (isHTML(node, token.name)) {
+        this.generateImpliedEndTags(token.name);
+        if (node !== this.currentNode) {
+          this.parseError("end-tag-too-early", token, `Unclosed elements before </${token.name}>`);
+        }
+        this.truncateStack(i);
+        return;
+      }
+      if (isSpecial(node)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+    }
+  }
+
+  adoptionAgency(token) {
+    const subject = token.name;
+    const current = this.currentNode;
+    if (isHTML(current, subject) && !this.activeFormatting.some((entry) => entry && entry.element === current)) {
+      this.popElement();
+      return;
+    }
+
+    for (let outer = 0; outer < 8; outer += 1) {
+      const formattingEntry = this.findActiveFormattingEntry(subject);
+      if (!formattingEntry) {
+        this.anyOtherEndTag(token);
+        return;
+      }
+      const formattingElement = formattingEntry.element;
+      const formattingIndex = this.openElements.indexOf(formattingElement);
+      if (formattingIndex < 0) {
+        this.parseError("adoption-agency-1.2", token, `Formatting element <${subject}> is not open`);
+        this.removeActiveFormattingElement(formattingElement);
+        return;
+      }
+      if (!this.hasNodeInScope(formattingElement)) {
+        this.parseError("adoption-agency-4.4", token, `Formatting element <${subject}> is not in scope`);
+        return;
+      }
+      if (formattingElement !== this.currentNode) {
+        this.parseError("adoption-agency-1.3", token, `Misnested </${subject}> end tag`);
+      }
+
+      let furthestBlock = null;
+      for (let i = formattingIndex + 1; i < this.openElements.length; i += 1) {
+        if (isSpecial(this.openElements[i])) {
+          furthestBlock = this.openElements[i];
           break;
         }
-        if (!fragment) {
-          ensureScaffold(root, () => ({ documentElement, headElement, bodyElement }), (next) => {
-            documentElement = next.documentElement;
-            headElement = next.headElement;
-            bodyElement = next.bodyElement;
-          });
-          ensureDocumentOnStack(stack, documentElement);
-        }
-        const comment = new Comment(token.data);
-        maybeSetLocation(comment, token.pos, html, trackNodeLocations);
-        if (!fragment && (token.data || "").startsWith("?")) {
-          root.insertBefore(comment, root.children[0] || null);
+      }
+      if (!furthestBlock) {
+        this.truncateStack(formattingIndex);
+        this.removeActiveFormattingElement(formattingElement);
+        return;
+      }
+
+      const commonAncestor = this.openElements[formattingIndex - 1];
+      let bookmark = this.activeFormatting.indexOf(formattingEntry);
+      let node = furthestBlock;
+      let lastNode = furthestBlock;
+      let nodeIndex = this.openElements.indexOf(furthestBlock);
+
+      for (let inner = 1; ; inner += 1) {
+        nodeIndex -= 1;
+        node = this.openElements[nodeIndex];
+        if (node === formattingElement) {
           break;
         }
-        if (!fragment && stack[stack.length - 1]?.name === "html" && headElement && bodyElement) {
-          const headEmpty = headElement.children.length === 0;
-          const bodyEmpty = bodyElement.children.length === 0;
-          if (headEmpty && bodyEmpty) {
-            stack[stack.length - 1].insertBefore(comment, headElement);
+        let entryIndex = this.activeFormatting.findIndex((entry) => entry && entry.element === node);
+        if (inner > 3 && entryIndex >= 0) {
+          this.activeFormatting.splice(entryIndex, 1);
+          if (entryIndex < bookmark) {
+            bookmark -= 1;
+          }
+          entryIndex = -1;
+        }
+        if (entryIndex < 0) {
+          this.noteClosed(node);
+          this.openElements.splice(nodeIndex, 1);
+          continue;
+        }
+        const entry = this.activeFormatting[entryIndex];
+        const replacement = this.createElementForToken(entry.token, "html", true);
+        this.activeFormatting[entryIndex] = { element: replacement, token: entry.token };
+        this.noteClosed(node);
+        this.openElements[nodeIndex] = replacement;
+        node = replacement;
+        if (lastNode === furthestBlock) {
+          bookmark = entryIndex + 1;
+        }
+        detach(lastNode);
+        node.appendChild(lastNode);
+        lastNode = node;
+      }
+
+      detach(lastNode);
+      this.insertNodeAt(lastNode, this.appropriatePlace(commonAncestor));
+
+      const replacement = this.createElementForToken(formattingEntry.token, "html", true);
+      for (const child of [...furthestBlock.children]) {
+        furthestBlock.removeChild(child);
+        replacement.appendChild(child);
+      }
+      furthestBlock.appendChild(replacement);
+
+      const oldEntryIndex = this.activeFormatting.indexOf(formattingEntry);
+      this.activeFormatting.splice(oldEntryIndex, 1);
+      if (oldEntryIndex < bookmark) {
+        bookmark -= 1;
+      }
+      this.activeFormatting.splice(bookmark, 0, { element: replacement, token: formattingEntry.token });
+
+      this.removeFromStack(formattingElement);
+      this.openElements.splice(this.openElements.indexOf(furthestBlock) + 1, 0, replacement);
+    }
+  }
+
+  textMode(token) {
+    if (token.kind === TokenKind.TEXT) {
+      this.insertText(token);
+      return;
+    }
+    if (token.kind === TokenKind.EOF) {
+      this.eofError(this.currentNode, token);
+      this.popElement();
+      this.mode = this.originalMode;
+      this.reprocess(token);
+      return;
+    }
+    if (token.kind === TokenKind.END_TAG) {
+      this.popElement();
+      this.mode = this.originalMode;
+    }
+  }
+
+  inTableMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT:
+        if (this.currentNode.namespace === "html" && TABLE_FOSTER_TARGETS.has(this.currentNode.name) || isHTML(this.currentNode, "template")) {
+          this.pendingTableText = [];
+          this.originalMode = this.mode;
+          this.mode = M.IN_TABLE_TEXT;
+          this.reprocess(token);
+          return;
+        }
+        break;
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        switch (token.name) {
+          case "caption":
+            this.clearStackBackTo(TABLE_SCOPE_HTML);
+            this.activeFormatting.push(MARKER);
+            this.insertHTMLElement(token);
+            this.mode = M.IN_CAPTION;
+            return;
+          case "colgroup":
+            this.clearStackBackTo(TABLE_SCOPE_HTML);
+            this.insertHTMLElement(token);
+            this.mode = M.IN_COLUMN_GROUP;
+            return;
+          case "col":
+            this.clearStackBackTo(TABLE_SCOPE_HTML);
+            this.insertHTMLElement(syntheticStartTag("colgroup", token));
+            this.mode = M.IN_COLUMN_GROUP;
+            this.reprocess(token);
+            return;
+          case "tbody":
+          case "tfoot":
+          case "thead":
+            this.clearStackBackTo(TABLE_SCOPE_HTML);
+            this.insertHTMLElement(token);
+            this.mode = M.IN_TABLE_BODY;
+            return;
+          case "td":
+          case "th":
+          case "tr":
+            this.clearStackBackTo(TABLE_SCOPE_HTML);
+            this.insertHTMLElement(syntheticStartTag("tbody", token));
+            this.mode = M.IN_TABLE_BODY;
+            this.reprocess(token);
+            return;
+          case "table":
+            this.unexpectedStartTag(token);
+            if (!this.hasElementInScope("table", TABLE_SCOPE_HTML)) {
+              return;
+            }
+            this.popUntilTag("table");
+            this.resetInsertionMode();
+            this.reprocess(token);
+            return;
+          case "style":
+          case "script":
+          case "template":
+            this.inHeadMode(token);
+            return;
+          case "input":
+            if (!isHiddenInput(token)) {
+              break;
+            }
+            this.unexpectedStartTag(token);
+            this.insertHTMLElement(token);
+            this.popElement();
+            this.acknowledgeSelfClosing();
+            return;
+          case "form":
+            this.unexpectedStartTag(token);
+            if (this.hasOpenElement("template") || this.formElement) {
+              return;
+            }
+            this.formElement = this.insertHTMLElement(token);
+            this.popElement();
+            return;
+          default:
+            break;
+        }
+        break;
+      case TokenKind.END_TAG:
+        switch (token.name) {
+          case "table":
+            if (!this.hasElementInScope("table", TABLE_SCOPE_HTML)) {
+              this.unexpectedEndTag(token);
+              return;
+            }
+            this.popUntilTag("table");
+            this.resetInsertionMode();
+            return;
+          case "body":
+          case "caption":
+          case "col":
+          case "colgroup":
+          case "html":
+          case "tbody":
+          case "td":
+          case "tfoot":
+          case "th":
+          case "thead":
+          case "tr":
+            this.unexpectedEndTag(token);
+            return;
+          case "template":
+            this.inHeadMode(token);
+            return;
+          default:
             break;
-          }
         }
-        currentNode(stack, root, bodyElement).appendChild(comment);
         break;
+      case TokenKind.EOF:
+        this.inBodyMode(token);
+        return;
+      default:
+        break;
+    }
+    this.inTableAnythingElse(token);
+  }
+
+  inTableAnythingElse(token) {
+    if (token.kind === TokenKind.START_TAG) {
+      this.unexpectedStartTag(token);
+    } else if (token.kind === TokenKind.END_TAG) {
+      this.unexpectedEndTag(token);
+    } else {
+      this.parseError("foster-parenting-character", token, "Unexpected text in table");
+    }
+    this.fosterParenting = true;
+    this.inBodyMode(token);
+    this.fosterParenting = false;
+  }
+
+  inTableTextMode(token) {
+    if (token.kind === TokenKind.TEXT) {
+      let data = token.data;
+      if (data.includes("\0")) {
+        this.parseError("unexpected-null-character", token, "Unexpected NULL character");
+        data = data.replaceAll("\0", "");
+      }
+      if (data) {
+        this.pendingTableText.push({ ...token, data });
+      }
+      return;
+    }
+    const pending = this.pendingTableText;
+    this.pendingTableText = [];
+    if (pending.some((item) => /[^\t\n\f\r ]/.test(item.data))) {
+      for (const item of pending) {
+        this.inTableAnythingElse(item);
+      }
+    } else {
+      for (const item of pending) {
+        this.insertText(item);
+      }
+    }
+    this.mode = this.originalMode;
+    this.reprocess(token);
+  }
+
+  inCaptionMode(token) {
+    if (token.kind === TokenKind.END_TAG && token.name === "caption") {
+      this.closeCaption(token);
+      return;
+    }
+    if (
+      (token.kind === TokenKind.START_TAG && CAPTION_CLOSERS.has(token.name)) ||
+      (token.kind === TokenKind.END_TAG && token.name === "table")
+    ) {
+      if (this.closeCaption(token)) {
+        this.reprocess(token);
       }
+      return;
+    }
+    if (token.kind === TokenKind.END_TAG && ["body", "col", "colgroup", "html", "tbody", "td", "tfoot", "th", "thead", "tr"].includes(token.name)) {
+      this.unexpectedEndTag(token);
+      return;
+    }
+    this.inBodyMode(token);
+  }
+
+  closeCaption(token) {
+    if (!this.hasElementInScope("caption", TABLE_SCOPE_HTML)) {
+      this.unexpectedEndTag(token);
+      return false;
+    }
+    this.generateImpliedEndTags();
+    if (!isHTML(this.currentNode, "caption")) {
+      this.parseError("end-tag-too-early", token, "Unclosed elements inside <caption>");
+    }
+    this.popUntilTag("caption");
+    this.clearActiveFormattingToMarker();
+    this.mode = M.IN_TABLE;
+    return true;
+  }
+
+  inColumnGroupMode(token) {
+    switch (token.kind) {
       case TokenKind.TEXT: {
-        if (!fragment && stack[stack.length - 1]?.name === "head" && /\S/.test(token.data || "")) {
-          stack.pop();
-        }
-        let tokenData = token.data || "";
-        if (!fragment && isHeadNoscriptContext(stack) && /\S/.test(tokenData)) {
-          closeHeadNoscriptContext(stack);
-        }
-        if (!fragment && seenDoctype && !documentElement && tokenData.startsWith("\n")) {
-          tokenData = tokenData.slice(1);
-        }
-        const textForFrameset = tokenData.replaceAll("\u0000", "");
-        if (!fragment && textForFrameset && /\S/.test(textForFrameset)) {
-          framesetOk = false;
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.insertText(whitespace);
         }
-        if (!fragment && textForFrameset && /\S/.test(textForFrameset)) {
-          afterBody = false;
+        if (rest) {
+          this.inColumnGroupAnythingElse(rest);
         }
-        if (!fragment && framesetOk && !/\S/.test(textForFrameset) && !bodyElement) {
-          break;
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
         }
-        if (!fragment) {
-          ensureScaffold(root, () => ({ documentElement, headElement, bodyElement }), (next) => {
-            documentElement = next.documentElement;
-            headElement = next.headElement;
-            bodyElement = next.bodyElement;
-          });
-          ensureDocumentOnStack(stack, documentElement);
+        if (token.name === "col") {
+          this.insertHTMLElement(token);
+          this.popElement();
+          this.acknowledgeSelfClosing();
+          return;
         }
-        if (!tokenData) {
-          break;
+        if (token.name === "template") {
+          this.inHeadMode(token);
+          return;
         }
-        let textData = tokenData;
-        const parentForText = currentNode(stack, root, bodyElement);
-        if (parentForText?.namespace === "html") {
-          if (parentForText.name === "script" || parentForText.name === "style" || parentForText.name === "plaintext") {
-            textData = textData.replaceAll("\u0000", "\ufffd");
-          } else {
-            textData = textData.replaceAll("\u0000", "");
-          }
-        } else {
-          const isSvgHtmlIntegrationPoint = parentForText?.namespace === "svg" &&
-            (parentForText?.name === "foreignobject" || parentForText?.name === "desc" || parentForText?.name === "title");
-          const isMathTextIntegrationPoint = parentForText?.namespace === "math" &&
-            (parentForText?.name === "mi" || parentForText?.name === "mo" || parentForText?.name === "mn" || parentForText?.name === "ms" || parentForText?.name === "mtext");
-          if (isSvgHtmlIntegrationPoint || isMathTextIntegrationPoint) {
-            textData = textData.replaceAll("\u0000", "");
-          } else {
-            textData = textData.replaceAll("\u0000", "\ufffd");
+        break;
+      case TokenKind.END_TAG:
+        if (token.name === "colgroup") {
+          if (!isHTML(this.currentNode, "colgroup")) {
+            this.unexpectedEndTag(token);
+            return;
           }
+          this.popElement();
+          this.mode = M.IN_TABLE;
+          return;
         }
-        if (parentForText?.name === "pre" && parentForText.children.length === 0 && textData.startsWith("\n")) {
-          textData = textData.slice(1);
-        }
-        if (!textData) {
-          break;
-        }
-        if (!fragment && parentForText?.namespace === "html" && parentForText?.name === "colgroup") {
-          const leadingWhitespace = textData.match(/^\s*/)?.[0] || "";
-          const remainder = textData.slice(leadingWhitespace.length);
-          if (leadingWhitespace) {
-            const wsNode = new Text(leadingWhitespace);
-            maybeSetLocation(wsNode, token.pos, html, trackNodeLocations);
-            parentForText.appendChild(wsNode);
-          }
-          if (remainder) {
-            const fostered = new Text(remainder);
-            maybeSetLocation(fostered, token.pos, html, trackNodeLocations);
-            fosterParentInsert(fostered, stack, bodyElement);
-          }
-          break;
+        if (token.name === "col") {
+          this.unexpectedEndTag(token);
+          return;
         }
-        const textNode = new Text(textData);
-        maybeSetLocation(textNode, token.pos, html, trackNodeLocations);
-        if (!fragment && shouldFosterParentText(stack)) {
-          fosterParentInsert(textNode, stack, bodyElement);
-        } else {
-          currentNode(stack, root, bodyElement).appendChild(textNode);
+        if (token.name === "template") {
+          this.inHeadMode(token);
+          return;
         }
         break;
-      }
-      case TokenKind.START_TAG: {
-        afterBody = false;
-        const name = token.name;
-        if (fragment) {
-          if (fragmentNamespace !== "html" && (name === "html" || name === "head" || name === "body" || name === "frameset")) {
-            break;
-          }
-          let parent = currentNode(stack, root);
-          const defaultNamespace = parent === root
-            ? (fragmentRootNamespaceOverride || fragmentDefaultNamespace(fragmentNamespace, fragmentContextTag))
-            : (parent?.namespace || "html");
-          const ns = inferNamespace(name, parent, defaultNamespace, token.attrs || {});
-          if (
-            ns === "math" &&
-            parent?.namespace === "math" &&
-            parent?.name === "mo" &&
-            (name === "tr" || name === "tbody" || name === "thead" || name === "tfoot")
-          ) {
-            break;
-          }
-          if (parent?.namespace === "svg" && parent?.name === "title" && SVG_TITLE_IGNORED_TAGS.has(name)) {
-            break;
-          }
-          if (
-            ns === "html" &&
-            parent?.namespace &&
-            parent.namespace !== "html" &&
-            parent?.name !== "foreignobject" &&
-            !(parent?.namespace === "svg" && parent?.name === "title")
-          ) {
-            while (stack.length > 1 && stack[stack.length - 1]?.namespace !== "html") {
-              stack.pop();
-            }
-            parent = currentNode(stack, root);
-            fragmentRootNamespaceOverride = "html";
-          }
-          const element = createElement(name, token.attrs, ns);
-          maybeSetLocation(element, token.pos, html, trackNodeLocations);
-          parent.appendChild(element);
-          const selfClosingHonored = token.selfClosing && (ns !== "html" || VOID_ELEMENTS.has(name));
-          if (!selfClosingHonored && !VOID_ELEMENTS.has(name)) {
-            stack.push(element);
-          }
-          break;
-        }
-
-        ensureScaffold(root, () => ({ documentElement, headElement, bodyElement }), (next) => {
-          documentElement = next.documentElement;
-          headElement = next.headElement;
-          bodyElement = next.bodyElement;
-        });
-        ensureDocumentOnStack(stack, documentElement);
-
-        const insertionPoint = currentNode(stack, root, bodyElement);
-        const inHtmlContext = !insertionPoint?.namespace || insertionPoint.namespace === "html";
-        if (name === "frameset" && inHtmlContext) {
-          if (!framesetOk) {
-            break;
-          }
-          if (bodyElement && bodyElement.parent === documentElement) {
-            documentElement.removeChild(bodyElement);
-            bodyElement = null;
-          }
-          const frameset = createElement("frameset", token.attrs, "html");
-          maybeSetLocation(frameset, token.pos, html, trackNodeLocations);
-          documentElement.appendChild(frameset);
-          stack.length = 2;
-          stack.push(frameset);
-          break;
-        }
+      case TokenKind.EOF:
+        this.inBodyMode(token);
+        return;
+      default:
+        break;
+    }
+    this.inColumnGroupAnythingElse(token);
+  }
 
-        if (name === "input" && String(token.attrs?.type || "").toLowerCase() !== "hidden") {
-          framesetOk = false;
+  inColumnGroupAnythingElse(token) {
+    if (!isHTML(this.currentNode, "colgroup")) {
+      this.parseError("unexpected-token-in-column-group", token, "Unexpected content in <colgroup>");
+      return;
+    }
+    this.popElement();
+    this.mode = M.IN_TABLE;
+    this.reprocess(token);
+  }
+
+  inTableBodyMode(token) {
+    if (token.kind === TokenKind.START_TAG) {
+      if (token.name === "tr") {
+        this.clearStackBackTo(TABLE_BODY_CONTEXT);
+        this.insertHTMLElement(token);
+        this.mode = M.IN_ROW;
+        return;
+      }
+      if (token.name === "th" || token.name === "td") {
+        this.unexpectedStartTag(token);
+        this.clearStackBackTo(TABLE_BODY_CONTEXT);
+        this.insertHTMLElement(syntheticStartTag("tr", token));
+        this.mode = M.IN_ROW;
+        this.reprocess(token);
+        return;
+      }
+      if (["caption", "col", "colgroup", "tbody", "tfoot", "thead"].includes(token.name)) {
+        this.closeTableBodyAndReprocess(token);
+        return;
+      }
+    }
+    if (token.kind === TokenKind.END_TAG) {
+      if (TABLE_SECTIONS.has(token.name)) {
+        if (!this.hasElementInScope(token.name, TABLE_SCOPE_HTML)) {
+          this.unexpectedEndTag(token);
+          return;
         }
+        this.clearStackBackTo(TABLE_BODY_CONTEXT);
+        this.popElement();
+        this.mode = M.IN_TABLE;
+        return;
+      }
+      if (token.name === "table") {
+        this.closeTableBodyAndReprocess(token);
+        return;
+      }
+      if (["body", "caption", "col", "colgroup", "html", "td", "th", "tr"].includes(token.name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+    }
+    this.inTableMode(token);
+  }
 
-        if (!fragment && isHeadNoscriptContext(stack)) {
-          if (name === "html") {
-            if (documentElement) {
-              Object.assign(documentElement.attrs, token.attrs || {});
-            }
-            break;
-          }
-          if (name === "head" || name === "noscript") {
-            break;
-          }
-          if (!(name === "link" || name === "meta" || name === "style" || name === "basefont" || name === "bgsound" || name === "noframes")) {
-            closeHeadNoscriptContext(stack);
-          }
+  closeTableBodyAndReprocess(token) {
+    if (!this.hasElementInScope(TABLE_SECTIONS, TABLE_SCOPE_HTML)) {
+      this.parseError("unexpected-token-in-table-body", token, "No table section is open");
+      return;
+    }
+    this.clearStackBackTo(TABLE_BODY_CONTEXT);
+    this.popElement();
+    this.mode = M.IN_TABLE;
+    this.reprocess(token);
+  }
+
+  inRowMode(token) {
+    if (token.kind === TokenKind.START_TAG) {
+      if (token.name === "th" || token.name === "td") {
+        this.clearStackBackTo(TABLE_ROW_CONTEXT);
+        this.insertHTMLElement(token);
+        this.mode = M.IN_CELL;
+        this.activeFormatting.push(MARKER);
+        return;
+      }
+      if (["caption", "col", "colgroup", "tbody", "tfoot", "thead", "tr"].includes(token.name)) {
+        if (this.closeRow(token)) {
+          this.reprocess(token);
         }
-
-        if (name === "html") {
-          if (!documentElement) {
-            documentElement = createElement("html", token.attrs, "html");
-            maybeSetLocation(documentElement, token.pos, html, trackNodeLocations);
-            root.appendChild(documentElement);
-            stack.length = 1;
-            stack.push(documentElement);
-          } else {
-            Object.assign(documentElement.attrs, token.attrs || {});
-          }
-          break;
+        return;
+      }
+    }
+    if (token.kind === TokenKind.END_TAG) {
+      if (token.name === "tr") {
+        this.closeRow(token);
+        return;
+      }
+      if (token.name === "table") {
+        if (this.closeRow(token)) {
+          this.reprocess(token);
         }
-
-        if (name === "head") {
-          if (!headElement) {
-            headElement = createElement("head", token.attrs, "html");
-            maybeSetLocation(headElement, token.pos, html, trackNodeLocations);
-            documentElement.appendChild(headElement);
-          }
-          ensureDocumentOnStack(stack, documentElement);
-          stack.length = 2;
-          stack.push(headElement);
-          break;
+        return;
+      }
+      if (TABLE_SECTIONS.has(token.name)) {
+        if (!this.hasElementInScope(token.name, TABLE_SCOPE_HTML)) {
+          this.unexpectedEndTag(token);
+          return;
         }
-
-        if (name === "body") {
-          if (!bodyElement) {
-            bodyElement = createElement("body", token.attrs, "html");
-            maybeSetLocation(bodyElement, token.pos, html, trackNodeLocations);
-            documentElement.appendChild(bodyElement);
-          } else {
-            for (const [key, value] of Object.entries(token.attrs || {})) {
-              if (!(key in bodyElement.attrs)) {
-                bodyElement.attrs[key] = value;
-              }
-            }
-          }
-          ensureDocumentOnStack(stack, documentElement);
-          stack.length = 2;
-          stack.push(bodyElement);
-          break;
+        if (this.closeRow(token)) {
+          this.reprocess(token);
         }
+        return;
+      }
+      if (["body", "caption", "col", "colgroup", "html", "td", "th"].includes(token.name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+    }
+    this.inTableMode(token);
+  }
 
-        if (!fragment) {
-          applySelectStartTagHeuristics(name, stack);
-        }
+  closeRow(token) {
+    if (!this.hasElementInScope("tr", TABLE_SCOPE_HTML)) {
+      this.unexpectedEndTag(token);
+      return false;
+    }
+    this.clearStackBackTo(TABLE_ROW_CONTEXT);
+    this.popElement();
+    this.mode = M.IN_TABLE_BODY;
+    return true;
+  }
 
-        if (!fragment && name === "li") {
-          const liIndex = findOpenElement(stack, "li");
-          if (liIndex >= 0) {
-            stack.length = liIndex;
-          }
+  inCellMode(token) {
+    if (token.kind === TokenKind.END_TAG) {
+      if (token.name === "td" || token.name === "th") {
+        if (!this.hasElementInScope(token.name, TABLE_SCOPE_HTML)) {
+          this.unexpectedEndTag(token);
+          return;
         }
-        if (!fragment && (name === "dd" || name === "dt")) {
-          const ddIndex = findOpenElement(stack, "dd");
-          const dtIndex = findOpenElement(stack, "dt");
-          const closeIndex = Math.max(ddIndex, dtIndex);
-          if (closeIndex >= 0) {
-            stack.length = closeIndex;
-          }
+        this.generateImpliedEndTags();
+        if (!isHTML(this.currentNode, token.name)) {
+          this.parseError("end-tag-too-early", token, `Unclosed elements before </${token.name}>`);
         }
-        if (!fragment && (name === "rb" || name === "rt" || name === "rp" || name === "rtc")) {
-          const rubyIndex = findOpenElement(stack, "ruby");
-          const rbIndex = findOpenElement(stack, "rb");
-          const rtIndex = findOpenElement(stack, "rt");
-          const rpIndex = findOpenElement(stack, "rp");
-          const rtcIndex = name === "rb" || name === "rtc" ? findOpenElement(stack, "rtc") : -1;
-          const closeIndex = Math.max(
-            rbIndex > rubyIndex ? rbIndex : -1,
-            rtIndex > rubyIndex ? rtIndex : -1,
-            rpIndex > rubyIndex ? rpIndex : -1,
-            rtcIndex > rubyIndex ? rtcIndex : -1
-          );
-          if (closeIndex >= 0) {
-            stack.length = closeIndex;
-          }
+        this.popUntilTag(token.name);
+        this.clearActiveFormattingToMarker();
+        this.mode = M.IN_ROW;
+        return;
+      }
+      if (["body", "caption", "col", "colgroup", "html"].includes(token.name)) {
+        this.unexpectedEndTag(token);
+        return;
+      }
+      if (CELL_CLOSER_END_TAGS.has(token.name)) {
+        if (!this.hasElementInScope(token.name, TABLE_SCOPE_HTML)) {
+          this.unexpectedEndTag(token);
+          return;
         }
+        this.closeCell(token);
+        this.reprocess(token);
+        return;
+      }
+    }
+    if (token.kind === TokenKind.START_TAG && CAPTION_CLOSERS.has(token.name)) {
+      if (!this.hasElementInScope(["td", "th"], TABLE_SCOPE_HTML)) {
+        this.unexpectedStartTag(token);
+        return;
+      }
+      this.closeCell(token);
+      this.reprocess(token);
+      return;
+    }
+    this.inBodyMode(token);
+  }
 
-        if (!fragment && name === "caption") {
-          const tableIndex = findNearestIndex(stack, "table");
-          if (tableIndex >= 0) {
-            stack.length = tableIndex + 1;
-          }
-        }
+  closeCell(token) {
+    this.generateImpliedEndTags();
+    if (!isHTML(this.currentNode, "td") && !isHTML(this.currentNode, "th")) {
+      this.parseError("end-tag-too-early", token, "Unclosed elements inside table cell");
+    }
+    while (this.openElements.length) {
+      const node = this.popElement();
+      if (isHTML(node, "td") || isHTML(node, "th")) {
+        break;
+      }
+    }
+    this.clearActiveFormattingToMarker();
+    this.mode = M.IN_ROW;
+  }
 
-        if (!fragment) {
-          const tableIndex = findNearestIndex(stack, "table");
-          const topNs = currentNode(stack, root, bodyElement)?.namespace || "html";
-          if (tableIndex >= 0) {
-            if (name === "table" && hasForeignContentAbove(stack, tableIndex)) {
-              while (stack.length > tableIndex + 1 && stack[stack.length - 1]?.namespace !== "html") {
-                stack.pop();
-              }
-              const fosteredTable = createElement("table", token.attrs, "html");
-              maybeSetLocation(fosteredTable, token.pos, html, trackNodeLocations);
-              fosterParentInsert(fosteredTable, stack, bodyElement);
-              break;
+  inSelectMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT: {
+        let data = token.data;
+        if (data.includes("\0")) {
+          this.parseError("unexpected-null-character", token, "Unexpected NULL character");
+          data = data.replaceAll("\0", "");
+        }
+        if (data) {
+          this.insertText({ ...token, data });
+        }
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        switch (token.name) {
+          case "html":
+            this.inBodyMode(token);
+            return;
+          case "option":
+            if (isHTML(this.currentNode, "option")) {
+              this.popElement();
             }
-          }
-          if (tableIndex >= 0 && topNs === "html") {
-            if (name === "col") {
-              const table = stack[tableIndex];
-              let colgroup = null;
-              for (let i = table.children.length - 1; i >= 0; i -= 1) {
-                const child = table.children[i];
-                if (child?.name === "colgroup") {
-                  colgroup = child;
-                  break;
-                }
-              }
-              if (!colgroup) {
-                colgroup = createElement("colgroup", {}, "html");
-                table.appendChild(colgroup);
-              }
-              const col = createElement("col", token.attrs, "html");
-              maybeSetLocation(col, token.pos, html, trackNodeLocations);
-              colgroup.appendChild(col);
-              break;
+            this.insertHTMLElement(token);
+            return;
+          case "optgroup":
+          case "hr":
+            if (isHTML(this.currentNode, "option")) {
+              this.popElement();
             }
-            if (name === "form") {
-              const table = stack[tableIndex];
-              const formInTable = createElement("form", token.attrs, "html");
-              maybeSetLocation(formInTable, token.pos, html, trackNodeLocations);
-              table.appendChild(formInTable);
-              break;
+            if (isHTML(this.currentNode, "optgroup")) {
+              this.popElement();
             }
-            if (name === "input") {
-              const type = String(token.attrs?.type || "").toLowerCase();
-              const input = createElement("input", token.attrs, "html");
-              maybeSetLocation(input, token.pos, html, trackNodeLocations);
-              if (type === "hidden") {
-                const table = stack[tableIndex];
-                table.appendChild(input);
-              } else {
-                fosterParentInsert(input, stack, bodyElement);
-              }
-              break;
+            this.insertHTMLElement(token);
+            if (token.name === "hr") {
+              this.popElement();
+              this.acknowledgeSelfClosing();
+            }
+            return;
+          case "select":
+            this.unexpectedStartTag(token);
+            if (this.hasElementInScope("select", SELECT_SCOPE)) {
+              this.popUntilTag("select");
+              this.resetInsertionMode();
+            }
+            return;
+          case "input":
+          case "keygen":
+          case "textarea":
+            this.unexpectedStartTag(token);
+            if (!this.hasElementInScope("select", SELECT_SCOPE)) {
+              return;
+            }
+            this.popUntilTag("select");
+            this.resetInsertionMode();
+            this.reprocess(token);
+            return;
+          case "script":
+          case "template":
+            this.inHeadMode(token);
+            return;
+          default:
+            this.unexpectedStartTag(token);
+            return;
+        }
+      case TokenKind.END_TAG:
+        switch (token.name) {
+          case "optgroup": {
+            const previous = this.openElements[this.openElements.length - 2];
+            if (isHTML(this.currentNode, "option") && isHTML(previous, "optgroup")) {
+              this.popElement();
+            }
+            if (isHTML(this.currentNode, "optgroup")) {
+              this.popElement();
+            } else {
+              this.unexpectedEndTag(token);
             }
+            return;
           }
+          case "option":
+            if (isHTML(this.currentNode, "option")) {
+              this.popElement();
+            } else {
+              this.unexpectedEndTag(token);
+            }
+            return;
+          case "select":
+            if (!this.hasElementInScope("select", SELECT_SCOPE)) {
+              this.unexpectedEndTag(token);
+              return;
+            }
+            this.popUntilTag("select");
+            this.resetInsertionMode();
+            return;
+          case "template":
+            this.inHeadMode(token);
+            return;
+          default:
+            this.unexpectedEndTag(token);
+            return;
         }
+      case TokenKind.EOF:
+        this.inBodyMode(token);
+        return;
+      default:
+        return;
+    }
+  }
 
-        let parent = chooseParent(stack, bodyElement, headElement, name);
-        alignStackForParent(stack, parent, documentElement, headElement, bodyElement);
+  inSelectInTableMode(token) {
+    const isTableTag = SELECT_IN_TABLE_TAGS.has(token.name);
+    if (token.kind === TokenKind.START_TAG && isTableTag) {
+      this.unexpectedStartTag(token);
+      this.popUntilTag("select");
+      this.resetInsertionMode();
+      this.reprocess(token);
+      return;
+    }
+    if (token.kind === TokenKind.END_TAG && isTableTag) {
+      this.unexpectedEndTag(token);
+      if (!this.hasElementInScope(token.name, TABLE_SCOPE_HTML)) {
+        return;
+      }
+      this.popUntilTag("select");
+      this.resetInsertionMode();
+      this.reprocess(token);
+      return;
+    }
+    this.inSelectMode(token);
+  }
 
-        if (!fragment && shouldFosterParentElement(stack, name)) {
-          const fosterParent = findFosterParent(stack, bodyElement);
-          const ns = inferNamespace(name, fosterParent);
-          const fostered = createElement(name, token.attrs, ns);
-          maybeSetLocation(fostered, token.pos, html, trackNodeLocations);
-          fosterParentInsert(fostered, stack, bodyElement);
-          const selfClosingHonored = token.selfClosing && (ns !== "html" || VOID_ELEMENTS.has(name));
-          if (!selfClosingHonored && !VOID_ELEMENTS.has(name)) {
-            stack.push(fostered);
-          }
-          break;
+  inTemplateMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT:
+      case TokenKind.COMMENT:
+      case TokenKind.DOCTYPE:
+        this.inBodyMode(token);
+        return;
+      case TokenKind.START_TAG: {
+        if (HEAD_CONTENT_START_TAGS.has(token.name)) {
+          this.inHeadMode(token);
+          return;
         }
-
-        if (
-          !fragment &&
-          (name === "td" || name === "th") &&
-          (currentNode(stack, root, bodyElement)?.namespace || "html") === "html"
-        ) {
-          ensureTableCellContext(stack, bodyElement);
-          parent = currentNode(stack, root, bodyElement);
-        }
-        if (
-          !fragment &&
-          name === "tr" &&
-          (currentNode(stack, root, bodyElement)?.namespace || "html") === "html"
-        ) {
-          ensureTableRowContext(stack, bodyElement);
-          parent = currentNode(stack, root, bodyElement);
-        }
-
-        if (!fragment && name === "a") {
-          const openA = findOpenElement(stack, "a");
-          if (openA >= 0) {
-            stack.length = openA;
-            parent = currentNode(stack, root, bodyElement);
-          }
+        let nextMode = M.IN_BODY;
+        if (["caption", "colgroup", "tbody", "tfoot", "thead"].includes(token.name)) {
+          nextMode = M.IN_TABLE;
+        } else if (token.name === "col") {
+          nextMode = M.IN_COLUMN_GROUP;
+        } else if (token.name === "tr") {
+          nextMode = M.IN_TABLE_BODY;
+        } else if (token.name === "td" || token.name === "th") {
+          nextMode = M.IN_ROW;
         }
-
-        let reopenInsideNewElement = [];
-        if (!fragment && A_REPARENT_BLOCKS.has(name)) {
-          const current = currentNode(stack, root, bodyElement);
-          if (current && current.name === "a") {
-            reopenInsideNewElement.push({ name: "a", attrs: { ...(current.attrs || {}) } });
-            stack.length = Math.max(1, stack.length - 1);
-            parent = currentNode(stack, root, bodyElement);
-          }
+        this.templateModes.pop();
+        this.templateModes.push(nextMode);
+        this.mode = nextMode;
+        this.reprocess(token);
+        return;
+      }
+      case TokenKind.END_TAG:
+        if (token.name === "template") {
+          this.inHeadMode(token);
+          return;
         }
-
-        const shouldCloseP = CLOSE_P_ON_START.has(name) || (name === "table" && closePOnTable);
-        if (!fragment && shouldCloseP) {
-          const pIndex = findOpenElement(stack, "p");
-          if (pIndex >= 0) {
-            if (name === "p") {
-              const above = stack.slice(pIndex + 1);
-              const formattingAbove = above.filter((node) => FORMATTING_TAGS.has(node.name));
-              reopenInsideNewElement = (formattingAbove.length > 1 ? formattingAbove.slice(0, -1) : formattingAbove)
-                .map((node) => ({ name: node.name, attrs: { ...(node.attrs || {}) } }));
-            }
-            stack.length = pIndex;
-            parent = currentNode(stack, root, bodyElement);
-          }
+        this.unexpectedEndTag(token);
+        return;
+      case TokenKind.EOF:
+        if (!this.hasOpenElement("template")) {
+          this.stopParsing(token);
+          return;
         }
+        this.eofError(this.currentNode, token);
+        this.popUntilTag("template");
+        this.clearActiveFormattingToMarker();
+        this.templateModes.pop();
+        this.resetInsertionMode();
+        this.reprocess(token);
+        return;
+      default:
+        return;
+    }
+  }
 
-        const ns = inferNamespace(name, parent, "html", token.attrs || {});
-        if (
-          ns === "math" &&
-          parent?.namespace === "math" &&
-          parent?.name === "mo" &&
-          (name === "tr" || name === "tbody" || name === "thead" || name === "tfoot")
-        ) {
-          break;
+  afterBodyMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT: {
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.inBodyMode(whitespace);
         }
-        if (
-          ns === "html" &&
-          parent?.namespace &&
-          parent.namespace !== "html" &&
-          parent?.name !== "foreignobject" &&
-          !(parent?.namespace === "svg" && parent?.name === "title")
-        ) {
-          while (stack.length > 1 && stack[stack.length - 1]?.namespace !== "html") {
-            stack.pop();
-          }
-          parent = currentNode(stack, root, bodyElement);
+        if (rest) {
+          this.afterBodyAnythingElse(rest);
         }
-        if (parent?.namespace === "svg" && parent?.name === "title" && SVG_TITLE_IGNORED_TAGS.has(name)) {
-          break;
+        return;
+      }
+      case TokenKind.COMMENT:
+        this.insertComment(token, this.openElements[0]);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
         }
-        if (!fragment && ns === "html" && (name === "td" || name === "th")) {
-          ensureTableCellContext(stack, bodyElement);
-          parent = currentNode(stack, root, bodyElement);
-        }
-        if (!fragment && ns === "html" && name === "tr") {
-          ensureTableRowContext(stack, bodyElement);
-          parent = currentNode(stack, root, bodyElement);
-        }
-        const element = createElement(name, token.attrs, ns);
-        maybeSetLocation(element, token.pos, html, trackNodeLocations);
-        parent.appendChild(element);
-        const selfClosingHonored = token.selfClosing && (ns !== "html" || VOID_ELEMENTS.has(name));
-        if (!selfClosingHonored && !VOID_ELEMENTS.has(name)) {
-          stack.push(element);
-          if (reopenInsideNewElement.length) {
-            let current = element;
-            for (const info of reopenInsideNewElement) {
-              const reopened = createElement(info.name, info.attrs);
-              current.appendChild(reopened);
-              stack.push(reopened);
-              current = reopened;
-            }
+        break;
+      case TokenKind.END_TAG:
+        if (token.name === "html") {
+          if (this.contextElement) {
+            this.unexpectedEndTag(token);
+            return;
           }
+          this.closeSpan(this.openElements[0], token, true);
+          this.mode = M.AFTER_AFTER_BODY;
+          return;
         }
         break;
-      }
-      case TokenKind.END_TAG: {
-        if (
-          token.name === "menuitem" &&
-          stack[stack.length - 1]?.name !== "menuitem" &&
-          stack[stack.length - 1]?.name === "p" &&
-          findOpenElement(stack, "menuitem") >= 0
-        ) {
-          break;
+      case TokenKind.EOF:
+        this.stopParsing(token);
+        return;
+      default:
+        break;
+    }
+    this.afterBodyAnythingElse(token);
+  }
+
+  afterBodyAnythingElse(token) {
+    this.parseError("unexpected-content-after-body", token, "Unexpected content after </body>");
+    this.mode = M.IN_BODY;
+    this.reprocess(token);
+  }
+
+  inFramesetMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT:
+        this.insertFramesetWhitespace(token);
+        return;
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        switch (token.name) {
+          case "html":
+            this.inBodyMode(token);
+            return;
+          case "frameset":
+            this.insertHTMLElement(token);
+            return;
+          case "frame":
+            this.insertHTMLElement(token);
+            this.popElement();
+            this.acknowledgeSelfClosing();
+            return;
+          case "noframes":
+            this.inHeadMode(token);
+            return;
+          default:
+            this.unexpectedStartTag(token);
+            return;
         }
-        if (!fragment && isHeadNoscriptContext(stack)) {
-          if (token.name === "noscript") {
-            stack.length = Math.max(1, stack.length - 1);
-            break;
-          }
-          if (token.name === "p") {
-            break;
+      case TokenKind.END_TAG:
+        if (token.name === "frameset") {
+          if (this.openElements.length === 1) {
+            this.unexpectedEndTag(token);
+            return;
           }
-          if (token.name === "br") {
-            closeHeadNoscriptContext(stack);
+          this.popElement();
+          if (!this.contextElement && !isHTML(this.currentNode, "frameset")) {
+            this.mode = M.AFTER_FRAMESET;
           }
+          return;
         }
-        if (fragment) {
-          const topNamespace = stack[stack.length - 1]?.namespace;
-          if ((token.name === "p" || token.name === "br") && topNamespace !== "html") {
-            let poppedForeign = false;
-            while (stack.length > 1 && stack[stack.length - 1]?.namespace !== "html") {
-              poppedForeign = true;
-              stack.pop();
-            }
-            const synthetic = createElement(token.name, {}, "html");
-            root.appendChild(synthetic);
-            if (poppedForeign) {
-              fragmentRootNamespaceOverride = "html";
-            }
-            break;
-          }
+        this.unexpectedEndTag(token);
+        return;
+      case TokenKind.EOF:
+        if (this.openElements.length !== 1) {
+          this.eofError(this.currentNode, token);
         }
-        const foundIndex = TABLE_END_TAGS.has(token.name)
-          ? findOpenElementInNamespace(stack, token.name, "html")
-          : findOpenElement(stack, token.name);
-        if (foundIndex < 0) {
-          if (token.name === "form") {
-            break;
-          }
-          if (token.name === "br") {
-            const parent = currentNode(stack, root, bodyElement);
-            parent.appendChild(createElement("br", {}, inferNamespace("br", parent, "html", {})));
-            break;
-          }
-          pushTreeError(errors, collectErrors, "unexpected-end-tag", `Unexpected </${token.name}> end tag`, token.pos, html);
-          break;
+        this.stopParsing(token);
+        return;
+      default:
+        return;
+    }
+  }
+
+  afterFramesetMode(token) {
+    switch (token.kind) {
+      case TokenKind.TEXT:
+        this.insertFramesetWhitespace(token);
+        return;
+      case TokenKind.COMMENT:
+        this.insertComment(token);
+        return;
+      case TokenKind.DOCTYPE:
+        this.unexpectedDoctype(token);
+        return;
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
         }
-        if (hasForeignContentAbove(stack, foundIndex)) {
-          stack.length = foundIndex;
-          if (token.name === "body" || token.name === "html") {
-            afterBody = true;
-          }
-          break;
+        if (token.name === "noframes") {
+          this.inHeadMode(token);
+          return;
         }
-        if (token.name === "b" && tryHoistTrailingAsideFromFormatting(stack, foundIndex)) {
-          break;
+        this.unexpectedStartTag(token);
+        return;
+      case TokenKind.END_TAG:
+        if (token.name === "html") {
+          this.closeSpan(this.openElements[0], token, true);
+          this.mode = M.AFTER_AFTER_FRAMESET;
+          return;
         }
-        if (token.name === "p") {
-          const pNode = stack[foundIndex];
-          const parent = pNode.parent;
-          const above = stack.slice(foundIndex + 1).filter((node) => FORMATTING_TAGS.has(node.name));
-          stack.length = foundIndex;
-          if (parent && above.length) {
-            let prev = pNode;
-            let currentParent = parent;
-            for (const source of above) {
-              const clone = createElement(source.name, { ...(source.attrs || {}) });
-              insertAfter(currentParent, clone, prev);
-              stack.push(clone);
-              currentParent = clone;
-              prev = clone;
-            }
-          }
-          break;
+        this.unexpectedEndTag(token);
+        return;
+      case TokenKind.EOF:
+        this.stopParsing(token);
+        return;
+      default:
+        return;
+    }
+  }
+
+  insertFramesetWhitespace(token) {
+    const whitespace = token.data.replace(/[^\t\n\f\r ]/g, "");
+    if (whitespace.length !== token.data.length) {
+      this.parseError("unexpected-character-in-frameset", token, "Unexpected text in frameset");
+    }
+    if (whitespace) {
+      this.insertText({ ...token, data: whitespace });
+    }
+  }
+
+  afterAfterBodyMode(token) {
+    switch (token.kind) {
+      case TokenKind.COMMENT:
+        this.insertComment(token, this.document);
+        return;
+      case TokenKind.DOCTYPE:
+        this.inBodyMode(token);
+        return;
+      case TokenKind.TEXT: {
+        const { whitespace, rest } = this.splitWhitespace(token);
+        if (whitespace) {
+          this.inBodyMode(whitespace);
         }
-        if (FORMATTING_TAGS.has(token.name)) {
-          if (tryFormattingSplitRecovery(stack, foundIndex)) {
-            break;
-          }
-          if (tryMisnestedFormattingRecovery(stack, foundIndex)) {
-            break;
-          }
+        if (rest) {
+          this.afterBodyAnythingElse(rest);
         }
-        if (!FORMATTING_TAGS.has(token.name) && token.name !== "p" && foundIndex >= 1) {
-          const aboveFormatting = stack.slice(foundIndex + 1).filter((node) => FORMATTING_TAGS.has(node.name));
-          if (aboveFormatting.length && stack[foundIndex].parent) {
-            let prev = stack[foundIndex];
-            let container = stack[foundIndex].parent;
-            const reopened = [];
-            for (const source of aboveFormatting) {
-              const clone = createElement(source.name, { ...(source.attrs || {}) }, "html");
-              insertAfter(container, clone, prev);
-              reopened.push(clone);
-              prev = clone;
-              container = clone;
-            }
-            stack.length = foundIndex;
-            for (const clone of reopened) {
-              stack.push(clone);
-            }
-            break;
-          }
+        return;
+      }
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
         }
-        if ((token.name === "html" || token.name === "body") && stack.length > foundIndex + 1) {
-          afterBody = true;
-          break;
+        break;
+      case TokenKind.EOF:
+        this.stopParsing(token);
+        return;
+      default:
+        break;
+    }
+    this.afterBodyAnythingElse(token);
+  }
+
+  afterAfterFramesetMode(token) {
+    switch (token.kind) {
+      case TokenKind.COMMENT:
+        this.insertComment(token, this.document);
+        return;
+      case TokenKind.DOCTYPE:
+        this.inBodyMode(token);
+        return;
+      case TokenKind.TEXT: {
+        const whitespace = token.data.replace(/[^\t\n\f\r ]/g, "");
+        if (whitespace) {
+          this.inBodyMode({ ...token, data: whitespace });
         }
-        stack.length = foundIndex;
-        if (token.name === "body" || token.name === "html") {
-          afterBody = true;
+        if (whitespace.length !== token.data.length) {
+          this.parseError("unexpected-character-in-frameset", token, "Unexpected text after frameset");
         }
-        break;
+        return;
       }
+      case TokenKind.START_TAG:
+        if (token.name === "html") {
+          this.inBodyMode(token);
+          return;
+        }
+        if (token.name === "noframes") {
+          this.inHeadMode(token);
+          return;
+        }
+        this.unexpectedStartTag(token);
+        return;
+      case TokenKind.EOF:
+        this.stopParsing(token);
+        return;
       default:
-        break;
+        this.unexpectedEndTag(token);
+        return;
     }
   }
 
-  if (collectErrors) {
-    for (let i = stack.length - 1; i >= 1; i -= 1) {
-      const node = stack[i];
-      if (node.name.startsWith("#") || node.name === "!doctype") {
-        continue;
+  processForeignContent(token) {
+    if (token.kind === TokenKind.TEXT) {
+      let data = token.data;
+      if (data.includes("\0")) {
+        this.parseError("unexpected-null-character", token, "Unexpected NULL character");
+        data = data.replaceAll("\0", "\ufffd");
       }
-      if (node.name === "html" || node.name === "head" || node.name === "body") {
-        continue;
+      this.insertText({ ...token, data });
+      if (/[^\t\n\f\r \ufffd]/.test(data)) {
+        this.framesetOk = false;
       }
-      pushTreeError(errors, true, "expected-closing-tag-but-got-eof", `Expected closing tag for <${node.name}> before EOF`, null, html);
+      return;
+    }
+    if (token.kind === TokenKind.COMMENT) {
+      this.insertComment(token);
+      return;
+    }
+    if (token.kind === TokenKind.DOCTYPE) {
+      this.unexpectedDoctype(token);
+      return;
     }
-  }
 
-  if (!fragment) {
-    ensureScaffold(root, () => ({ documentElement, headElement, bodyElement }), (next) => {
-      documentElement = next.documentElement;
-      headElement = next.headElement;
-      bodyElement = next.bodyElement;
-    });
-  }
-  fillSelectedContent(root);
-  return { root, errors };
-}
+    const breaksOut = token.kind === TokenKind.START_TAG
+      ? FOREIGN_BREAKOUT_TAGS.has(token.name) || (token.name === "font" && ["color", "face", "size"].some((key) => hasOwn(token.attrs, key)))
+      : token.name === "br" || token.name === "p";
+    if (breaksOut) {
+      if (token.kind === TokenKind.START_TAG) {
+        this.unexpectedStartTag(token);
+      } else {
+        this.unexpectedEndTag(token);
+      }
+      while (
+        this.currentNode.namespace !== "html" &&
+        !isMathMLTextIntegrationPoint(this.currentNode) &&
+        !isHTMLIntegrationPoint(this.currentNode)
+      ) {
+        this.popElement();
+      }
+      this.processInMode(this.mode, token);
+      return;
+    }
 
-function createElement(name, attrs, namespace = "html") {
-  if (name === "template") {
-    return new Template(name, attrs || {}, namespace);
-  }
-  return new Element(name, attrs || {}, namespace);
-}
+    if (token.kind === TokenKind.START_TAG) {
+      const namespace = this.adjustedCurrentNode.namespace;
+      this.insertForeignElement(token, namespace);
+      if (token.selfClosing) {
+        this.popElement();
+        this.acknowledgeSelfClosing();
+      }
+      return;
+    }
 
-function ensureScaffold(root, getState, setState) {
-  const state = getState();
-  let { documentElement, headElement, bodyElement } = state;
+    if (token.name === "script" && this.currentNode.namespace === "svg" && this.currentNode.name === "script") {
+      this.popElement();
+      return;
+    }
 
-  if (!documentElement) {
-    documentElement = new Element("html", {}, "html");
-    root.appendChild(documentElement);
-  }
-  if (!headElement) {
-    headElement = new Element("head", {}, "html");
-    documentElement.appendChild(headElement);
-  }
-  const hasFrameset = documentElement.children.some((child) => child?.name === "frameset");
-  if (!bodyElement && !hasFrameset) {
-    bodyElement = new Element("body", {}, "html");
-    documentElement.appendChild(bodyElement);
+    let index = this.openElements.length - 1;
+    let node = this.openElements[index];
+    if (node.name !== token.name) {
+      this.unexpectedEndTag(token);
+    }
+    while (index > 0) {
+      if (node.name === token.name) {
+        this.truncateStack(index);
+        return;
+      }
+      index -= 1;
+      node = this.openElements[index];
+      if (node.namespace === "html") {
+        this.processInMode(this.mode, token);
+        return;
+      }
+    }
   }
 
-  setState({ documentElement, headElement, bodyElement });
-}
+  stopParsing(token) {
+    this.reportUnclosedElements(token);
+    this.truncateStack(0);
+  }
 
-function chooseParent(stack, bodyElement, headElement, tagName) {
-  const current = stack[stack.length - 1] || currentNode(stack, null, bodyElement);
-  if (current.name === "html") {
-    if (HEAD_TAGS.has(tagName) && bodyElement && bodyElement.children.length === 0) {
-      return headElement || current;
+  reportUnclosedElements(token) {
+    if (!this.collectErrors) {
+      return;
+    }
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      const node = this.openElements[i];
+      if (node.namespace === "html" && EOF_ALLOWED_OPEN.has(node.name)) {
+        continue;
+      }
+      this.eofError(node, token);
     }
-    return bodyElement || current;
-  }
-  if (current.name === "head" && !HEAD_TAGS.has(tagName)) {
-    stack.pop();
-    return bodyElement || current;
   }
-  return current;
-}
 
-function currentNode(stack, fallbackRoot, bodyElement = null) {
-  if (stack.length > 1) {
-    const top = stack[stack.length - 1];
-    if (top && top.name === "html" && bodyElement) {
-      return bodyElement;
-    }
-    return stack[stack.length - 1];
+  eofError(node, token) {
+    this.parseError("expected-closing-tag-but-got-eof", { ...token, pos: null }, `Expected closing tag for <${node.name}> before EOF`);
   }
-  if (bodyElement) {
-    return bodyElement;
+
+  parseRawText(token, state) {
+    this.insertHTMLElement(token);
+    this.tokenizer.state = state;
+    this.originalMode = this.mode;
+    this.mode = M.TEXT;
   }
-  return fallbackRoot || stack[0];
-}
 
-function findOpenElement(stack, name) {
-  for (let i = stack.length - 1; i >= 1; i -= 1) {
-    if (stack[i] && stack[i].name === name) {
-      return i;
+  resetInsertionMode() {
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      let node = this.openElements[i];
+      const last = i === 0;
+      if (last && this.contextElement) {
+        node = this.contextElement;
+      }
+      if (node.namespace !== "html") {
+        if (last) {
+          this.mode = M.IN_BODY;
+          return;
+        }
+        continue;
+      }
+      switch (node.name) {
+        case "select":
+          if (!last) {
+            for (let j = i - 1; j > 0; j -= 1) {
+              const ancestor = this.openElements[j];
+              if (isHTML(ancestor, "template")) {
+                break;
+              }
+              if (isHTML(ancestor, "table")) {
+                this.mode = M.IN_SELECT_IN_TABLE;
+                return;
+              }
+            }
+          }
+          this.mode = M.IN_SELECT;
+          return;
+        case "td":
+        case "th":
+          if (!last) {
+            this.mode = M.IN_CELL;
+            return;
+          }
+          break;
+        case "tr":
+          this.mode = M.IN_ROW;
+          return;
+        case "tbody":
+        case "thead":
+        case "tfoot":
+          this.mode = M.IN_TABLE_BODY;
+          return;
+        case "caption":
+          this.mode = M.IN_CAPTION;
+          return;
+        case "colgroup":
+          this.mode = M.IN_COLUMN_GROUP;
+          return;
+        case "table":
+          this.mode = M.IN_TABLE;
+          return;
+        case "template":
+          this.mode = this.templateModes[this.templateModes.length - 1];
+          return;
+        case "head":
+          if (!last) {
+            this.mode = M.IN_HEAD;
+            return;
+          }
+          break;
+        case "body":
+          this.mode = M.IN_BODY;
+          return;
+        case "frameset":
+          this.mode = M.IN_FRAMESET;
+          return;
+        case "html":
+          this.mode = this.headElement ? M.AFTER_HEAD : M.BEFORE_HEAD;
+          return;
+        default:
+          break;
+      }
+      if (last) {
+        this.mode = M.IN_BODY;
+        return;
+      }
     }
   }
-  return -1;
-}
 
-function findOpenElementInNamespace(stack, name, namespace) {
-  for (let i = stack.length - 1; i >= 1; i -= 1) {
-    if (stack[i] && stack[i].name === name && (stack[i].namespace || "html") === namespace) {
-      return i;
+  appropriatePlace(overrideTarget = null) {
+    const target = overrideTarget || this.currentNode;
+    let parent = target;
+    let before = null;
+
+    if (this.fosterParenting && target.namespace === "html" && TABLE_FOSTER_TARGETS.has(target.name)) {
+      const lastTemplate = this.findLastOpen("template");
+      const lastTable = this.findLastOpen("table");
+      if (lastTemplate >= 0 && (lastTable < 0 || lastTemplate > lastTable)) {
+        parent = this.openElements[lastTemplate];
+      } else if (lastTable < 0) {
+        parent = this.openElements[0];
+      } else {
+        const table = this.openElements[lastTable];
+        if (table.parent) {
+          parent = table.parent;
+          before = table;
+        } else {
+          parent = this.openElements[lastTable - 1];
+        }
+      }
     }
-  }
-  return -1;
-}
 
-function ensureDocumentOnStack(stack, documentElement) {
-  if (!documentElement) {
-    return;
-  }
-  if (stack.length < 2) {
-    stack.push(documentElement);
-    return;
+    if (isHTML(parent, "template") && parent.templateContent) {
+      parent = parent.templateContent;
+    }
+    return { parent, before };
   }
-  stack[1] = documentElement;
-}
 
-function tryMisnestedFormattingRecovery(stack, formattingIndex) {
-  if (formattingIndex < 1 || formattingIndex >= stack.length - 1) {
-    return false;
+  insertNodeAt(node, { parent, before }) {
+    if (before) {
+      parent.insertBefore(node, before);
+    } else {
+      parent.appendChild(node);
+    }
   }
 
-  const formatting = stack[formattingIndex];
-  const above = stack.slice(formattingIndex + 1);
-  if (!above.length || above.every((node) => FORMATTING_TAGS.has(node.name))) {
-    return false;
+  createElementForToken(token, namespace, cloned = false) {
+    const element = createElement(token.name, { ...token.attrs }, namespace);
+    this.setLocation(element, token, cloned ? this.currentToken?.pos : null);
+    return element;
   }
 
-  const pivot = above.find((node) => !FORMATTING_TAGS.has(node.name));
-  if (!pivot || !pivot.parent || !formatting.parent) {
-    return false;
+  insertForeignElement(token, namespace, cloned = false) {
+    const place = this.appropriatePlace();
+    const element = this.createElementForToken(token, namespace, cloned);
+    this.insertNodeAt(element, place);
+    this.openElements.push(element);
+    return element;
   }
 
-  const pivotIdx = above.indexOf(pivot);
-  let formattingPrefix = above.slice(0, pivotIdx).filter((node) => FORMATTING_TAGS.has(node.name));
-  if (formattingPrefix.length > 1 && formattingPrefix[0].name !== formattingPrefix[1].name) {
-    formattingPrefix = formattingPrefix.slice(1);
+  insertHTMLElement(token) {
+    return this.insertForeignElement(token, "html");
   }
-  const trailingOpen = above.slice(pivotIdx + 1).filter((node) => !FORMATTING_TAGS.has(node.name));
 
-  const originalPivotParent = pivot.parent;
-  originalPivotParent.removeChild(pivot);
-
-  let insertionPoint = formatting;
-  let reopenParent = formatting.parent;
-  const reopenedPrefix = [];
-  for (const source of formattingPrefix) {
-    const clone = createElement(source.name, { ...(source.attrs || {}) });
-    insertAfter(reopenParent, clone, insertionPoint);
-    reopenedPrefix.push(clone);
-    reopenParent = clone;
-    insertionPoint = clone;
-  }
-  if (reopenedPrefix.length) {
-    reopenParent.appendChild(pivot);
-  } else {
-    insertAfter(reopenParent, pivot, formatting);
+  insertText(token) {
+    if (!token.data) {
+      return;
+    }
+    const place = this.appropriatePlace();
+    if (place.parent === this.document) {
+      return;
+    }
+    const text = new Text(token.data);
+    this.setLocation(text, token);
+    this.insertNodeAt(text, place);
+    if (this.trackNodeLocations && !text.parent) {
+      extendMergedTextSpan(place, text.originSpan);
+    }
   }
 
-  const formattingClone = createElement(formatting.name, { ...(formatting.attrs || {}) });
-  const childrenToWrap = [];
-  for (const child of pivot.children) {
-    if (isInlineLikeNode(child)) {
-      childrenToWrap.push(child);
-      continue;
+  insertComment(token, parent = null) {
+    const comment = new Comment(token.data);
+    this.setLocation(comment, token);
+    if (parent) {
+      parent.appendChild(comment);
+      return;
     }
-    break;
-  }
-  for (const child of childrenToWrap) {
-    pivot.removeChild(child);
-    formattingClone.appendChild(child);
-  }
-  if (childrenToWrap.length || formatting.name === "a" || formatting.name === "i") {
-    pivot.insertBefore(formattingClone, pivot.children[0] || null);
-  }
-  if (formatting.name === "a") {
-    sprinkleFormattingOnBlockDescendants(pivot, formatting.name, formatting.attrs || {});
+    this.insertNodeAt(comment, this.appropriatePlace());
   }
 
-  stack.length = formattingIndex;
-  for (const clone of reopenedPrefix) {
-    stack.push(clone);
+  acknowledgeSelfClosing() {
+    this.selfClosingAcknowledged = true;
   }
-  stack.push(pivot);
-  for (const node of trailingOpen) {
-    stack.push(node);
+
+  hasOpenElement(name) {
+    return this.findLastOpen(name) >= 0;
   }
-  return true;
-}
 
-function tryFormattingSplitRecovery(stack, formattingIndex) {
-  if (formattingIndex < 1 || formattingIndex >= stack.length - 1) {
-    return false;
+  findLastOpen(name) {
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      if (isHTML(this.openElements[i], name)) {
+        return i;
+      }
+    }
+    return -1;
   }
-  const formatting = stack[formattingIndex];
-  const above = stack.slice(formattingIndex + 1);
-  if (!above.length || !above.every((node) => FORMATTING_TAGS.has(node.name))) {
+
+  hasElementInScope(target, scope = DEFAULT_SCOPE_HTML) {
+    const matches = typeof target === "string"
+      ? (node) => isHTML(node, target)
+      : (node) => node.namespace === "html" && (Array.isArray(target) ? target.includes(node.name) : target.has(node.name));
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      const node = this.openElements[i];
+      if (matches(node)) {
+        return true;
+      }
+      if (isScopeBoundary(node, scope)) {
+        return false;
+      }
+    }
     return false;
   }
-  if (!formatting.parent) {
+
+  hasNodeInScope(target) {
+    for (let i = this.openElements.length - 1; i >= 0; i -= 1) {
+      const node = this.openElements[i];
+      if (node === target) {
+        return true;
+      }
+      if (isScopeBoundary(node, DEFAULT_SCOPE_HTML)) {
+        return false;
+      }
+    }
     return false;
   }
 
-  const parent = formatting.parent;
-  let reopenParent = null;
-  const reopened = [];
-
-  for (let i = 0; i < above.length; i += 1) {
-    const source = above[i];
-    const clone = createElement(source.name, { ...(source.attrs || {}) });
-    if (i === 0) {
-      insertAfter(parent, clone, formatting);
-    } else {
-      reopenParent.appendChild(clone);
+  popUntilTag(name) {
+    while (this.openElements.length) {
+      const node = this.popElement();
+      if (isHTML(node, name)) {
+        return;
+      }
     }
-    reopened.push(clone);
-    reopenParent = clone;
   }
 
-  stack.length = formattingIndex;
-  for (const node of reopened) {
-    stack.push(node);
+  removeFromStack(node) {
+    const index = this.openElements.lastIndexOf(node);
+    if (index >= 0) {
+      this.noteClosed(node);
+      this.openElements.splice(index, 1);
+    }
   }
-  return true;
-}
 
-function alignStackForParent(stack, parent, documentElement, headElement, bodyElement) {
-  if (!parent) {
-    return;
-  }
-  if (parent === bodyElement) {
-    ensureDocumentOnStack(stack, documentElement);
-    stack.length = 2;
-    stack.push(bodyElement);
-    return;
+  clearStackBackTo(names) {
+    while (this.currentNode && !(this.currentNode.namespace === "html" && names.has(this.currentNode.name))) {
+      this.popElement();
+    }
   }
-  if (parent === headElement) {
-    ensureDocumentOnStack(stack, documentElement);
-    stack.length = 2;
-    stack.push(headElement);
-    return;
+
+  generateImpliedEndTags(except = null, thorough = false) {
+    const names = thorough ? IMPLIED_END_TAGS_THOROUGH : IMPLIED_END_TAGS;
+    while (this.currentNode && this.currentNode.namespace === "html" && names.has(this.currentNode.name) && this.currentNode.name !== except) {
+      this.popElement();
+    }
   }
-}
 
-function insertAfter(parent, node, referenceNode) {
-  const idx = parent.children.indexOf(referenceNode);
-  if (idx < 0 || idx + 1 >= parent.children.length) {
-    parent.appendChild(node);
-    return;
+  closePInButtonScope() {
+    if (this.hasElementInScope("p", BUTTON_SCOPE_HTML)) {
+      this.closePElement();
+    }
   }
-  parent.insertBefore(node, parent.children[idx + 1]);
-}
 
-function shouldFosterParentText(stack) {
-  const top = stack[stack.length - 1];
-  if (!top) {
-    return false;
+  closePElement() {
+    this.generateImpliedEndTags("p");
+    if (!isHTML(this.currentNode, "p")) {
+      this.parseError("end-tag-too-early", null, "Unclosed elements inside <p>");
+    }
+    this.popUntilTag("p");
   }
-  return top.name === "table" || top.name === "tbody" || top.name === "thead" || top.name === "tfoot" || top.name === "tr";
-}
 
-function shouldFosterParentElement(stack, tagName) {
-  const top = stack[stack.length - 1];
-  if (!top || top.name !== "table") {
-    return false;
+  findActiveFormattingEntry(name) {
+    for (let i = this.activeFormatting.length - 1; i >= 0; i -= 1) {
+      const entry = this.activeFormatting[i];
+      if (entry === MARKER) {
+        return null;
+      }
+      if (entry.element.name === name) {
+        return entry;
+      }
+    }
+    return null;
   }
-  if (
-    tagName === "caption" ||
-    tagName === "colgroup" ||
-    tagName === "tbody" ||
-    tagName === "tfoot" ||
-    tagName === "thead" ||
-    tagName === "tr" ||
-    tagName === "td" ||
-    tagName === "th"
-  ) {
-    return false;
+
+  findActiveFormattingElement(name) {
+    return this.findActiveFormattingEntry(name)?.element || null;
   }
-  return true;
-}
 
-function fosterParentInsert(node, stack, bodyElement) {
-  const tableIndex = findNearestIndex(stack, "table");
-  if (tableIndex < 0) {
-    if (bodyElement) {
-      bodyElement.appendChild(node);
+  removeActiveFormattingElement(element) {
+    const index = this.activeFormatting.findIndex((entry) => entry && entry.element === element);
+    if (index >= 0) {
+      this.activeFormatting.splice(index, 1);
     }
-    return;
   }
-  const table = stack[tableIndex];
-  const parent = table.parent || bodyElement;
-  if (!parent) {
-    return;
+
+  pushActiveFormattingElement(element, token) {
+    let matching = 0;
+    let earliest = -1;
+    for (let i = this.activeFormatting.length - 1; i >= 0; i -= 1) {
+      const entry = this.activeFormatting[i];
+      if (entry === MARKER) {
+        break;
+      }
+      if (entry.element.name === element.name && entry.element.namespace === element.namespace && sameAttributes(entry.token.attrs, token.attrs)) {
+        matching += 1;
+        earliest = i;
+      }
+    }
+    if (matching >= 3) {
+      this.activeFormatting.splice(earliest, 1);
+    }
+    this.activeFormatting.push({ element, token });
   }
 
-  if (node.name === "#text") {
-    const tablePos = parent.children.indexOf(table);
-    const prevSibling = tablePos > 0 ? parent.children[tablePos - 1] : null;
-    if (prevSibling && prevSibling.name === "a") {
-      const aClone = createElement("a", { ...(prevSibling.attrs || {}) });
-      aClone.appendChild(node);
-      parent.insertBefore(aClone, table);
+  reconstructActiveFormattingElements() {
+    const list = this.activeFormatting;
+    if (!list.length) {
+      return;
+    }
+    const lastEntry = list[list.length - 1];
+    if (lastEntry === MARKER || this.openElements.includes(lastEntry.element)) {
       return;
     }
+    let index = list.length - 1;
+    while (index > 0) {
+      const entry = list[index - 1];
+      if (entry === MARKER || this.openElements.includes(entry.element)) {
+        break;
+      }
+      index -= 1;
+    }
+    for (; index < list.length; index += 1) {
+      const entry = list[index];
+      const element = this.insertForeignElement(entry.token, "html", true);
+      list[index] = { element, token: entry.token };
+    }
   }
 
-  parent.insertBefore(node, table);
-}
-
-function ensureTableCellContext(stack, bodyElement) {
-  const trIndex = findNearestIndex(stack, "tr");
-  if (trIndex >= 0) {
-    stack.length = trIndex + 1;
-    return;
-  }
-  const tableIndex = findNearestIndex(stack, "table");
-  if (tableIndex < 0) {
-    return;
-  }
-  const table = stack[tableIndex];
-  let tbody = null;
-  for (let i = table.children.length - 1; i >= 0; i -= 1) {
-    const child = table.children[i];
-    if (child.name === "tbody") {
-      tbody = child;
-      break;
+  clearActiveFormattingToMarker() {
+    while (this.activeFormatting.length) {
+      if (this.activeFormatting.pop() === MARKER) {
+        return;
+      }
     }
   }
-  if (!tbody) {
-    tbody = new Element("tbody", {}, "html");
-    table.appendChild(tbody);
-  }
-  const tr = new Element("tr", {}, "html");
-  tbody.appendChild(tr);
-  stack.length = tableIndex + 1;
-  stack.push(tbody);
-  stack.push(tr);
-  if (bodyElement && table.parent == null) {
-    bodyElement.appendChild(table);
-  }
-}
 
-function ensureTableRowContext(stack, bodyElement) {
-  const tableIndex = findNearestIndex(stack, "table");
-  if (tableIndex < 0) {
-    return;
-  }
-  const top = stack[stack.length - 1];
-  if (top && (top.name === "tbody" || top.name === "thead" || top.name === "tfoot")) {
-    return;
-  }
-  const table = stack[tableIndex];
-  let tbody = null;
-  for (let i = table.children.length - 1; i >= 0; i -= 1) {
-    const child = table.children[i];
-    if (child.name === "tbody" || child.name === "thead" || child.name === "tfoot") {
-      tbody = child;
-      break;
+  setLocation(node, token, contentAt = null) {
+    if (!this.trackNodeLocations || token?.pos == null) {
+      return;
+    }
+    maybeSetLocation(node, token.pos, this.tokenizer.lineIndex, true);
+    if (node.name === "#text" || node.name === "#comment" || node.name === "!doctype") {
+      node.originSpan = { start: token.pos, end: token.end ?? token.pos };
+      return;
+    }
+    const startTag = token.end == null ? null : { start: token.pos, end: token.end };
+    const contentStart = contentAt ?? (startTag ? startTag.end : token.pos);
+    node.originSpan = {
+      start: token.pos,
+      end: contentStart,
+      startTag,
+      endTag: null,
+      endTagImplied: false,
+      content: { start: contentStart, end: contentStart },
+      attrs: startTag ? { ...token.attrSpans } : {}
+    };
+  }
+
+  recordClosedElements(token) {
+    const closed = this.closedElements;
+    this.closedElements = [];
+    let matched = -1;
+    if (token.kind === TokenKind.END_TAG) {
+      matched = closed.findIndex((node) => node.name === token.name && !node.originSpan?.endTag);
+    }
+    for (let i = 0; i < closed.length; i += 1) {
+      this.closeSpan(closed[i], token, i === matched);
     }
   }
-  if (!tbody) {
-    tbody = new Element("tbody", {}, "html");
-    table.appendChild(tbody);
-  }
-  stack.length = tableIndex + 1;
-  stack.push(tbody);
-  if (bodyElement && table.parent == null) {
-    bodyElement.appendChild(table);
-  }
-}
 
-function applySelectStartTagHeuristics(tagName, stack) {
-  const selectIndex = findNearestIndex(stack, "select");
-  if (selectIndex < 0) {
-    return;
+  popElement() {
+    const node = this.openElements.pop();
+    this.noteClosed(node);
+    return node;
   }
 
-  const optionIndex = findNearestIndex(stack, "option");
-  const optgroupIndex = findNearestIndex(stack, "optgroup");
+  truncateStack(length) {
+    while (this.openElements.length > length) {
+      this.popElement();
+    }
+  }
 
-  if (tagName === "option") {
-    if (optionIndex > selectIndex) {
-      stack.length = optionIndex;
+  noteClosed(node) {
+    if (this.trackNodeLocations && node) {
+      this.closedElements.push(node);
     }
-    return;
   }
 
-  if (tagName === "optgroup") {
-    if (optionIndex > selectIndex) {
-      stack.length = optionIndex;
+  closeSpan(node, token, closedByToken) {
+    const span = node?.originSpan;
+    if (!span || span.endTag) {
+      return;
     }
-    if (optgroupIndex > selectIndex) {
-      stack.length = Math.min(stack.length, optgroupIndex);
+    span.content.end = token.pos;
+    if (closedByToken) {
+      span.endTag = { start: token.pos, end: token.end };
+      span.endTagImplied = false;
+      span.end = token.end;
+      return;
     }
-    return;
+    span.endTagImplied = true;
+    span.end = token.pos;
   }
 
-  if (tagName === "hr") {
-    if (optionIndex > selectIndex) {
-      stack.length = optionIndex;
+  sourceOffsetAfter(start, text) {
+    let offset = start;
+    for (let i = 0; i < text.length; i += 1) {
+      offset += this.tokenizer.sourceCharAt(offset) === "\r" && this.tokenizer.sourceCharAt(offset + 1) === "\n" ? 2 : 1;
     }
-    if (optgroupIndex > selectIndex) {
-      stack.length = Math.min(stack.length, optgroupIndex);
-    }
-    return;
+    return offset;
   }
 
-  if (tagName === "input" || tagName === "keygen" || tagName === "textarea") {
-    stack.length = selectIndex;
-    return;
+  unexpectedDoctype(token) {
+    this.parseError("unexpected-doctype", token, "Unexpected doctype");
   }
 
-  if (tagName === "select") {
-    stack.length = selectIndex;
-    return;
+  unexpectedStartTag(token) {
+    this.parseError("unexpected-start-tag", token, `Unexpected <${token.name}> start tag`);
   }
 
-  if (
-    tagName === "table" ||
-    tagName === "tbody" ||
-    tagName === "thead" ||
-    tagName === "tfoot" ||
-    tagName === "tr" ||
-    tagName === "td" ||
-    tagName === "th" ||
-    tagName === "caption" ||
-    tagName === "col" ||
-    tagName === "colgroup"
-  ) {
-    stack.length = selectIndex;
+  unexpectedEndTag(token) {
+    this.parseError("unexpected-end-tag", token, `Unexpected </${token.name}> end tag`);
   }
-}
 
-function findNearestIndex(stack, name) {
-  for (let i = stack.length - 1; i >= 0; i -= 1) {
-    if (stack[i] && stack[i].name === name) {
-      return i;
-    }
+  parseError(code, token, message) {
+    pushTreeError(this.errors, this.collectErrors, code, message, token?.pos ?? null, this.tokenizer.lineIndex);
   }
-  return -1;
 }
 
-function inferNamespace(tagName, parent, defaultNamespace = "html", attrs = {}) {
-  if (tagName === "svg") {
-    return "svg";
-  }
-  if (tagName === "math") {
-    return "math";
-  }
-  if (tagName === "mglyph" || tagName === "malignmark") {
-    return "math";
-  }
-  if (defaultNamespace !== "html") {
-    if (FOREIGN_BREAKOUT_TAGS.has(tagName)) {
-      return "html";
-    }
-    if (tagName === "font" && (attrs.color != null || attrs.face != null || attrs.size != null)) {
-      return "html";
-    }
+export function buildTree(html, options = {}) {
+  const builder = new TreeBuilder(options);
+  builder.write(html);
+  return builder.end();
+}
+
+function doctypeQuirksMode(token) {
+  if (token.forceQuirks || token.name !== "html") {
+    return "quirks";
   }
-  if (parent && parent.namespace && parent.namespace !== "html") {
-    if (FOREIGN_BREAKOUT_TAGS.has(tagName)) {
-      return "html";
-    }
-    if (tagName === "font") {
-      if (attrs.color != null || attrs.face != null || attrs.size != null) {
-        return "html";
-      }
+  const publicId = token.publicId == null ? null : token.publicId.toLowerCase();
+  const systemId = token.systemId == null ? null : token.systemId.toLowerCase();
+  if (publicId != null) {
+    if (QUIRKS_PUBLIC_IDS.has(publicId) || QUIRKS_PUBLIC_ID_PREFIXES.some((prefix) => publicId.startsWith(prefix))) {
+      return "quirks";
     }
-    if (parent.name === "foreignobject") {
-      return "html";
+    if (QUIRKS_IF_NO_SYSTEM_ID_PREFIXES.some((prefix) => publicId.startsWith(prefix))) {
+      return systemId == null ? "quirks" : "limited-quirks";
     }
-    if (parent.namespace === "svg" && (parent.name === "desc" || parent.name === "title")) {
-      return "html";
+    if (LIMITED_QUIRKS_PUBLIC_ID_PREFIXES.some((prefix) => publicId.startsWith(prefix))) {
+      return "limited-quirks";
     }
-    return parent.namespace;
   }
-  return defaultNamespace || "html";
+  if (systemId === QUIRKS_SYSTEM_ID) {
+    return "quirks";
+  }
+  return "no-quirks";
 }
 
-function fragmentDefaultNamespace(namespace, contextTag) {
-  if (namespace === "svg") {
-    if (contextTag === "foreignobject" || contextTag === "desc" || contextTag === "title") {
-      return "html";
-    }
-    return "svg";
-  }
-  if (namespace === "math") {
-    if (contextTag === "mi" || contextTag === "mo" || contextTag === "mn" || contextTag === "ms" || contextTag === "mtext") {
-      return "html";
-    }
-    return "math";
-  }
-  return "html";
+function syntheticStartTag(name, token) {
+  return { kind: TokenKind.START_TAG, name, attrs: {}, selfClosing: false, pos: token?.pos ?? null };
 }
 
-function hasForeignContentAbove(stack, index) {
-  for (let i = stack.length - 1; i > index; i -= 1) {
-    const ns = stack[i]?.namespace;
-    if (ns && ns !== "html") {
-      return true;
-    }
+function createElement(name, attrs, namespace = "html") {
+  if (name === "template") {
+    return new Template(name, attrs || {}, namespace);
   }
-  return false;
+  return new Element(name, attrs || {}, namespace);
+}
+
+function isHTML(node, name) {
+  return Boolean(node) && node.namespace === "html" && node.name === name;
 }
 
-function findFosterParent(stack, bodyElement) {
-  const tableIndex = findNearestIndex(stack, "table");
-  if (tableIndex > 0) {
-    const table = stack[tableIndex];
-    return table.parent || bodyElement || stack[0];
+export function isSpecial(node) {
+  if (node.namespace === "html") {
+    return SPECIAL_HTML.has(node.name);
   }
-  return bodyElement || stack[0];
+  if (node.namespace === "math") {
+    return SPECIAL_MATH.has(node.name);
+  }
+  return node.namespace === "svg" && SPECIAL_SVG.has(node.name);
 }
 
-function isInlineLikeNode(node) {
-  if (!node || typeof node.name !== "string") {
+function isScopeBoundary(node, scope) {
+  if (scope === SELECT_SCOPE) {
+    return !(node.namespace === "html" && (node.name === "optgroup" || node.name === "option"));
+  }
+  if (node.namespace === "html") {
+    return scope.has(node.name);
+  }
+  if (scope === TABLE_SCOPE_HTML) {
     return false;
   }
-  if (node.name.startsWith("#")) {
-    return true;
+  if (node.namespace === "math") {
+    return SPECIAL_MATH.has(node.name);
   }
-  return FORMATTING_TAGS.has(node.name);
+  return node.namespace === "svg" && SPECIAL_SVG.has(node.name);
 }
 
-function sprinkleFormattingOnBlockDescendants(rootNode, formattingName, formattingAttrs) {
-  for (const child of rootNode.children) {
-    if (!child || child.name.startsWith("#") || FORMATTING_TAGS.has(child.name)) {
-      continue;
-    }
-    if (child.namespace && child.namespace !== "html") {
-      continue;
-    }
-    if (!child.children.length) {
-      continue;
-    }
-    if (
-      child.children.length === 1 &&
-      !isInlineLikeNode(child.children[0]) &&
-      child.children[0].children &&
-      child.children[0].children.length === 0
-    ) {
-      continue;
-    }
-    const clone = createElement(formattingName, { ...formattingAttrs }, "html");
-    child.insertBefore(clone, child.children[0] || null);
-    const leading = [];
-    for (const grandChild of child.children) {
-      if (grandChild === clone) {
-        continue;
-      }
-      if (isInlineLikeNode(grandChild)) {
-        leading.push(grandChild);
-        continue;
-      }
-      break;
-    }
-    for (const item of leading) {
-      child.removeChild(item);
-      clone.appendChild(item);
-    }
-    if (!clone.children.length && child.children.length === 1 && !isInlineLikeNode(child.children[0])) {
-      const only = child.children[0];
-      child.removeChild(only);
-      clone.appendChild(only);
-    }
-    const rest = child.children.filter((node) => node !== clone);
-    if (
-      !clone.children.length &&
-      rest.length === 1 &&
-      !isInlineLikeNode(rest[0]) &&
-      rest[0].children &&
-      rest[0].children.length === 1 &&
-      rest[0].children[0].children &&
-      rest[0].children[0].children.length === 0
-    ) {
-      child.removeChild(rest[0]);
-      clone.appendChild(rest[0]);
+function isMathMLTextIntegrationPoint(node) {
+  return node.namespace === "math" && (node.name === "mi" || node.name === "mo" || node.name === "mn" || node.name === "ms" || node.name === "mtext");
+}
+
+function isHTMLIntegrationPoint(node) {
+  if (node.namespace === "math" && node.name === "annotation-xml") {
+    const encoding = String(node.attrs?.encoding || "").toLowerCase();
+    return encoding === "text/html" || encoding === "application/xhtml+xml";
+  }
+  return node.namespace === "svg" && SPECIAL_SVG.has(node.name);
+}
+
+function isHiddenInput(token) {
+  return hasOwn(token.attrs, "type") && String(token.attrs.type).toLowerCase() === "hidden";
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object || {}, key);
+}
+
+function mergeMissingAttributes(element, attrs) {
+  for (const [key, value] of Object.entries(attrs || {})) {
+    if (!hasOwn(element.attrs, key)) {
+      element.attrs[key] = value;
     }
-    sprinkleFormattingOnBlockDescendants(child, formattingName, formattingAttrs);
   }
 }
 
-function tryHoistTrailingAsideFromFormatting(stack, formattingIndex) {
-  if (formattingIndex < 1 || formattingIndex >= stack.length - 1) {
+function sameAttributes(a, b) {
+  const aKeys = Object.keys(a || {});
+  const bKeys = Object.keys(b || {});
+  if (aKeys.length !== bKeys.length) {
     return false;
   }
-  const formatting = stack[formattingIndex];
-  const tail = stack[stack.length - 1];
-  if (!tail || tail.name !== "aside" || !tail.parent || !formatting.parent) {
-    return false;
+  return aKeys.every((key) => hasOwn(b, key) && b[key] === a[key]);
+}
+
+function extendMergedTextSpan({ parent, before }, span) {
+  const siblings = (parent.templateContent || parent).children;
+  const index = before ? siblings.indexOf(before) : siblings.length;
+  const merged = [siblings[index - 1], siblings[index]].find((node) => node?.name === "#text" && node.originSpan);
+  if (!merged) {
+    return;
   }
-  tail.parent.removeChild(tail);
-  insertAfter(formatting.parent, tail, formatting);
-  const reopened = createElement("b", { ...(formatting.attrs || {}) }, "html");
-  tail.insertBefore(reopened, tail.children[0] || null);
-  stack.length = formattingIndex;
-  return true;
+  merged.originSpan.start = Math.min(merged.originSpan.start, span.start);
+  merged.originSpan.end = Math.max(merged.originSpan.end, span.end);
 }
 
-function maybeSetLocation(node, offset, html, enabled) {
+function detach(node) {
+  if (node.parent) {
+    node.parent.removeChild(node);
+  }
+}
+
+function maybeSetLocation(node, offset, lineIndex, enabled) {
   if (!enabled || offset == null) {
     return;
   }
-  const { line, column } = toLineCol(html, offset);
+  const { line, column } = lineIndex.positionAt(offset);
   node.originOffset = offset;
   node.originLine = line;
   node.originCol = column;
 }
 
-function pushTreeError(errors, collectErrors, code, message, offset, html) {
+function pushTreeError(errors, collectErrors, code, message, offset, lineIndex) {
   if (!collectErrors) {
     return;
   }
-  const position = offset == null ? { line: null, column: null } : toLineCol(html, offset);
+  const position = offset == null ? { line: null, column: null } : lineIndex.positionAt(offset);
   errors.push(new ParseError(message, { category: "treebuilder", code, line: position.line, column: position.column }));
 }
 
-function toLineCol(text, offset) {
-  const chunk = text.slice(0, Math.max(0, offset));
-  const parts = chunk.split("\n");
-  return {
-    line: parts.length,
-    column: parts[parts.length - 1].length + 1
-  };
-}
-
-const TABLE_END_TAGS = new Set(["table", "tbody", "thead", "tfoot", "tr", "td", "th", "caption", "colgroup"]);
-const SVG_TITLE_IGNORED_TAGS = new Set(["table", "tbody", "thead", "tfoot", "tr", "td", "th"]);
-
-function isHeadNoscriptContext(stack) {
-  if (!stack.length || stack[stack.length - 1]?.name !== "noscript") {
-    return false;
-  }
-  for (let i = stack.length - 2; i >= 0; i -= 1) {
-    if (stack[i]?.name === "head") {
-      return true;
-    }
-    if (stack[i]?.name === "html") {
-      return false;
-    }
-  }
-  return false;
-}
-
-function closeHeadNoscriptContext(stack) {
-  while (stack.length > 1) {
-    const top = stack[stack.length - 1];
-    if (top?.name === "noscript" || top?.name === "head") {
-      stack.pop();
-      continue;
-    }
-    break;
-  }
-}
-
-function fillSelectedContent(root) {
+export function fillSelectedContent(root) {
   const stack = [root];
   while (stack.length) {
     const node = stack.pop();
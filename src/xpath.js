@@ -0,0 +1,1219 @@
+import { NAMESPACES } from "./constants.js";
+import { XPathError } from "./errors.js";
+import { resolveNamespaces, splitAttributeName } from "./selector.js";
+
+const AXES = new Set([
+  "ancestor",
+  "ancestor-or-self",
+  "attribute",
+  "child",
+  "descendant",
+  "descendant-or-self",
+  "following",
+  "following-sibling",
+  "namespace",
+  "parent",
+  "preceding",
+  "preceding-sibling",
+  "self"
+]);
+const REVERSE_AXES = new Set(["ancestor", "ancestor-or-self", "preceding", "preceding-sibling"]);
+const NODE_TYPES = new Set(["comment", "text", "processing-instruction", "node"]);
+const OPERATOR_NAMES = new Set(["and", "or", "mod", "div"]);
+const NON_OPERATOR_PRECEDERS = new Set(["@", "::", "(", "[", ","]);
+const XPATH_WHITESPACE = /^[ \t\n\r]*/;
+const XPATH_NUMBER = /^[ \t\n\r]*-?(?:\d+(?:\.\d*)?|\.\d+)[ \t\n\r]*$/;
+const NCNAME = /^[A-Za-z_\u00c0-\uffff][A-Za-z0-9_.\-\u00b7\u00c0-\uffff]*/;
+const NUMBER = /^(?:\d+(?:\.\d*)?|\.\d+)/;
+
+const FUNCTIONS = new Map([
+  ["last", { min: 0, max: 0, call: (state, context) => context.size }],
+  ["position", { min: 0, max: 0, call: (state, context) => context.position }],
+  ["count", { min: 1, max: 1, nodeSets: [0], call: (state, context, [nodes]) => nodes.length }],
+  ["id", { min: 1, max: 1, call: (state, context, [value]) => state.elementsById(context.node, value) }],
+  ["local-name", { min: 0, max: 1, nodeSets: [0], call: (state, context, args) => localName(firstNode(args, context)) }],
+  ["namespace-uri", { min: 0, max: 1, nodeSets: [0], call: (state, context, args) => namespaceURI(firstNode(args, context)) }],
+  ["name", { min: 0, max: 1, nodeSets: [0], call: (state, context, args) => qualifiedName(firstNode(args, context)) }],
+  ["string", { min: 0, max: 1, call: (state, context, args) => (args.length ? toXPathString(args[0]) : stringValue(context.node)) }],
+  ["concat", { min: 2, max: Infinity, call: (state, context, args) => args.map(toXPathString).join("") }],
+  ["starts-with", { min: 2, max: 2, call: (state, context, [a, b]) => toXPathString(a).startsWith(toXPathString(b)) }],
+  ["contains", { min: 2, max: 2, call: (state, context, [a, b]) => toXPathString(a).includes(toXPathString(b)) }],
+  ["substring-before", { min: 2, max: 2, call: (state, context, [a, b]) => substringBefore(toXPathString(a), toXPathString(b)) }],
+  ["substring-after", { min: 2, max: 2, call: (state, context, [a, b]) => substringAfter(toXPathString(a), toXPathString(b)) }],
+  ["substring", { min: 2, max: 3, call: (state, context, args) => substring(...args) }],
+  [
+    "string-length",
+    { min: 0, max: 1, call: (state, context, args) => [...(args.length ? toXPathString(args[0]) : stringValue(context.node))].length }
+  ],
+  [
+    "normalize-space",
+    {
+      min: 0,
+      max: 1,
+      call: (state, context, args) => (args.length ? toXPathString(args[0]) : stringValue(context.node)).replace(/[ \t\n\r]+/g, " ").trim()
+    }
+  ],
+  ["translate", { min: 3, max: 3, call: (state, context, args) => translate(...args.map(toXPathString)) }],
+  ["boolean", { min: 1, max: 1, lazy: true, call: (state, context, [expr]) => state.evaluateBoolean(expr, context) }],
+  ["not", { min: 1, max: 1, lazy: true, call: (state, context, [expr]) => !state.evaluateBoolean(expr, context) }],
+  ["true", { min: 0, max: 0, call: () => true }],
+  ["false", { min: 0, max: 0, call: () => false }],
+  ["lang", { min: 1, max: 1, call: (state, context, [value]) => matchesLang(context.node, toXPathString(value)) }],
+  ["number", { min: 0, max: 1, call: (state, context, args) => toXPathNumber(args.length ? args[0] : stringValue(context.node)) }],
+  ["sum", { min: 1, max: 1, nodeSets: [0], call: (state, context, [nodes]) => nodes.reduce((total, node) => total + toXPathNumber(stringValue(node)), 0) }],
+  ["floor", { min: 1, max: 1, call: (state, context, [value]) => Math.floor(toXPathNumber(value)) }],
+  ["ceiling", { min: 1, max: 1, call: (state, context, [value]) => Math.ceil(toXPathNumber(value)) }],
+  ["round", { min: 1, max: 1, call: (state, context, [value]) => roundNumber(toXPathNumber(value)) }]
+]);
+
+export class AttributeNode {
+  constructor(ownerElement, key) {
+    const [namespace, local] = splitAttributeName(ownerElement, key);
+    this.name = key;
+    this.localName = local;
+    this.namespace = namespace;
+    this.value = String(ownerElement.attrs[key] ?? "");
+    this.ownerElement = ownerElement;
+    this.parent = ownerElement;
+  }
+
+  toText() {
+    return this.value;
+  }
+}
+
+export class NamespaceNode {
+  constructor(ownerElement, prefix, uri) {
+    this.prefix = prefix;
+    this.uri = uri;
+    this.ownerElement = ownerElement;
+    this.parent = ownerElement;
+  }
+
+  toText() {
+    return this.uri;
+  }
+}
+
+export function evaluateXPath(expression, contextNode, { namespaces = null, variables = {} } = {}) {
+  if (!contextNode || typeof contextNode.name !== "string") {
+    throw new TypeError("xpath() expects a node as the context node");
+  }
+  const ast = new XPathParser(expression, namespaces).parse();
+  const state = new XPathEvaluation(String(expression ?? ""), contextNode, variables);
+  return state.evaluate(ast, { node: contextNode, position: 1, size: 1 });
+}
+
+class XPathParser {
+  constructor(expression, namespaces) {
+    this.text = String(expression ?? "");
+    this.namespaces = resolveNamespaces(namespaces);
+    this.tokens = tokenizeXPath(this.text);
+    this.index = 0;
+  }
+
+  parse() {
+    if (this.peek().type === "eof") {
+      this.fail("Empty expression");
+    }
+    const expr = this.parseOr();
+    if (this.peek().type !== "eof") {
+      this.fail(`Unexpected "${this.peek().text}"`);
+    }
+    return expr;
+  }
+
+  parseOr() {
+    return this.parseBinary(["or"], () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseBinary(["and"], () => this.parseEquality());
+  }
+
+  parseEquality() {
+    return this.parseBinary(["=", "!="], () => this.parseRelational());
+  }
+
+  parseRelational() {
+    return this.parseBinary(["<", "<=", ">", ">="], () => this.parseAdditive());
+  }
+
+  parseAdditive() {
+    return this.parseBinary(["+", "-"], () => this.parseMultiplicative());
+  }
+
+  parseMultiplicative() {
+    return this.parseBinary(["*", "div", "mod"], () => this.parseUnary());
+  }
+
+  parseBinary(operators, parseOperand) {
+    let left = parseOperand();
+    while (this.peek().type === "operator" && operators.includes(this.peek().value)) {
+      const { value, pos } = this.next();
+      left = { type: "binary", op: value, left, right: parseOperand(), pos };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === "operator" && token.value === "-") {
+      this.next();
+      return { type: "negate", expr: this.parseUnary(), pos: token.pos };
+    }
+    return this.parseUnion();
+  }
+
+  parseUnion() {
+    let left = this.parsePath();
+    while (this.isOperator("|")) {
+      const { pos } = this.next();
+      left = { type: "union", left, right: this.parsePath(), pos };
+    }
+    return left;
+  }
+
+  parsePath() {
+    const token = this.peek();
+    if (this.startsFilter()) {
+      const filter = this.parseFilter();
+      if (!this.isOperator("/") && !this.isOperator("//")) {
+        return filter;
+      }
+      return { type: "path", absolute: false, filter, steps: this.parseRelativePath(true), pos: token.pos };
+    }
+    if (this.isOperator("/")) {
+      this.next();
+      const steps = this.startsStep() ? this.parseRelativePath(false) : [];
+      return { type: "path", absolute: true, filter: null, steps, pos: token.pos };
+    }
+    if (this.isOperator("//")) {
+      return { type: "path", absolute: true, filter: null, steps: this.parseRelativePath(true), pos: token.pos };
+    }
+    if (!this.startsStep()) {
+      this.fail(token.type === "eof" ? "Expected an expression" : `Unexpected "${token.text}"`);
+    }
+    return { type: "path", absolute: false, filter: null, steps: this.parseRelativePath(false), pos: token.pos };
+  }
+
+  parseRelativePath(leadingSeparator) {
+    const steps = [];
+    let separator = leadingSeparator ? this.next().value : "/";
+    while (true) {
+      const step = this.parseStep();
+      if (separator === "//") {
+        if (step.axis === "child" && !step.predicates.length) {
+          steps.push({ ...step, axis: "descendant" });
+        } else {
+          steps.push({ axis: "descendant-or-self", test: { kind: "node" }, predicates: [] }, step);
+        }
+      } else {
+        steps.push(step);
+      }
+      if (!this.isOperator("/") && !this.isOperator("//")) {
+        return steps;
+      }
+      separator = this.next().value;
+    }
+  }
+
+  parseStep() {
+    const token = this.peek();
+    if (token.type === "symbol" && (token.value === "." || token.value === "..")) {
+      this.next();
+      return { axis: token.value === "." ? "self" : "parent", test: { kind: "node" }, predicates: [] };
+    }
+    let axis = "child";
+    if (token.type === "symbol" && token.value === "@") {
+      this.next();
+      axis = "attribute";
+    } else if (token.type === "name" && this.peek(1).value === "::") {
+      if (token.prefix !== null || !AXES.has(token.local)) {
+        this.fail(`Unknown axis "${token.text}"`);
+      }
+      axis = token.local;
+      this.next();
+      this.next();
+    }
+    return { axis, test: this.parseNodeTest(), predicates: this.parsePredicates() };
+  }
+
+  parseNodeTest() {
+    const token = this.peek();
+    if (token.type !== "name") {
+      this.fail(token.type === "eof" ? "Expected a node test" : `Unexpected "${token.text}"`);
+    }
+    this.next();
+    if (token.prefix === null && NODE_TYPES.has(token.local) && this.isSymbol("(")) {
+      this.next();
+      let target = null;
+      if (token.local === "processing-instruction" && this.peek().type === "literal") {
+        target = this.next().value;
+      }
+      this.expectSymbol(")");
+      return { kind: token.local, target };
+    }
+    let namespace = null;
+    if (token.prefix !== null) {
+      namespace = this.namespaces.get(token.prefix);
+      if (namespace === undefined) {
+        this.fail(`Undeclared namespace prefix "${token.prefix}"`, { offset: token.pos, token: token.prefix });
+      }
+    }
+    return { kind: "name", prefixed: token.prefix !== null, namespace, local: token.local === "*" ? "*" : token.local.toLowerCase() };
+  }
+
+  parsePredicates() {
+    const predicates = [];
+    while (this.isSymbol("[")) {
+      this.next();
+      predicates.push(this.parseOr());
+      this.expectSymbol("]");
+    }
+    return predicates;
+  }
+
+  parseFilter() {
+    const primary = this.parsePrimary();
+    const predicates = this.parsePredicates();
+    return predicates.length ? { type: "filter", expr: primary, predicates, pos: primary.pos } : primary;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case "literal":
+        return { type: "literal", value: token.value, pos: token.pos };
+      case "number":
+        return { type: "number", value: token.value, pos: token.pos };
+      case "variable":
+        return { type: "variable", name: token.value, pos: token.pos };
+      case "symbol": {
+        const expr = this.parseOr();
+        this.expectSymbol(")");
+        return expr;
+      }
+      default:
+        return this.parseFunctionCall(token);
+    }
+  }
+
+  parseFunctionCall(token) {
+    const definition = token.prefix === null ? FUNCTIONS.get(token.local) : undefined;
+    if (!definition) {
+      this.fail(`Unknown function ${token.text}()`, { offset: token.pos, token: token.text });
+    }
+    this.expectSymbol("(");
+    const args = [];
+    if (!this.isSymbol(")")) {
+      args.push(this.parseOr());
+      while (this.isSymbol(",")) {
+        this.next();
+        args.push(this.parseOr());
+      }
+    }
+    this.expectSymbol(")");
+    if (args.length < definition.min || args.length > definition.max) {
+      this.fail(`Wrong number of arguments for ${token.local}()`, { offset: token.pos, token: token.text });
+    }
+    return { type: "call", name: token.local, definition, args, pos: token.pos };
+  }
+
+  startsFilter() {
+    const token = this.peek();
+    if (token.type === "literal" || token.type === "number" || token.type === "variable") {
+      return true;
+    }
+    if (token.type === "symbol") {
+      return token.value === "(";
+    }
+    return token.type === "name" && token.local !== "*" && this.peek(1).value === "(" && this.peek(1).type === "symbol" &&
+      !(token.prefix === null && NODE_TYPES.has(token.local));
+  }
+
+  startsStep() {
+    const token = this.peek();
+    return token.type === "name" || (token.type === "symbol" && (token.value === "." || token.value === ".." || token.value === "@"));
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === "operator" && token.value === value;
+  }
+
+  isSymbol(value) {
+    const token = this.peek();
+    return token.type === "symbol" && token.value === value;
+  }
+
+  expectSymbol(value) {
+    if (!this.isSymbol(value)) {
+      this.fail(`Expected "${value}"`);
+    }
+    return this.next();
+  }
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.index + ahead, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    this.index = Math.min(this.index + 1, this.tokens.length - 1);
+    return token;
+  }
+
+  fail(reason, { offset = this.peek().pos, token = this.peek().text } = {}) {
+    throw new XPathError(reason, { expression: this.text, offset, token });
+  }
+}
+
+class XPathEvaluation {
+  constructor(expression, contextNode, variables) {
+    this.expression = expression;
+    this.root = rootOf(contextNode);
+    this.variables = variables instanceof Map ? variables : new Map(Object.entries(variables || {}));
+    this.attributeNodes = new Map();
+    this.namespaceNodes = new Map();
+    this.siblingLists = new Map();
+    this.order = null;
+  }
+
+  evaluate(expr, context) {
+    switch (expr.type) {
+      case "literal":
+      case "number":
+        return expr.value;
+      case "variable": {
+        if (!this.variables.has(expr.name)) {
+          this.fail(`Undefined variable $${expr.name}`, expr);
+        }
+        const value = this.variables.get(expr.name);
+        return Array.isArray(value) ? this.sortNodes(value) : value;
+      }
+      case "negate":
+        return -toXPathNumber(this.evaluate(expr.expr, context));
+      case "binary":
+        return this.evaluateBinary(expr, context);
+      case "union": {
+        const left = this.evaluate(expr.left, context);
+        const right = this.evaluate(expr.right, context);
+        if (!Array.isArray(left) || !Array.isArray(right)) {
+          this.fail("Both sides of | must be node-sets", expr);
+        }
+        return this.sortNodes([...left, ...right]);
+      }
+      case "call": {
+        if (expr.definition.lazy) {
+          return expr.definition.call(this, context, expr.args);
+        }
+        const args = expr.args.map((arg) => this.evaluate(arg, context));
+        for (const index of expr.definition.nodeSets || []) {
+          if (index < args.length && !Array.isArray(args[index])) {
+            this.fail(`${expr.name}() expects a node-set`, expr);
+          }
+        }
+        return expr.definition.call(this, context, args);
+      }
+      case "filter": {
+        const nodes = this.evaluate(expr.expr, context);
+        if (!Array.isArray(nodes)) {
+          this.fail("Predicates can only filter node-sets", expr);
+        }
+        return this.applyPredicates(nodes, expr.predicates);
+      }
+      case "path":
+        return this.evaluatePath(expr, context);
+      default:
+        throw new Error(`Unknown XPath expression type: ${expr.type}`);
+    }
+  }
+
+  evaluateBinary(expr, context) {
+    const { op } = expr;
+    if (op === "or") {
+      return this.evaluateBoolean(expr.left, context) || this.evaluateBoolean(expr.right, context);
+    }
+    if (op === "and") {
+      return this.evaluateBoolean(expr.left, context) && this.evaluateBoolean(expr.right, context);
+    }
+    const left = this.evaluate(expr.left, context);
+    const right = this.evaluate(expr.right, context);
+    switch (op) {
+      case "+":
+        return toXPathNumber(left) + toXPathNumber(right);
+      case "-":
+        return toXPathNumber(left) - toXPathNumber(right);
+      case "*":
+        return toXPathNumber(left) * toXPathNumber(right);
+      case "div":
+        return toXPathNumber(left) / toXPathNumber(right);
+      case "mod":
+        return toXPathNumber(left) % toXPathNumber(right);
+      default:
+        return compareValues(op, left, right);
+    }
+  }
+
+  evaluateBoolean(expr, context) {
+    if (expr.type === "path") {
+      const visited = expr.steps.map(() => new Set());
+      return this.pathStart(expr, context).some((node) => this.reachesPathEnd(node, expr.steps, 0, visited));
+    }
+    return toXPathBoolean(this.evaluate(expr, context));
+  }
+
+  reachesPathEnd(node, steps, index, visited) {
+    if (index === steps.length) {
+      return true;
+    }
+    if (visited[index].has(node)) {
+      return false;
+    }
+    visited[index].add(node);
+    for (const next of this.stepNodes(node, steps[index])) {
+      if (this.reachesPathEnd(next, steps, index + 1, visited)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  pathStart(expr, context) {
+    if (!expr.filter) {
+      return [expr.absolute ? rootOf(context.node) : context.node];
+    }
+    const nodes = this.evaluate(expr.filter, context);
+    if (!Array.isArray(nodes)) {
+      this.fail("Location steps can only follow node-sets", expr);
+    }
+    return nodes;
+  }
+
+  evaluatePath(expr, context) {
+    let nodes = this.pathStart(expr, context);
+    for (const step of expr.steps) {
+      const next = [];
+      for (const node of this.stepContexts(nodes, step)) {
+        for (const selected of this.stepNodes(node, step)) {
+          next.push(selected);
+        }
+      }
+      nodes = nodes.length > 1 || REVERSE_AXES.has(step.axis) ? this.sortNodes(next) : next;
+    }
+    return nodes;
+  }
+
+  stepContexts(nodes, step) {
+    if (nodes.length < 2 || step.predicates.length) {
+      return nodes;
+    }
+    if (step.axis === "preceding") {
+      return [nodes[nodes.length - 1]];
+    }
+    if (step.axis !== "descendant" && step.axis !== "descendant-or-self") {
+      return nodes;
+    }
+    const kept = new Set();
+    for (const node of nodes) {
+      const kind = nodeKind(node);
+      let covered = false;
+      for (let ancestor = node.parent; ancestor && !covered && kind !== "attribute" && kind !== "namespace"; ancestor = ancestor.parent) {
+        covered = kept.has(ancestor);
+      }
+      if (!covered) {
+        kept.add(node);
+      }
+    }
+    return [...kept];
+  }
+
+  stepNodes(node, step) {
+    const [first, ...rest] = step.predicates;
+    if (!first) {
+      return this.testedNodes(node, step);
+    }
+    if (usesContextSize(first)) {
+      return this.applyPredicates([...this.testedNodes(node, step)], step.predicates);
+    }
+    const selected = [];
+    const limit = positionLimit(first);
+    let position = 0;
+    for (const candidate of this.testedNodes(node, step)) {
+      position += 1;
+      if (this.matchesPredicate(first, candidate, position, null)) {
+        selected.push(candidate);
+      }
+      if (position >= limit) {
+        break;
+      }
+    }
+    return this.applyPredicates(selected, rest);
+  }
+
+  *testedNodes(node, step) {
+    for (const candidate of this.axisNodes(node, step.axis)) {
+      if (matchesNodeTest(candidate, step.test, step.axis)) {
+        yield candidate;
+      }
+    }
+  }
+
+  applyPredicates(nodes, predicates) {
+    let current = nodes;
+    for (const predicate of predicates) {
+      if (predicate.type === "number") {
+        const node = current[predicate.value - 1];
+        current = node ? [node] : [];
+        continue;
+      }
+      const size = current.length;
+      current = current.filter((node, index) => this.matchesPredicate(predicate, node, index + 1, size));
+    }
+    return current;
+  }
+
+  matchesPredicate(predicate, node, position, size) {
+    if (predicate.type === "path") {
+      return this.evaluateBoolean(predicate, { node, position, size });
+    }
+    const value = this.evaluate(predicate, { node, position, size });
+    return typeof value === "number" ? value === position : toXPathBoolean(value);
+  }
+
+  *axisNodes(node, axis) {
+    const kind = nodeKind(node);
+    const owner = kind === "attribute" || kind === "namespace" ? node.ownerElement : null;
+    switch (axis) {
+      case "self":
+        yield node;
+        return;
+      case "child":
+        yield* childNodes(node);
+        return;
+      case "descendant":
+        yield* descendantsOf(node);
+        return;
+      case "descendant-or-self":
+        yield node;
+        yield* descendantsOf(node);
+        return;
+      case "parent":
+        if (node.parent && kind !== "root") {
+          yield node.parent;
+        }
+        return;
+      case "ancestor":
+        yield* ancestorsOf(node);
+        return;
+      case "ancestor-or-self":
+        yield node;
+        yield* ancestorsOf(node);
+        return;
+      case "following-sibling":
+        if (!owner) {
+          yield* this.siblingNodes(node, 1);
+        }
+        return;
+      case "preceding-sibling":
+        if (!owner) {
+          yield* this.siblingNodes(node, -1);
+        }
+        return;
+      case "following":
+        if (owner) {
+          yield* descendantsOf(owner);
+        }
+        for (let current = owner || node; current && nodeKind(current) !== "root"; current = current.parent) {
+          for (const sibling of this.siblingNodes(current, 1)) {
+            yield sibling;
+            yield* descendantsOf(sibling);
+          }
+        }
+        return;
+      case "preceding":
+        for (let current = owner || node; current && nodeKind(current) !== "root"; current = current.parent) {
+          for (const sibling of this.siblingNodes(current, -1)) {
+            yield* descendantNodes(sibling, [sibling]).reverse();
+          }
+        }
+        return;
+      case "attribute":
+        if (kind === "element") {
+          yield* this.attributesOf(node);
+        }
+        return;
+      case "namespace":
+        if (kind === "element") {
+          yield* this.namespacesOf(node);
+        }
+        return;
+      default:
+    }
+  }
+
+  *siblingNodes(node, direction) {
+    const parent = node.parent;
+    if (!parent) {
+      return;
+    }
+    let siblings = this.siblingLists.get(parent);
+    if (!siblings) {
+      const nodes = childNodes(parent);
+      siblings = { nodes, positions: new Map(nodes.map((child, index) => [child, index])) };
+      this.siblingLists.set(parent, siblings);
+    }
+    const index = siblings.positions.get(node);
+    if (index === undefined) {
+      return;
+    }
+    for (let i = index + direction; i >= 0 && i < siblings.nodes.length; i += direction) {
+      yield siblings.nodes[i];
+    }
+  }
+
+  attributesOf(element) {
+    let nodes = this.attributeNodes.get(element);
+    if (!nodes) {
+      nodes = Object.keys(element.attrs || {}).map((key) => new AttributeNode(element, key));
+      this.attributeNodes.set(element, nodes);
+    }
+    return nodes;
+  }
+
+  namespacesOf(element) {
+    let nodes = this.namespaceNodes.get(element);
+    if (!nodes) {
+      nodes = [new NamespaceNode(element, "xml", NAMESPACES.xml)];
+      if (element.namespace && NAMESPACES[element.namespace]) {
+        nodes.push(new NamespaceNode(element, "", NAMESPACES[element.namespace]));
+      }
+      this.namespaceNodes.set(element, nodes);
+    }
+    return nodes;
+  }
+
+  elementsById(contextNode, value) {
+    const ids = new Set();
+    for (const item of Array.isArray(value) ? value.map(stringValue) : [toXPathString(value)]) {
+      for (const id of item.split(/[ \t\n\r]+/)) {
+        if (id) {
+          ids.add(id);
+        }
+      }
+    }
+    const out = [];
+    const seen = new Set();
+    for (const node of descendantNodes(rootOf(contextNode), [])) {
+      const id = nodeKind(node) === "element" ? node.attrs?.id : undefined;
+      if (id !== undefined && ids.has(id) && !seen.has(id)) {
+        seen.add(id);
+        out.push(node);
+      }
+    }
+    return out;
+  }
+
+  sortNodes(nodes) {
+    const unique = [...new Set(nodes)];
+    if (unique.length < 2) {
+      return unique;
+    }
+    if (!this.order) {
+      this.order = new Map();
+      for (const node of descendantNodes(this.root, [this.root])) {
+        this.order.set(node, this.order.size);
+      }
+    }
+    return unique.sort((a, b) => this.orderOf(a) - this.orderOf(b));
+  }
+
+  orderOf(node) {
+    const kind = nodeKind(node);
+    if (kind === "attribute" || kind === "namespace") {
+      const owner = node.ownerElement;
+      const siblings = kind === "attribute" ? this.attributesOf(owner) : this.namespacesOf(owner);
+      const offset = kind === "attribute" ? this.namespacesOf(owner).length : 0;
+      return this.orderOf(owner) + (offset + siblings.indexOf(node) + 1) / (offset + siblings.length + 2);
+    }
+    return this.order.get(node) ?? Infinity;
+  }
+
+  fail(reason, expr) {
+    throw new XPathError(reason, { expression: this.expression, offset: expr.pos ?? 0, token: "" });
+  }
+}
+
+function tokenizeXPath(text) {
+  const tokens = [];
+  let pos = 0;
+  const fail = (reason, offset, token = text.charAt(offset)) => {
+    throw new XPathError(reason, { expression: text, offset, token });
+  };
+  const push = (type, value, start, extra = {}) => {
+    tokens.push({ type, value, pos: start, text: text.slice(start, pos), ...extra });
+  };
+  while (true) {
+    pos += XPATH_WHITESPACE.exec(text.slice(pos))[0].length;
+    if (pos >= text.length) {
+      break;
+    }
+    const start = pos;
+    const rest = text.slice(pos);
+    const previous = tokens[tokens.length - 1];
+    const operatorExpected = Boolean(previous) && previous.type !== "operator" &&
+      !(previous.type === "symbol" && NON_OPERATOR_PRECEDERS.has(previous.value));
+    const ch = rest[0];
+
+    if (ch === '"' || ch === "'") {
+      const end = text.indexOf(ch, pos + 1);
+      if (end === -1) {
+        fail("Unterminated string literal", start);
+      }
+      pos = end + 1;
+      push("literal", text.slice(start + 1, end), start);
+    } else if (NUMBER.test(rest)) {
+      const match = NUMBER.exec(rest)[0];
+      pos += match.length;
+      push("number", Number(match), start);
+    } else if (rest.startsWith("..") || rest.startsWith("::")) {
+      pos += 2;
+      push("symbol", rest.slice(0, 2), start);
+    } else if ("()[].@,".includes(ch)) {
+      pos += 1;
+      push("symbol", ch, start);
+    } else if (rest.startsWith("//") || rest.startsWith("!=") || rest.startsWith("<=") || rest.startsWith(">=")) {
+      pos += 2;
+      push("operator", rest.slice(0, 2), start);
+    } else if ("/|+-=<>".includes(ch)) {
+      pos += 1;
+      push("operator", ch, start);
+    } else if (ch === "*") {
+      pos += 1;
+      if (operatorExpected) {
+        push("operator", "*", start);
+      } else {
+        push("name", "*", start, { prefix: null, local: "*" });
+      }
+    } else if (ch === "$") {
+      pos += 1;
+      const name = readQName(text, pos);
+      if (!name || name.local === "*") {
+        fail("Expected a variable name", pos);
+      }
+      pos += name.length;
+      push("variable", name.prefix === null ? name.local : `${name.prefix}:${name.local}`, start);
+    } else if (NCNAME.test(rest)) {
+      if (operatorExpected) {
+        const word = NCNAME.exec(rest)[0];
+        if (!OPERATOR_NAMES.has(word)) {
+          fail(`Expected an operator but found "${word}"`, start, word);
+        }
+        pos += word.length;
+        push("operator", word, start);
+        continue;
+      }
+      const name = readQName(text, pos);
+      pos += name.length;
+      push("name", name.prefix === null ? name.local : `${name.prefix}:${name.local}`, start, { prefix: name.prefix, local: name.local });
+    } else {
+      fail(`Unexpected "${ch}"`, start);
+    }
+  }
+  tokens.push({ type: "eof", value: null, pos: text.length, text: "" });
+  return tokens;
+}
+
+function readQName(text, pos) {
+  const first = NCNAME.exec(text.slice(pos));
+  if (!first) {
+    return null;
+  }
+  let length = first[0].length;
+  if (text[pos + length] === ":" && text[pos + length + 1] !== ":") {
+    const rest = text.slice(pos + length + 1);
+    if (rest[0] === "*") {
+      return { prefix: first[0], local: "*", length: length + 2 };
+    }
+    const local = NCNAME.exec(rest);
+    if (local) {
+      return { prefix: first[0], local: local[0], length: length + 1 + local[0].length };
+    }
+  }
+  return { prefix: null, local: first[0], length };
+}
+
+function nodeKind(node) {
+  if (node instanceof AttributeNode) {
+    return "attribute";
+  }
+  if (node instanceof NamespaceNode) {
+    return "namespace";
+  }
+  switch (node.name) {
+    case "#document":
+    case "#document-fragment":
+      return "root";
+    case "#text":
+      return "text";
+    case "#comment":
+      return "comment";
+    case "!doctype":
+      return "doctype";
+    default:
+      return "element";
+  }
+}
+
+function matchesNodeTest(node, test, axis) {
+  const kind = nodeKind(node);
+  switch (test.kind) {
+    case "node":
+      return true;
+    case "text":
+    case "comment":
+      return kind === test.kind;
+    case "processing-instruction":
+      return false;
+    default:
+      break;
+  }
+  const principal = axis === "attribute" ? "attribute" : axis === "namespace" ? "namespace" : "element";
+  if (kind !== principal) {
+    return false;
+  }
+  if (kind === "namespace") {
+    return !test.prefixed && (test.local === "*" || test.local === node.prefix);
+  }
+  const name = kind === "attribute" ? node.localName : node.name;
+  if (test.local !== "*" && name.toLowerCase() !== test.local) {
+    return false;
+  }
+  const namespace = node.namespace ?? null;
+  if (test.prefixed) {
+    return namespace === test.namespace;
+  }
+  if (test.local === "*") {
+    return true;
+  }
+  return kind === "attribute" ? namespace === null : namespace === null || namespace === "html";
+}
+
+function childNodes(node) {
+  const kind = nodeKind(node);
+  if (kind !== "root" && kind !== "element") {
+    return [];
+  }
+  return node.children.filter((child) => nodeKind(child) !== "doctype");
+}
+
+function* descendantsOf(node) {
+  const stack = [...childNodes(node)].reverse();
+  while (stack.length) {
+    const current = stack.pop();
+    yield current;
+    const children = childNodes(current);
+    for (let i = children.length - 1; i >= 0; i -= 1) {
+      stack.push(children[i]);
+    }
+  }
+}
+
+function descendantNodes(node, out) {
+  for (const descendant of descendantsOf(node)) {
+    out.push(descendant);
+  }
+  return out;
+}
+
+function* ancestorsOf(node) {
+  for (let current = node.parent; current; current = current.parent) {
+    yield current;
+  }
+}
+
+function positionLimit(expr) {
+  if (expr.type === "number") {
+    return expr.value;
+  }
+  if (expr.type !== "binary") {
+    return Infinity;
+  }
+  if (expr.op === "and") {
+    return Math.min(positionLimit(expr.left), positionLimit(expr.right));
+  }
+  if (expr.op === "or") {
+    return Math.max(positionLimit(expr.left), positionLimit(expr.right));
+  }
+  const isPosition = (operand) => operand.type === "call" && operand.name === "position" && !operand.args.length;
+  let { op, left, right } = expr;
+  if (isPosition(right) && left.type === "number") {
+    [left, right] = [right, left];
+    op = { "<": ">", "<=": ">=", ">": "<", ">=": "<=" }[op] || op;
+  }
+  if (!isPosition(left) || right.type !== "number") {
+    return Infinity;
+  }
+  switch (op) {
+    case "=":
+      return right.value;
+    case "<":
+      return Math.ceil(right.value) - 1;
+    case "<=":
+      return Math.floor(right.value);
+    default:
+      return Infinity;
+  }
+}
+
+function usesContextSize(expr) {
+  switch (expr.type) {
+    case "call":
+      return expr.name === "last" || expr.args.some(usesContextSize);
+    case "negate":
+    case "filter":
+      return usesContextSize(expr.expr);
+    case "binary":
+    case "union":
+      return usesContextSize(expr.left) || usesContextSize(expr.right);
+    case "path":
+      return Boolean(expr.filter) && usesContextSize(expr.filter);
+    default:
+      return false;
+  }
+}
+
+function rootOf(node) {
+  let current = node;
+  while (current.parent) {
+    current = current.parent;
+  }
+  return current;
+}
+
+function stringValue(node) {
+  switch (nodeKind(node)) {
+    case "attribute":
+      return node.value;
+    case "namespace":
+      return node.uri;
+    case "text":
+    case "comment":
+      return String(node.data ?? "");
+    case "doctype":
+      return "";
+    default:
+      return descendantNodes(node, []).filter((child) => nodeKind(child) === "text").map((child) => child.data ?? "").join("");
+  }
+}
+
+function firstNode(args, context) {
+  return args.length ? args[0][0] ?? null : context.node;
+}
+
+function localName(node) {
+  if (!node) {
+    return "";
+  }
+  switch (nodeKind(node)) {
+    case "element":
+      return node.name;
+    case "attribute":
+      return node.localName;
+    case "namespace":
+      return node.prefix;
+    default:
+      return "";
+  }
+}
+
+function namespaceURI(node) {
+  const kind = node ? nodeKind(node) : null;
+  if (kind !== "element" && kind !== "attribute") {
+    return "";
+  }
+  return NAMESPACES[node.namespace] ?? "";
+}
+
+function qualifiedName(node) {
+  if (!node) {
+    return "";
+  }
+  return nodeKind(node) === "attribute" ? node.name : localName(node);
+}
+
+function matchesLang(node, lang) {
+  const wanted = lang.toLowerCase();
+  for (let current = node; current; current = current.parent) {
+    const attrs = nodeKind(current) === "element" ? current.attrs || {} : {};
+    const value = attrs["xml:lang"] ?? attrs.lang;
+    if (value !== undefined) {
+      const actual = String(value).toLowerCase();
+      return actual === wanted || actual.startsWith(`${wanted}-`);
+    }
+  }
+  return false;
+}
+
+function substringBefore(value, search) {
+  const index = value.indexOf(search);
+  return index === -1 ? "" : value.slice(0, index);
+}
+
+function substringAfter(value, search) {
+  const index = value.indexOf(search);
+  return index === -1 ? "" : value.slice(index + search.length);
+}
+
+function substring(value, start, length) {
+  const chars = [...toXPathString(value)];
+  const first = roundNumber(toXPathNumber(start));
+  const end = length === undefined ? Infinity : first + roundNumber(toXPathNumber(length));
+  let out = "";
+  for (let i = 0; i < chars.length; i += 1) {
+    if (i + 1 >= first && i + 1 < end) {
+      out += chars[i];
+    }
+  }
+  return out;
+}
+
+function translate(value, from, to) {
+  const fromChars = [...from];
+  const toChars = [...to];
+  let out = "";
+  for (const ch of value) {
+    const index = fromChars.indexOf(ch);
+    if (index === -1) {
+      out += ch;
+    } else if (index < toChars.length) {
+      out += toChars[index];
+    }
+  }
+  return out;
+}
+
+function roundNumber(value) {
+  if (!Number.isFinite(value)) {
+    return value;
+  }
+  if (value < 0 && value >= -0.5) {
+    return -0;
+  }
+  return Math.floor(value + 0.5);
+}
+
+function compareValues(op, left, right) {
+  const leftNodes = Array.isArray(left);
+  const rightNodes = Array.isArray(right);
+  if (leftNodes && rightNodes) {
+    const rightValues = right.map(stringValue);
+    return left.some((node) => {
+      const value = stringValue(node);
+      return rightValues.some((other) => compareAtoms(op, value, other, true));
+    });
+  }
+  if (leftNodes || rightNodes) {
+    const other = leftNodes ? right : left;
+    if (typeof other === "boolean") {
+      return compareAtoms(op, toXPathBoolean(left), toXPathBoolean(right));
+    }
+    const nodes = leftNodes ? left : right;
+    return nodes.some((node) => {
+      const value = typeof other === "number" ? toXPathNumber(stringValue(node)) : stringValue(node);
+      return leftNodes ? compareAtoms(op, value, other) : compareAtoms(op, other, value);
+    });
+  }
+  return compareAtoms(op, left, right);
+}
+
+function compareAtoms(op, left, right) {
+  if (op === "=" || op === "!=") {
+    let equal;
+    if (typeof left === "boolean" || typeof right === "boolean") {
+      equal = toXPathBoolean(left) === toXPathBoolean(right);
+    } else if (typeof left === "number" || typeof right === "number") {
+      equal = toXPathNumber(left) === toXPathNumber(right);
+    } else {
+      equal = left === right;
+    }
+    return op === "=" ? equal : !equal;
+  }
+  const a = toXPathNumber(left);
+  const b = toXPathNumber(right);
+  switch (op) {
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    case ">":
+      return a > b;
+    default:
+      return a >= b;
+  }
+}
+
+function toXPathString(value) {
+  if (Array.isArray(value)) {
+    return value.length ? stringValue(value[0]) : "";
+  }
+  if (typeof value === "number") {
+    return numberToString(value);
+  }
+  if (typeof value === "boolean") {
+    return value ? "true" : "false";
+  }
+  return String(value ?? "");
+}
+
+function toXPathNumber(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  const text = toXPathString(value);
+  return XPATH_NUMBER.test(text) ? Number(text.trim()) : Number.NaN;
+}
+
+function toXPathBoolean(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === "number") {
+    return value !== 0 && !Number.isNaN(value);
+  }
+  if (typeof value === "string") {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+function numberToString(value) {
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "Infinity" : "-Infinity";
+  }
+  if (value === 0) {
+    return "0";
+  }
+  if (Number.isInteger(value)) {
+    return BigInt(value).toString();
+  }
+  const text = String(value);
+  if (!text.includes("e")) {
+    return text;
+  }
+  const [mantissa, exponent] = text.split("e");
+  const negative = mantissa.startsWith("-");
+  const unsigned = negative ? mantissa.slice(1) : mantissa;
+  const point = unsigned.indexOf(".");
+  const digits = unsigned.replace(".", "");
+  const position = (point === -1 ? unsigned.length : point) + Number(exponent);
+  const expanded = position <= 0 ? `0.${"0".repeat(-position)}${digits}` : `${digits.slice(0, position)}.${digits.slice(position)}`;
+  return negative ? `-${expanded}` : expanded;
+}
@@ -1,7 +1,31 @@
 import assert from "node:assert/strict";
 import test from "node:test";
 
-import { FragmentContext, HTMLContext, JustHTML, matches, parseFragment, query, stream } from "../src/index.js";
+import {
+  compileSelector,
+  FragmentContext,
+  HTMLContext,
+  IncrementalParser,
+  JustHTML,
+  matches,
+  minify,
+  parseFragment,
+  query,
+  registerPseudo,
+  rewrite,
+  Rewriter,
+  SelectorError,
+  saxStream,
+  saxStreamAsync,
+  serializeTokens,
+  stream,
+  streamAsync,
+  tokenize,
+  TokenKind,
+  TokenizerState,
+  toTestFormat,
+  XPathError
+} from "../src/index.js";
 
 test("smoke test: parse simple valid document and core outcomes", () => {
   const input = "<!doctype html><html><body><p>Hello</p></body></html>";
@@ -20,7 +44,7 @@ test("smoke test: parse simple valid document and core outcomes", () => {
 
   assert.equal(paragraph.toText(), "Hello");
   assert.equal(doc.toText(), "Hello");
-  assert.equal(doc.toHTML({ pretty: false }), "<!doctype html><html><head></head><body><p>Hello</p></body></html>");
+  assert.equal(doc.toHTML({ pretty: false }), "<!DOCTYPE html><html><head></head><body><p>Hello</p></body></html>");
   assert.deepEqual(doc.errors, []);
 });
 
@@ -138,3 +162,942 @@ test("meta charset sniffing chooses utf-8", () => {
   assert.equal(doc.encoding, "utf-8");
   assert.equal(doc.queryOne("p").toText(), "ok");
 });
+
+test("tokenizer follows the WHATWG state machine for malformed tags", () => {
+  assert.deepEqual([...stream('<a title="x>y">t</a>')], [
+    ["start", ["a", { title: "x>y" }]],
+    ["text", "t"],
+    ["end", "a"]
+  ]);
+  assert.deepEqual([...stream("<div<div>")], [["start", ["div<div", {}]]]);
+  assert.deepEqual([...stream("a</ >b")], [["text", "a"], ["comment", " "], ["text", "b"]]);
+  assert.deepEqual([...stream("<script>a<b</script>")], [["start", ["script", {}]], ["text", "a<b"], ["end", "script"]]);
+});
+
+test("tokenizer reports spec error codes", () => {
+  const doc = new JustHTML('<p a=1 a=2>&notit;</p>', { collectErrors: true });
+  assert.deepEqual(doc.errors.map((error) => error.code), ["duplicate-attribute", "missing-semicolon-after-character-reference"]);
+  assert.equal(doc.queryOne("p").attrs.a, "1");
+  assert.equal(doc.queryOne("p").toText(), "¬it;");
+});
+
+test("tokenize accepts initial state and last start tag", () => {
+  const tokens = [...tokenize("a&amp;</textarea><b>", { initialState: TokenizerState.RCDATA, lastStartTag: "textarea" })];
+  assert.deepEqual(tokens.map((token) => [token.kind, token.data ?? token.name]), [
+    [TokenKind.TEXT, "a&"],
+    [TokenKind.END_TAG, "textarea"],
+    [TokenKind.START_TAG, "b"]
+  ]);
+
+  const withErrors = [...tokenize("<!DOCTYPE>", { collectErrors: true })];
+  assert.equal(withErrors[0].kind, TokenKind.ERROR);
+  assert.equal(withErrors[0].error.code, "missing-doctype-name");
+  assert.equal(withErrors[1].kind, TokenKind.DOCTYPE);
+  assert.equal(withErrors[1].forceQuirks, true);
+});
+
+test("tree builder runs the adoption agency and foster parenting", () => {
+  const misnested = new JustHTML("<!DOCTYPE html><b><p><i>x</b>y</i>z");
+  assert.equal(misnested.queryOne("body").toHTML(), "<body><b></b><p><b><i>x</i></b><i>y</i>z</p></body>");
+
+  const fostered = new JustHTML("<!DOCTYPE html><table><tr>a<td>b</td></tr></table>");
+  assert.equal(fostered.queryOne("body").toHTML(), "<body>a<table><tbody><tr><td>b</td></tr></tbody></table></body>");
+
+  const template = new JustHTML("<template><tr><td>c</td></tr></template>");
+  assert.equal(template.queryOne("template").toHTML(), "<template><tr><td>c</td></tr></template>");
+});
+
+const TREE_CONSTRUCTION_CASES = [
+  [
+    "misnested formatting",
+    "<a>1<p>2</a>3</p>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <a>",
+      '|       "1"',
+      "|     <p>",
+      "|       <a>",
+      '|         "2"',
+      '|       "3"'
+    ]
+  ],
+  [
+    "misnested formatting",
+    "<div><a><b><u><i><code><div></a>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <div>",
+      "|       <a>",
+      "|         <b>",
+      "|           <u>",
+      "|             <i>",
+      "|               <code>",
+      "|       <u>",
+      "|         <i>",
+      "|           <code>",
+      "|             <div>",
+      "|               <a>"
+    ]
+  ],
+  [
+    "misnested formatting",
+    "<p><b><b><b><b><p>x",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <p>",
+      "|       <b>",
+      "|         <b>",
+      "|           <b>",
+      "|             <b>",
+      "|     <p>",
+      "|       <b>",
+      "|         <b>",
+      "|           <b>",
+      '|             "x"'
+    ]
+  ],
+  [
+    "misnested formatting",
+    "<b><table><td></b><i></table>X",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <b>",
+      "|       <table>",
+      "|         <tbody>",
+      "|           <tr>",
+      "|             <td>",
+      "|               <i>",
+      '|       "X"'
+    ]
+  ],
+  [
+    "foster parenting",
+    "<table>A<td>B</td>C</table>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      '|     "AC"',
+      "|     <table>",
+      "|       <tbody>",
+      "|         <tr>",
+      "|           <td>",
+      '|             "B"'
+    ]
+  ],
+  [
+    "foster parenting",
+    '<a href="blah">aba<table><a href="foo">br<tr><td></td></tr>x</table>aoe',
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <a>",
+      '|       href="blah"',
+      '|       "aba"',
+      "|       <a>",
+      '|         href="foo"',
+      '|         "br"',
+      "|       <a>",
+      '|         href="foo"',
+      '|         "x"',
+      "|       <table>",
+      "|         <tbody>",
+      "|           <tr>",
+      "|             <td>",
+      "|     <a>",
+      '|       href="foo"',
+      '|       "aoe"'
+    ]
+  ],
+  [
+    "template",
+    "<head><template><div></div></template></head>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|     <template>",
+      "|       content",
+      "|         <div>",
+      "|   <body>"
+    ]
+  ],
+  [
+    "template",
+    "<div><template><div><span></template><b>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <div>",
+      "|       <template>",
+      "|         content",
+      "|           <div>",
+      "|             <span>",
+      "|       <b>"
+    ]
+  ],
+  [
+    "foreign content",
+    "<!DOCTYPE html><table><tr><td><svg><foreignObject><p><i></p>a",
+    [
+      "| <!DOCTYPE html>",
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <table>",
+      "|       <tbody>",
+      "|         <tr>",
+      "|           <td>",
+      "|             <svg svg>",
+      "|               <svg foreignObject>",
+      "|                 <p>",
+      "|                   <i>",
+      "|                 <i>",
+      '|                   "a"'
+    ]
+  ],
+  [
+    "foreign content",
+    "<!DOCTYPE html><svg><desc><svg><ul>a",
+    [
+      "| <!DOCTYPE html>",
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <svg svg>",
+      "|       <svg desc>",
+      "|         <svg svg>",
+      "|         <ul>",
+      '|           "a"'
+    ]
+  ],
+  [
+    "foreign content",
+    "<!DOCTYPE html><body xlink:href=foo xml:lang=en><svg><g xml:lang=en xlink:href=foo></g></svg>",
+    [
+      "| <!DOCTYPE html>",
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      '|     xlink:href="foo"',
+      '|     xml:lang="en"',
+      "|     <svg svg>",
+      "|       <svg g>",
+      '|         xlink href="foo"',
+      '|         xml lang="en"'
+    ]
+  ],
+  [
+    "quirks mode",
+    "<p><table></table>",
+    [
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <p>",
+      "|       <table>"
+    ]
+  ],
+  [
+    "no-quirks mode",
+    "<!DOCTYPE html><p><table></table>",
+    [
+      "| <!DOCTYPE html>",
+      "| <html>",
+      "|   <head>",
+      "|   <body>",
+      "|     <p>",
+      "|     <table>"
+    ]
+  ]
+];
+
+test("tree builder matches html5lib trees for misnesting, foster parenting, templates, foreign content and quirks", () => {
+  for (const [label, html, expected] of TREE_CONSTRUCTION_CASES) {
+    assert.equal(toTestFormat(new JustHTML(html).root), expected.join("\n"), `${label}: ${html}`);
+  }
+});
+
+test("doctype determines the document compatibility mode", () => {
+  assert.equal(new JustHTML("<!DOCTYPE html><p>x").root.mode, "no-quirks");
+  assert.equal(new JustHTML("<p>x").root.mode, "quirks");
+  assert.equal(new JustHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">').root.mode, "quirks");
+  assert.equal(new JustHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">').root.mode, "limited-quirks");
+  assert.equal(new JustHTML('<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Frameset//EN" "">').root.mode, "limited-quirks");
+  assert.equal(new JustHTML("<p>x").compatMode, "BackCompat");
+  assert.equal(new JustHTML("<!DOCTYPE html>").compatMode, "CSS1Compat");
+
+  assert.equal(new JustHTML("<p>a<table></table>").queryOne("p").children.length, 2);
+  assert.equal(new JustHTML("<!DOCTYPE html><p>a<table></table>").queryOne("p").children.length, 1);
+});
+
+test("scriptingEnabled and iframeSrcdoc change tree construction", () => {
+  const scripted = new JustHTML("<body><noscript><p>x</p></noscript>");
+  assert.equal(scripted.queryOne("noscript").children[0].name, "#text");
+  const noScript = new JustHTML("<body><noscript><p>x</p></noscript>", { scriptingEnabled: false });
+  assert.equal(noScript.queryOne("noscript").children[0].name, "p");
+
+  assert.equal(new JustHTML("<p>x", { iframeSrcdoc: true }).root.mode, "no-quirks");
+});
+
+test("track_node_locations records source spans for tags, contents and attributes", () => {
+  const html = '<div id="a" hidden><p>one<p>two</div>';
+  const doc = new JustHTML(html, { trackNodeLocations: true });
+  const slice = (range) => html.slice(range.start, range.end);
+  const div = doc.queryOne("div");
+  assert.equal(slice(div.originSpan.startTag), '<div id="a" hidden>');
+  assert.equal(slice(div.originSpan.endTag), "</div>");
+  assert.equal(slice(div.originSpan.content), "<p>one<p>two");
+  assert.equal(slice(div.originSpan.attrs.id.name), "id");
+  assert.equal(slice(div.originSpan.attrs.id.value), "a");
+  assert.equal(div.originSpan.attrs.hidden.value, null);
+
+  const [first, second] = doc.query("p");
+  assert.equal(first.originSpan.endTag, null);
+  assert.equal(first.originSpan.endTagImplied, true);
+  assert.equal(slice(first.originSpan), "<p>one");
+  assert.equal(slice(second.originSpan.content), "two");
+  assert.equal(slice(second.children[0].originSpan), "two");
+});
+
+test("track_node_locations gives implied html and adoption-agency clones a span", () => {
+  const html = '<!DOCTYPE html><b class="x">1<p>2</b>3';
+  const doc = new JustHTML(html, { trackNodeLocations: true });
+  const slice = (range) => html.slice(range.start, range.end);
+  for (const name of ["html", "head", "body"]) {
+    const span = doc.queryOne(name).originSpan;
+    assert.equal(span.startTag, null);
+    assert.equal(span.start, 15);
+    assert.equal(span.endTagImplied, true);
+  }
+  assert.equal(slice(doc.queryOne("head").originSpan), "");
+
+  const [original, clone] = doc.query("b");
+  assert.equal(clone.parent.name, "p");
+  assert.deepEqual(clone.originSpan.startTag, original.originSpan.startTag);
+  assert.equal(slice(clone.originSpan.startTag), '<b class="x">');
+  assert.equal(slice(clone.originSpan.attrs.class.value), "x");
+  assert.equal(clone.originOffset, 15);
+});
+
+test("positionAt and offsetAt convert between offsets and line/column", () => {
+  const doc = new JustHTML("<p>\r\nab\ncd\re</p>");
+  assert.deepEqual(doc.positionAt(0), { line: 1, column: 1 });
+  assert.deepEqual(doc.positionAt(6), { line: 2, column: 2 });
+  assert.deepEqual(doc.positionAt(8), { line: 3, column: 1 });
+  assert.deepEqual(doc.positionAt(11), { line: 4, column: 1 });
+  assert.equal(doc.offsetAt(2, 2), 6);
+  assert.equal(doc.offsetAt(4, 1), 11);
+});
+
+test("incremental parser builds the same tree from string and byte chunks", () => {
+  const html = '<!doctype html><p class="caf\u00e9 x" data-a=\'1\'>Fish &amp; chips &eacute;t\u00e9</p>\r\n<table>x<tr><td>1</table>';
+  const expected = toTestFormat(new JustHTML(html).root);
+
+  const chars = new IncrementalParser();
+  for (const ch of html) {
+    chars.write(ch);
+  }
+  assert.equal(toTestFormat(chars.end().root), expected);
+
+  const bytes = new TextEncoder().encode(html);
+  const parser = new IncrementalParser({ encoding: "utf-8" });
+  for (let i = 0; i < bytes.length; i += 3) {
+    parser.write(bytes.subarray(i, i + 3));
+  }
+  const doc = parser.end();
+  assert.equal(doc.encoding, "utf-8");
+  assert.equal(toTestFormat(doc.root), expected);
+  assert.throws(() => parser.write("<p>"), /after end/);
+});
+
+test("incremental parser rethrows a strict-mode failure on every end() call", () => {
+  const parser = new IncrementalParser({ strict: true });
+  parser.write("<!DOCTYPE html><p>x");
+  let first = null;
+  assert.throws(() => {
+    try {
+      parser.end();
+    } catch (error) {
+      first = error;
+      throw error;
+    }
+  }, /Expected closing tag/);
+  assert.throws(() => parser.end(), (error) => error === first);
+  assert.throws(() => parser.write("<p>"), /after end/);
+});
+
+test("incremental parser waits for the low surrogate of a pair split across chunks", () => {
+  const parser = new IncrementalParser({ collectErrors: true });
+  parser.write("<p>a\ud83d");
+  parser.write("\ude00b</p>");
+  const doc = parser.end();
+  assert.deepEqual(doc.errors, []);
+  assert.equal(doc.queryOne("p").toText(), "a\u{1f600}b");
+
+  const lone = new IncrementalParser({ collectErrors: true });
+  lone.write("<p>a\ud83d");
+  assert.deepEqual(lone.end().errors.map((error) => error.code), ["surrogate-in-input-stream", "expected-closing-tag-but-got-eof"]);
+});
+
+test("streamAsync yields stream() events from ReadableStream and async iterable sources", async () => {
+  const html = '<meta charset="utf-8"><p title="caf\u00e9">Fish &amp; chips<!--c--><br/></p><script>a<b</script>';
+  const expected = [...stream(html)];
+  const bytes = new TextEncoder().encode(html);
+  const collect = async (source) => {
+    const events = [];
+    for await (const event of streamAsync(source)) {
+      events.push(event);
+    }
+    return events;
+  };
+
+  const readable = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 3) {
+        controller.enqueue(bytes.slice(i, i + 3));
+      }
+      controller.close();
+    }
+  });
+  assert.deepEqual(await collect(readable), expected);
+
+  async function* chars() {
+    yield* html;
+  }
+  assert.deepEqual(await collect(chars()), expected);
+});
+
+test("saxStream emits balanced tree-builder events with synthesized elements", () => {
+  const events = [...saxStream("<p>a<table><div>b</div><tr><td>c</table><svg><path/></svg>")];
+  const start = (name, namespace = "html") => ["start", [name, {}, namespace]];
+  const end = (name, namespace = "html") => ["end", [name, namespace]];
+  assert.deepEqual(events, [
+    start("html"), start("head"), end("head"), start("body"),
+    start("p"), ["text", "a"],
+    start("div"), ["text", "b"], end("div"),
+    start("table"), start("tbody"), start("tr"), start("td"), ["text", "c"], end("td"), end("tr"), end("tbody"), end("table"),
+    start("svg", "svg"), start("path", "svg"), end("path", "svg"), end("svg", "svg"),
+    end("p"), end("body"), end("html")
+  ]);
+});
+
+test("saxStreamAsync emits finished table rows and cells before the input ends", async () => {
+  const chunks = [
+    "<!DOCTYPE html><font><table><tr><td><p>one</p></td></tr>",
+    "<tr><td><p>two</p></td></tr>",
+    "<tr><td>three</td></tr>",
+    "</table></font>"
+  ];
+  let received = 0;
+  async function* source() {
+    for (const chunk of chunks) {
+      received += 1;
+      yield chunk;
+    }
+  }
+  const seen = [];
+  for await (const event of saxStreamAsync(source())) {
+    seen.push([received, event]);
+  }
+  const firstChunk = (target) => seen.find(([, event]) => JSON.stringify(event) === JSON.stringify(target))[0];
+  assert.equal(firstChunk(["start", ["table", {}, "html"]]), 1);
+  assert.equal(firstChunk(["text", "one"]), 1);
+  assert.equal(firstChunk(["text", "two"]), 2);
+  assert.equal(firstChunk(["text", "three"]), 3);
+  assert.deepEqual(seen.map(([, event]) => event), [...saxStream(chunks.join(""))]);
+});
+
+test("sax events keep foster-parented content before its table regardless of chunking", async () => {
+  const chunks = ["<table><tr><td>x", "</td></tr>y<tr><td>z</table>"];
+  async function* source() {
+    yield* chunks;
+  }
+  const events = [];
+  for await (const event of saxStreamAsync(source())) {
+    events.push(event);
+  }
+  const expected = [...saxStream(chunks.join(""))];
+  assert.deepEqual(events, expected);
+  const index = (target) => expected.findIndex((event) => JSON.stringify(event) === JSON.stringify(target));
+  assert.ok(index(["text", "y"]) < index(["start", ["table", {}, "html"]]));
+
+  const rows = "<tr><td>cell</td></tr>".repeat(1000);
+  const large = [...saxStream(`<table>${rows}y</table>`)];
+  assert.ok(large.findIndex((event) => event[1] === "y") < large.findIndex((event) => event[1]?.[0] === "table"));
+});
+
+test("rewrite applies selector handlers while copying untouched markup verbatim", () => {
+  const html = "<head><title>T</title></head><body><p id=intro>Hi <a href='/x' data-k=1>x</a><ul><li>a<li class=ad>b<li>c</ul><img src=a.png>&nbsp;</body>";
+  const handlers = {
+    head: (el) => el.append('<script src="/a.js"></script>', { html: true }),
+    a: (el) => {
+      el.setAttribute("href", `https://cdn${el.getAttribute("href")}`);
+      el.removeAttribute("data-k");
+    },
+    "#intro": (el) => el.prepend("<<").after("[p]"),
+    ".ad": (el) => el.remove(),
+    img: (el) => el.replace("<picture></picture>", { html: true })
+  };
+  const expected = '<head><title>T</title><script src="/a.js"></script></head><body><p id=intro>&lt;&lt;Hi <a href="https://cdn/x">x</a>[p]<ul><li>a<li>c</ul><picture></picture>&nbsp;</body>';
+  assert.equal(rewrite(html, handlers), expected);
+  assert.equal(rewrite(html, {}), html);
+
+  const rewriter = new Rewriter(handlers);
+  let output = "";
+  for (const ch of html) {
+    output += rewriter.write(ch);
+  }
+  assert.equal(output + rewriter.end(), expected);
+});
+
+test("rewrite rejects selectors that depend on markup after the start tag", () => {
+  for (const selector of ["li:last-child", "div:has(p)", "p:not(:only-of-type)", "li:nth-last-child(2)", "li:nth-child(odd of :empty)"]) {
+    assert.throws(
+      () => rewrite("<ul><li>a<li>b</ul>", { [selector]: () => {} }),
+      (error) => error instanceof SelectorError && error.kind === "unsupported" && error.selector === selector
+    );
+  }
+  assert.equal(rewrite("<ul><li>a<li>b</ul>", { "li:first-child + li": (el) => el.setAttribute("class", "x") }), '<ul><li>a<li class="x">b</ul>');
+});
+
+test("rewrite tracks sibling positions as it streams wide parents", () => {
+  const html = `<ul>${"<li>x</li>".repeat(20000)}<p></p><li class=a></li></ul>`;
+  const counts = { "li + li": 0, "li:nth-child(2)": 0, "li:nth-of-type(3n)": 0, "p ~ li": 0, "li:nth-child(2 of li + li)": 0, ".a:nth-child(20002)": 0 };
+  const handlers = Object.keys(counts).map((selector) => [selector, () => (counts[selector] += 1)]);
+  const started = Date.now();
+  const rewriter = new Rewriter(handlers);
+  let output = "";
+  for (let i = 0; i < html.length; i += 1000) {
+    output += rewriter.write(html.slice(i, i + 1000));
+    assert.ok(rewriter.document.children.length <= 1 && (rewriter.document.children[0]?.children.length ?? 0) <= 1);
+  }
+  assert.equal(output + rewriter.end(), html);
+  assert.deepEqual(counts, { "li + li": 19999, "li:nth-child(2)": 1, "li:nth-of-type(3n)": 6667, "p ~ li": 1, "li:nth-child(2 of li + li)": 1, ".a:nth-child(20002)": 1 });
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("rewrite keeps integration points in their foreign namespace and switches only their children", () => {
+  const html = "<svg><foreignObject><p>x</p></foreignObject></svg><math><mi><b>y</b></mi><annotation-xml encoding=text/html><i>z</i></annotation-xml></math>";
+  const seen = [];
+  const tag = (el) => seen.push(`${el.namespace}:${el.tagName}`);
+  rewrite(html, { "svg|foreignObject": tag, "math|mi": tag, "math|annotation-xml": tag, "html|p, html|b, html|i": tag });
+  assert.deepEqual(seen, ["svg:foreignobject", "html:p", "math:mi", "html:b", "math:annotation-xml", "html:i"]);
+  const doc = new JustHTML(html);
+  assert.deepEqual(doc.query("svg|foreignObject, math|mi, math|annotation-xml").map((node) => `${node.namespace}:${node.name}`), seen.filter((_, i) => i % 2 === 0));
+});
+
+test("query supports combinators, selector lists and attribute operators", () => {
+  const doc = new JustHTML(
+    '<nav><ul><li class="a b" lang="en-US">1</li><li data-x="foo bar">2</li><li><ul><li>3</li></ul></li></ul></nav>' +
+    '<h1>t</h1><h2>s</h2><p><a href="https://x.test/a.pdf">x</a><a href="B">y</a></p>'
+  );
+  const texts = (selector) => doc.query(selector).map((node) => node.toText());
+  assert.deepEqual(texts("nav > ul > li"), ["1", "2", "3"]);
+  assert.deepEqual(texts("nav > ul > li > ul > li"), ["3"]);
+  assert.deepEqual(texts("h1, h2, h3"), ["t", "s"]);
+  assert.deepEqual(texts("h1 + h2"), ["s"]);
+  assert.deepEqual(texts("h1 ~ p a"), ["x", "y"]);
+  assert.deepEqual(texts("li.a.b"), ["1"]);
+  assert.deepEqual(texts("*[href]"), ["x", "y"]);
+  assert.deepEqual(texts("[lang|=en]"), ["1"]);
+  assert.deepEqual(texts("[data-x~=bar]"), ["2"]);
+  assert.deepEqual(texts('[href^="https:"][href$=".pdf"]'), ["x"]);
+  assert.deepEqual(texts("[href*=test]"), ["x"]);
+  assert.deepEqual(texts("a[href=b i]"), ["y"]);
+  assert.throws(() => doc.query("div >"), /Invalid selector/);
+});
+
+test("sibling pseudo-classes and combinators stay linear on wide parents", () => {
+  const doc = new JustHTML(`<ul>${"<li>x</li>".repeat(20000)}</ul>`);
+  const started = Date.now();
+  assert.equal(doc.query("li:nth-child(2n)").length, 10000);
+  assert.equal(doc.query("li:nth-last-of-type(3)").length, 1);
+  assert.equal(doc.query("li + li").length, 19999);
+  assert.equal(doc.query("p ~ li").length, 0);
+  assert.equal(doc.query("li:has(~ p)").length, 0);
+  assert.equal(doc.query("li:has(+ li)").length, 19999);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("query supports structural and form-state pseudo-classes", () => {
+  const doc = new JustHTML(
+    "<ul><li>1</li><li class=x>2</li><li>3</li><li class=x>4</li><li>5</li></ul><div><p>a</p><span>b</span><p></p><!--c--></div>" +
+    "<fieldset disabled><legend><input id=l></legend><input id=d></fieldset><select><optgroup disabled><option id=o1></optgroup>" +
+    "<option id=o2 selected></select><input type=checkbox checked id=c><a href=#>l</a><a>n</a><my-el></my-el>"
+  );
+  const texts = (selector) => doc.query(selector).map((node) => node.attrs.id || node.toText() || node.name);
+  assert.deepEqual(texts("li:first-child, li:last-child"), ["1", "5"]);
+  assert.deepEqual(texts("li:nth-child(2n+1)"), ["1", "3", "5"]);
+  assert.deepEqual(texts("li:nth-child(-n + 2)"), ["1", "2"]);
+  assert.deepEqual(texts("li:nth-last-child(even)"), ["2", "4"]);
+  assert.deepEqual(texts("li:nth-child(2 of .x)"), ["4"]);
+  assert.deepEqual(texts("p:nth-of-type(2), span:only-of-type, p:nth-last-of-type(2)"), ["a", "b", "p"]);
+  assert.deepEqual(texts("div > :empty"), ["p"]);
+  assert.equal(doc.queryOne(":root").name, "html");
+  assert.deepEqual(texts("input:disabled, option:disabled"), ["d", "o1"]);
+  assert.deepEqual(texts("input:enabled"), ["l", "c"]);
+  assert.deepEqual(texts(":checked"), ["o2", "c"]);
+  assert.deepEqual(texts(":link"), ["l"]);
+  assert.equal(doc.query("my-el:defined").length, 0);
+  assert.equal(doc.query("a:defined").length, 2);
+});
+
+test("query supports :is, :where, :not and relative :has", () => {
+  const doc = new JustHTML(
+    "<div class=card id=a><span class=price>1</span></div><div class=card id=b><p>x</p></div>" +
+    "<figure id=f><img></figure><figure id=g><figcaption><img></figcaption></figure><h2 id=h></h2><p>y</p><h2 id=i></h2>"
+  );
+  const ids = (selector) => doc.query(selector).map((node) => node.attrs.id);
+  assert.deepEqual(ids(".card:has(.price)"), ["a"]);
+  assert.deepEqual(ids(".card:not(:has(.price))"), ["b"]);
+  assert.deepEqual(ids("figure:has(> img)"), ["f"]);
+  assert.deepEqual(ids("figure:has(img)"), ["f", "g"]);
+  assert.deepEqual(ids("h2:has(+ p)"), ["h"]);
+  assert.deepEqual(ids("h2:has(~ p)"), ["h"]);
+  assert.deepEqual(ids(":is(figure, h2):not([id=g], #i)"), ["f", "h"]);
+  assert.deepEqual(ids("div:where(#a, !bogus)"), ["a"]);
+  assert.deepEqual(ids(":not(div > span, p, figure *)[id]"), ["a", "b", "f", "g", "h", "i"]);
+  assert.throws(() => doc.query(":not(!bogus)"), /Invalid selector/);
+});
+
+test("compileSelector returns cached reusable selectors with specificity", () => {
+  const doc = new JustHTML("<ul id=list><li class=a>1</li><li class=b>2</li></ul><p class=a>3</p>");
+  const compiled = compileSelector("#list > li.a, p");
+  assert.equal(compileSelector("#list > li.a, p"), compiled);
+  assert.equal(compileSelector(compiled), compiled);
+  assert.deepEqual(compiled.queryAll(doc.root).map((node) => node.toText()), ["1", "3"]);
+  assert.equal(compiled.queryFirst(doc.root).toText(), "1");
+  assert.equal(compiled.match(doc.queryOne("li.b")), false);
+  assert.equal(compiled.match(doc.queryOne("p")), true);
+  assert.equal(matches(doc.queryOne("li"), compiled), true);
+  assert.deepEqual(compiled.specificity, [1, 1, 1]);
+  assert.deepEqual(compileSelector(":where(#list) li:not(.a, #x)").specificity, [1, 0, 1]);
+  assert.deepEqual(compileSelector("li:nth-child(2 of .b):has(> span)").specificity, [0, 2, 2]);
+  assert.throws(() => compileSelector("li >"), /Invalid selector/);
+});
+
+test("Node.matches, Node.closest and :scope-relative queries", () => {
+  const doc = new JustHTML("<ul id=outer><li id=a><ul><li id=b><span id=s>x</span></li></ul></li><li id=c></li></ul><template><li id=t></li></template>");
+  const ids = (nodes) => nodes.map((node) => node.attrs.id || node.name);
+  const outer = doc.queryOne("#outer");
+  assert.deepEqual(ids(outer.query("li")), ["a", "b", "c"]);
+  assert.deepEqual(ids(outer.query(":scope > li")), ["a", "c"]);
+  assert.deepEqual(ids(outer.query("> li")), ["a", "c"]);
+  assert.deepEqual(ids(outer.query("> li > ul > li, > li + li")), ["b", "c"]);
+  assert.equal(outer.queryOne("> li:last-child").attrs.id, "c");
+  assert.deepEqual(ids(doc.query("> html")), ["html"]);
+  assert.deepEqual(ids(doc.query("* > html")), []);
+  assert.deepEqual(ids(doc.queryOne("template").query("> li")), ["t"]);
+
+  const span = doc.queryOne("#s");
+  assert.equal(span.closest("li").attrs.id, "b");
+  assert.equal(span.closest("li:has(> ul)").attrs.id, "a");
+  assert.equal(span.closest("span"), span);
+  assert.equal(span.closest("table"), null);
+  assert.equal(span.matches("#outer span"), true);
+  assert.equal(span.matches(":scope"), true);
+  assert.equal(span.matches("li"), false);
+  assert.equal(matches(span, ":scope"), true);
+  assert.equal(doc.queryOne("#t").closest("template"), null);
+});
+
+test("invalid and unsupported selectors throw SelectorError with offset and token", () => {
+  const error = (selector) => {
+    try {
+      compileSelector(selector);
+    } catch (caught) {
+      assert.ok(caught instanceof SelectorError);
+      assert.ok(caught instanceof SyntaxError);
+      return [caught.kind, caught.offset, caught.token];
+    }
+    assert.fail(`expected ${selector} to throw`);
+  };
+  assert.deepEqual(error("div > !p"), ["invalid", 6, "!"]);
+  assert.deepEqual(error("ul li >"), ["invalid", 7, ""]);
+  assert.deepEqual(error("a:hover"), ["unsupported", 1, ":hover"]);
+  assert.deepEqual(error("p::first-line"), ["unsupported", 1, "::first-line"]);
+  assert.deepEqual(error("p:bogus"), ["invalid", 1, ":bogus"]);
+  assert.deepEqual(error("li:not(.a, :focus)"), ["unsupported", 11, ":focus"]);
+  assert.deepEqual(error("li:nth-child( 2x )"), ["invalid", 14, "2x"]);
+  assert.deepEqual(error("li:nth-child(odd of #)"), ["invalid", 21, ""]);
+  assert.throws(() => new JustHTML("<p>").query("a[href"), { name: "SelectorError", selector: "a[href", offset: 6 });
+  assert.equal(compileSelector("p:is(:hover, .a)").queryAll(new JustHTML("<p class=a>").root).length, 1);
+});
+
+test("query supports namespace prefixes for SVG and MathML content", () => {
+  const doc = new JustHTML("<title>Page</title><svg><title>Icon</title><a xlink:href=#x><rect/></a></svg><math><mi>x</mi></math>");
+  const names = (selector, options) => doc.query(selector, options).map((node) => `${node.namespace}|${node.name}`);
+  assert.deepEqual(names("title"), ["html|title", "svg|title"]);
+  assert.deepEqual(names("*|title"), ["html|title", "svg|title"]);
+  assert.equal(doc.queryOne("html|title").toText(), "Page");
+  assert.equal(doc.queryOne("svg|title").toText(), "Icon");
+  assert.deepEqual(names("math|*"), ["math|math", "math|mi"]);
+  assert.deepEqual(names("|title"), []);
+  assert.deepEqual(names("[xlink|href='#x']"), ["svg|a"]);
+  assert.deepEqual(names("a[href]"), []);
+  assert.deepEqual(names("g|rect", { namespaces: { g: "http://www.w3.org/2000/svg" } }), ["svg|rect"]);
+  assert.deepEqual(names("title", { namespaces: { "": "http://www.w3.org/2000/svg" } }), ["svg|title"]);
+  assert.throws(() => doc.query("g|rect"), { name: "SelectorError", token: "g", offset: 0 });
+});
+
+test("registerPseudo adds custom pseudo-classes usable inside :not and :has", () => {
+  registerPseudo("test-contains", (node, text) => node.toText().includes(text));
+  registerPseudo("test-header", (node) => /^h[1-6]$/.test(node.name));
+  const doc = new JustHTML("<section><h2>News</h2><p>hello world</p></section><section><p>bye</p></section>");
+  const texts = (selector) => doc.query(selector).map((node) => node.toText());
+  assert.deepEqual(texts("p:test-contains(world)"), ["hello world"]);
+  assert.deepEqual(texts('p:test-contains("bye")'), ["bye"]);
+  assert.deepEqual(texts("p:not(:test-contains(hello))"), ["bye"]);
+  assert.deepEqual(texts("section:has(> :test-header) > p"), ["hello world"]);
+  assert.equal(matches(doc.queryOne("h2"), ":test-header"), true);
+  assert.throws(() => doc.query(":test-contains('x' y)"), { name: "SelectorError", offset: 19 });
+  assert.throws(() => registerPseudo("not", () => true), /built-in/);
+});
+
+test("xpath evaluates XPath 1.0 expressions over the node tree", () => {
+  const doc = new JustHTML(
+    "<table class=prices><tr><th>Item</th><th>Price</th></tr><tr><td>A</td><td>1.50</td></tr><tr><td>B</td><td>2</td></tr></table>" +
+    "<div id=d lang=en-GB><p>one</p><!--note--><p>two <b>bold</b></p></div><svg><title>icon</title><a xlink:href=#q></a></svg>"
+  );
+  const data = (nodes) => nodes.map((node) => node.data);
+  assert.deepEqual(data(doc.xpath("//table[@class='prices']//tr[position()>1]/td[2]/text()")), ["1.50", "2"]);
+  assert.equal(doc.xpath("count(//td)"), 4);
+  assert.equal(doc.xpath("sum(//tr/td[2])"), 3.5);
+  assert.equal(doc.xpath("string(//div/comment())"), "note");
+  assert.equal(doc.xpath("normalize-space(//div)"), "onetwo bold");
+  assert.equal(doc.xpath("//td = 'B' and not(//td = 'C')"), true);
+  assert.deepEqual(doc.xpath("//b/ancestor::*").map((node) => node.name), ["html", "body", "div", "p"]);
+  assert.equal(doc.xpath("//b/ancestor::*[1]")[0].name, "p");
+  assert.deepEqual(doc.xpath("//b/preceding::td/text()").map((node) => node.data), ["A", "1.50", "B", "2"]);
+  assert.equal(doc.xpath("(//p)[last()]/following-sibling::*").length, 0);
+  assert.deepEqual(doc.xpath("//div/@*").map((attr) => `${attr.name}=${attr.value}`), ["id=d", "lang=en-GB"]);
+  assert.equal(doc.xpath("boolean(//p[lang('en')])"), true);
+  assert.equal(doc.xpath("substring('12345', 1.5, 2.6)"), "234");
+  assert.equal(doc.xpath("translate('--aaa--', 'abc-', 'ABC')"), "AAA");
+  assert.equal(doc.xpath("string(1 div 0)"), "Infinity");
+  assert.equal(doc.xpath("//title").length, 0);
+  assert.equal(doc.xpath("string(//svg:title)"), "icon");
+  assert.equal(doc.xpath("string(//svg:a/@xlink:href)"), "#q");
+  const div = doc.queryOne("#d");
+  assert.deepEqual(doc.xpath("p/text()", div).map((node) => node.data), ["one", "two "]);
+  assert.equal(div.xpath("count(../*)"), 3);
+  assert.deepEqual(data(doc.xpath("//td[. = $name]/text()", null, { variables: { name: "B" } })), ["B"]);
+  assert.throws(() => doc.xpath("//p[1"), XPathError);
+  assert.throws(() => doc.xpath("foo(1)"), { name: "XPathError", offset: 0 });
+});
+
+test("xpath sibling and document-order axes stay linear on wide parents", () => {
+  const doc = new JustHTML(`<ul>${Array.from({ length: 20000 }, (_, i) => `<li>${i}</li>`).join("")}</ul>`);
+  const started = Date.now();
+  assert.equal(doc.xpath("//li/following-sibling::li[1]").length, 19999);
+  assert.equal(doc.xpath("//li/preceding-sibling::li[1]").length, 19999);
+  assert.equal(doc.xpath("string(//li[3]/preceding-sibling::li[2])"), "0");
+  assert.equal(doc.xpath("string(//li[3]/following::text()[1])"), "3");
+  assert.equal(doc.xpath("count(//li/following-sibling::li[position() = 1])"), 19999);
+  assert.equal(doc.xpath("count(//li[preceding-sibling::li])"), 19999);
+  assert.equal(doc.xpath("count(//li[not(following-sibling::li)])"), 1);
+  assert.equal(doc.xpath("count(//li[boolean(preceding::li) and following::li/text()])"), 19998);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("toHTML follows the HTML fragment serialization algorithm and round-trips", () => {
+  const input = '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd">'
+    + '<title>a<b</title><script>if (a < b && c) {}</script><style>p > a {}</style>'
+    + '<p title="1 < 2 &amp; &quot;x&quot;">x &lt;y&gt;</p><pre>\n\nlead</pre><textarea>\n\nt</textarea>'
+    + '<svg viewBox="0 0 1 1"><foreignObject></foreignObject><link></link><path/></svg>'
+    + '<math definitionURL="u"></math><template><td>c</td></template><noscript><b>n</b></noscript>';
+  const html = new JustHTML(input).toHTML();
+  assert.equal(
+    html,
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd">'
+      + "<html><head><title>a&lt;b</title><script>if (a < b && c) {}</script><style>p > a {}</style></head>"
+      + '<body><p title="1 < 2 &amp; &quot;x&quot;">x&nbsp;&lt;y&gt;</p><pre>\n\nlead</pre><textarea>\n\nt</textarea>'
+      + '<svg viewBox="0 0 1 1"><foreignObject></foreignObject><link></link><path></path></svg>'
+      + '<math definitionURL="u"></math><template><td>c</td></template><noscript><b>n</b></noscript></body></html>'
+  );
+  assert.equal(new JustHTML(html).toHTML(), html);
+  assert.equal(toTestFormat(new JustHTML(html).root), toTestFormat(new JustHTML(input).root));
+  const noscript = new JustHTML("<body><noscript>1<2</noscript>");
+  assert.equal(noscript.queryOne("noscript").toHTML(), "<noscript>1<2</noscript>");
+  assert.equal(noscript.queryOne("noscript").toHTML({ scripting: false }), "<noscript>1&lt;2</noscript>");
+  assert.equal(new JustHTML("<!DOCTYPE html SYSTEM \"about:legacy-compat\">").toHTML(),
+    '<!DOCTYPE html SYSTEM "about:legacy-compat"><html><head></head><body></body></html>');
+});
+
+test("toHTML supports the html5lib serializer options", () => {
+  const doc = new JustHTML(
+    '<html><head><meta charset="latin1"></head><body><ul><li><input disabled="" value="a b"><li>x</ul>'
+    + '<p title="it\'s">one  \n two</p><pre>  keep  </pre><script>a<b</script><img alt="">café</body></html>'
+  );
+  assert.equal(
+    doc.toHTML({
+      quoteAttrValues: "spec",
+      useBestQuoteChar: true,
+      minimizeBooleanAttributes: true,
+      useTrailingSolidus: true,
+      omitOptionalTags: true,
+      stripWhitespace: true,
+      injectMetaCharset: true,
+      encoding: "utf-8",
+      resolveEntities: false
+    }),
+    '<meta charset=utf-8 /><ul><li><input disabled value="a b" /><li>x</ul>'
+      + "<p title=\"it's\">one two<pre>  keep  </pre><script>a<b</script><img alt=\"\" />caf&eacute;"
+  );
+  assert.equal(
+    doc.queryOne("p").toHTML({ quoteChar: "'", escapeLtInAttrs: true }),
+    "<p title='it&#39;s'>one  \n two</p>"
+  );
+  assert.equal(doc.queryOne("script").toHTML({ escapeRcdata: true }), "<script>a&lt;b</script>");
+  assert.equal(
+    serializeTokens([
+      { type: "StartTag", name: "span", namespace: "html", attrs: { title: "a\u000bb" } },
+      { type: "EndTag", name: "p", namespace: "html" }
+    ], { quoteAttrValues: "legacy" }),
+    '<span title="a\u000bb"></p>'
+  );
+  assert.throws(() => doc.toHTML({ quoteAttrValues: "never" }), /quoteAttrValues/);
+});
+
+test("minify collapses whitespace, drops comments and optional tags, and shortens attributes", () => {
+  const input = `<!DOCTYPE html>
+<html>
+  <head>
+    <title> Minify   me </title>
+    <!-- build: 42 -->
+    <!--[if IE]><link rel="stylesheet" href="ie.css"><![endif]-->
+    <script type="text/javascript">if (a  <  b) {}</script>
+  </head>
+  <body>
+    <p id="intro" class="lead  text">Hello   <b> big </b> world <img src="a.png" alt=""> !</p>
+    <ul>
+      <li>one</li>
+      <li>two</li>
+    </ul>
+    <pre>  keep   this  </pre>
+    <input type="checkbox" checked="checked" name="c">
+    <script type="module">x()</script>
+  </body>
+</html>`;
+  const expected = "<!DOCTYPE html><title>Minify me</title>"
+    + '<!--[if IE]><link rel="stylesheet" href="ie.css"><![endif]--><script>if (a  <  b) {}</script>'
+    + '<p class="lead  text" id=intro>Hello <b>big </b>world <img alt="" src=a.png> !'
+    + "<ul><li>one<li>two</ul><pre>  keep   this  </pre><input checked name=c type=checkbox> <script type=module>x()</script>";
+  assert.equal(minify(input), expected);
+  assert.equal(minify(expected), expected);
+  assert.equal(new JustHTML(input).toHTML({ minify: true }), expected);
+  assert.equal(
+    new JustHTML("<p title='a'>x <!-- c --> y</p>").toHTML({ minify: { removeComments: false, unquoteAttributes: false } }),
+    '<p title="a">x <!-- c --> y'
+  );
+  assert.equal(minify("<li> a </li> <li>b</li>", { fragment: true }), "<li>a<li>b");
+});
+
+test("pretty printing keeps inline content flowing and never changes rendered whitespace", () => {
+  const doc = new JustHTML(
+    '<div class="card" id="main" data-role="presentation" aria-label="A long label"><p>Hello <span>a</span><span>b</span>'
+    + " world, this paragraph wraps at the print width.<br>Next <b>bold</b>.</p><pre>  keep\n   this  </pre>"
+    + '<textarea>\n\n  x </textarea><ul><li><a href="#">One</a></li><li>Two</li></ul><b>A<cite>B<div>C</div></cite></b>'
+    + '<a href="/x"><div>block</div></a></div>'
+  );
+  const pretty = doc.queryOne("div").toHTML({ pretty: true, printWidth: 50 });
+  assert.equal(
+    pretty,
+    [
+      "<div",
+      '  class="card"',
+      '  id="main"',
+      '  data-role="presentation"',
+      '  aria-label="A long label"',
+      ">",
+      "  <p>",
+      "    Hello <span>a</span><span>b</span> world, this",
+      "    paragraph wraps at the print width.<br>",
+      "    Next <b>bold</b>.",
+      "  </p>",
+      "  <pre>  keep\n   this  </pre>",
+      "  <textarea>\n\n  x </textarea>",
+      "  <ul>",
+      "    <li>",
+      '      <a href="#">One</a>',
+      "    </li>",
+      "    <li>Two</li>",
+      "  </ul>",
+      "  <b>A<cite>B<div>C</div></cite></b>",
+      '  <a href="/x">',
+      "    <div>block</div>",
+      "  </a>",
+      "</div>"
+    ].join("\n")
+  );
+  assert.equal(minify(pretty, { fragment: true }), minify(doc.queryOne("div").toHTML(), { fragment: true }));
+  assert.equal(new JustHTML(pretty, { fragment: true }).queryOne("pre").toHTML(), "<pre>  keep\n   this  </pre>");
+});
+
+test("pretty printing wraps long inline start tags one attribute per line", () => {
+  const href = "https://example.com/articles/2024/pretty-printing";
+  const doc = new JustHTML(
+    `<section><a href="${href}" class="nav-link external" data-tracking="footer-link">link</a></section>`
+    + `<p>Read <a href="${href}" class="nav-link">this</a> or <img src="${href}.png" alt="A diagram"> now.</p>`
+  );
+  const pretty = doc.queryOne("body").toHTML({ pretty: true });
+  assert.equal(
+    pretty,
+    [
+      "<body>",
+      "  <section>",
+      "    <a",
+      `      href="${href}"`,
+      '      class="nav-link external"',
+      '      data-tracking="footer-link"',
+      "    >link</a>",
+      "  </section>",
+      "  <p>",
+      "    Read <a",
+      `      href="${href}"`,
+      '      class="nav-link"',
+      "    >this</a> or <img",
+      `      src="${href}.png"`,
+      '      alt="A diagram"',
+      "    > now.",
+      "  </p>",
+      "</body>"
+    ].join("\n")
+  );
+  assert.ok(pretty.split("\n").every((line) => line.length <= 80));
+  assert.equal(minify(pretty, { fragment: true }), minify(doc.queryOne("body").toHTML(), { fragment: true }));
+});
+
+test("toXHTML emits namespaced, well-formed XML", () => {
+  const doc = new JustHTML(
+    '<!DOCTYPE html><html xmlns:epub="http://www.idpf.org/2007/ops"><title>T</title><section epub:type="chapter">'
+    + '<p title="a\nb">x &amp; y<br><svg viewBox="0 0 1 1"><use xlink:href="#a"/></svg><math definitionURL="u"></math>'
+    + "<script>if (a < b) {}</script>"
+  );
+  assert.equal(
+    doc.toXHTML(),
+    '<!DOCTYPE html><html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>T</title></head>'
+    + '<body><section epub:type="chapter"><p title="a&#10;b">x &amp; y<br />'
+    + '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"><use xmlns:xlink="http://www.w3.org/1999/xlink" xlink:href="#a" /></svg>'
+    + '<math xmlns="http://www.w3.org/1998/Math/MathML" definitionURL="u" />'
+    + "<script>if (a &lt; b) {}</script></p></section></body></html>"
+  );
+  assert.equal(doc.queryOne("script").toHTML({ syntax: "xml", cdata: true }), '<script xmlns="http://www.w3.org/1999/xhtml"><![CDATA[if (a < b) {}]]></script>');
+
+  const invalid = new JustHTML('<div @click="go">a<!-- x--y --></div>', { fragment: true });
+  assert.throws(() => invalid.toXHTML(), /attribute name "@click"/);
+  assert.equal(
+    invalid.toXHTML({ requireWellFormed: false }),
+    '<div xmlns="http://www.w3.org/1999/xhtml" _x0040_click="go">a<!-- x- -y --></div>'
+  );
+});